@@ -1,9 +1,30 @@
 import express from "express";
 import dotenv from "dotenv";
-import mondaySdk from "monday-sdk-js";
 import { WebClient } from "@slack/web-api";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import nodemailer from "nodemailer";
+import { createStore } from "./src/store.js";
+import { createMondayClient } from "./src/monday.js";
+import { createScheduler } from "./src/scheduler.js";
+import { createAlertCooldown, migrateAlertHistory } from "./src/alertCooldown.js";
+import { verifySlackSignature, verifyMondayJwt, verifySharedSecret } from "./src/signatures.js";
+import { loadBoardConfig, redactSecrets } from "./src/boardConfig.js";
+import fs from "fs";
+import crypto from "crypto";
+import { parseTrackingNumber, parseTrackingNumbers, buildTrackingUrl } from "./src/trackingParser.js";
+import { createHubSpotClient } from "./src/hubspot.js";
+import { createEmailRenderer } from "./src/emailTemplates.js";
+import { createQueue } from "./src/queue.js";
+import { createShipmentTimeline, TIMELINE_EVENT_TYPES, SHIPMENT_STATUSES } from "./src/timeline.js";
+import { createCarrierAdapters, createPushSources } from "./src/carriers/index.js";
+import { categorizeCarrierEvent, isDeliveredEvent } from "./src/carriers/status.js";
+import { createAiProvider, analyzeWithProvider } from "./src/ai/index.js";
+import { createClassificationCache } from "./src/ai/cache.js";
+import { ISSUE_TYPES } from "./src/ai/schema.js";
+import { createAiUsageTracker, DEFAULT_PRICING } from "./src/ai/usage.js";
+import { isDeliveredUpdate, shouldNotifyCustomer, getCustomerAction, classifyIssueBasic, toAiIssue, routeFor } from "./src/classifier.js";
+import { createRuleEngine, describeRule } from "./src/rules.js";
+import { businessHoursBetween } from "./src/businessHours.js";
+import { normalizeInboundEmail, extractReplyText, extractPoNumber, parseMessageIds, formatReplyUpdate } from "./src/inboundEmail.js";
 
 dotenv.config();
 
@@ -11,7 +32,10 @@ const {
   PORT = 3000,
   MONDAY_TOKEN,
   MONDAY_BOARD_ID,
+  MONDAY_API_URL = "https://api.monday.com/v2",
+  MONDAY_API_VERSION = "2024-10",
   SLACK_BOT_TOKEN,
+  SLACK_API_URL,
   SLACK_CHANNEL_ID,
   GEMINI_API_KEY,
   DEBUG: DEBUG_RAW = "false",
@@ -20,6 +44,7 @@ const {
   HARITHA_USER_ID = "D08HQ5GQCAW",
   HUBSPOT_API_KEY,
   HUBSPOT_BCC_ADDRESS,
+  HUBSPOT_BASE_URL = "https://api.hubapi.com",
   SMTP_HOST,
   SMTP_PORT = 465,
   SMTP_SECURE = "true",
@@ -27,59 +52,78 @@ const {
   SMTP_PASS,
   EMAIL_FROM,
   EMAIL_FROM_NAME = "Geomiq Support",
+  EMAIL_TEMPLATES_DIR = "./templates/email",
+  EMAIL_DEFAULT_LANGUAGE = "en",
+  CUSTOMER_LANGUAGES_PATH = "./config/customer-languages.json",
+  EMAIL_MAX_ATTEMPTS = "5",
+  EMAIL_RETRY_BASE_SECONDS = "60",
+  SMTP_MAX_CONNECTIONS = "3",
+  WEBHOOK_MAX_ATTEMPTS = "5",
+  WEBHOOK_RETRY_BASE_SECONDS = "30",
+  WEBHOOK_POLL_SECONDS = "15",
+  WEBHOOK_JOB_RETENTION_DAYS = "7",
+  SHIPMENT_TIMELINE_RETENTION_DAYS = "30",
+  SHIPMENT_TIMELINE_MAX_AGE_DAYS = "180",
+  STORE_DRIVER,
+  STORE_PATH,
+  SWEEPER_ENABLED = "true",
+  SWEEPER_INTERVAL_MINUTES = "15",
+  ALERT_COOLDOWN_MINUTES = "240",
+  SLACK_SIGNING_SECRET,
+  MONDAY_ALERT_STATUS_COLUMN_ID,
+  MONDAY_SIGNING_SECRET,
+  MONDAY_ALLOWED_BOARD_IDS = "",
+  MONDAY_WEBHOOK_MAX_AGE_SECONDS = "300",
+  BOARD_CONFIG_PATH = "./config/boards.json",
+  RULES_PATH = "./config/rules.json",
+  INBOUND_EMAIL_SECRET,
+  CARRIER_POLL_ENABLED = "true",
+  CARRIER_POLL_INTERVAL_MINUTES = "30",
+  AI_TIMEOUT_MS = "8000",
+  AI_CACHE_TTL_HOURS = "168",
+  AI_DAILY_CALL_LIMIT = "1000",
+  AI_PRICING,
 } = process.env;
 
-// Board configuration
-const BOARDS = {
-  MAIN: "162479257",
-  CHINA: "9371034380", 
-  INDIA: "9371038978"
-};
-
-// Board-specific column IDs for customer tracking
-const TRACKING_COLUMN_IDS = {
-  [BOARDS.MAIN]: "text_mkvcdqrw",
-  [BOARDS.CHINA]: "text_mkvcdqrw", 
-  [BOARDS.INDIA]: "text_mkvcce8m"
-};
-
-// Board-specific column IDs for duplicate tracking (tracking numbers only)
-const DUP_TRACKING_COLUMN_IDS = {
-  [BOARDS.CHINA]: "text_mkvyqp0a", // Only China board has this column
-  // Other boards don't have duplicate tracking columns yet
-};
-
-// Board-specific column IDs for location tracking
-const LOCATION_COLUMN_IDS = {
-  [BOARDS.MAIN]: "text5__1",        // Main board (already working)
-  [BOARDS.CHINA]: "text_mkvc8tw8",  // China board - Updated
-  [BOARDS.INDIA]: "text_mkvcg0xs"   // India board - Updated
-};
+// Board configuration (see config/boards.json)
+let boardConfig;
+try {
+  boardConfig = loadBoardConfig(BOARD_CONFIG_PATH, { ...process.env, RACHEL_USER_ID, HARITHA_USER_ID });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+console.log(`📋 Loaded ${boardConfig.boards.length} boards from ${BOARD_CONFIG_PATH}:`, boardConfig.boards.map((board) => board.name).join(", "));
+
+// Unknown boards fall back to the MONDAY_BOARD_ID board (or the first configured one)
+function getBoardConfig(boardId) {
+  return boardConfig.boardsById.get(String(boardId))
+    || boardConfig.boardsById.get(String(MONDAY_BOARD_ID))
+    || boardConfig.boards[0];
+}
+
+function isConfiguredBoard(boardId) {
+  return boardConfig.boardsById.has(String(boardId));
+}
 
 // Function to get board name for logging
 function getBoardName(boardId) {
-  const boardIdStr = String(boardId);
-  switch (boardIdStr) {
-    case BOARDS.MAIN: return "Main Board";
-    case BOARDS.CHINA: return "China Board";
-    case BOARDS.INDIA: return "India Board";
-    default: return `Board ${boardId}`;
-  }
+  return boardConfig.boardsById.get(String(boardId))?.name || `Board ${boardId}`;
 }
 
 // Function to get the correct tracking column ID for a board
 function getTrackingColumnId(boardId) {
-  return TRACKING_COLUMN_IDS[String(boardId)] || "text_mkvcdqrw"; // fallback to main/china column ID
+  return getBoardConfig(boardId).columns.tracking;
 }
 
 // Function to get the duplicate tracking column ID for a board (if it exists)
 function getDuplicateTrackingColumnId(boardId) {
-  return DUP_TRACKING_COLUMN_IDS[String(boardId)] || null;
+  return boardConfig.boardsById.get(String(boardId))?.columns.duplicateTracking || null;
 }
 
 // Function to get the correct location column ID for a board
 function getLocationColumnId(boardId) {
-  return LOCATION_COLUMN_IDS[String(boardId)] || "text5__1"; // fallback to current column ID
+  return getBoardConfig(boardId).columns.location;
 }
 
 console.log("Environment variables loaded:");
@@ -96,6 +140,19 @@ console.log("SMTP config:", {
   from: EMAIL_FROM,
 });
 
+// Without these every signed webhook is rejected, so say so loudly at boot
+if (!MONDAY_SIGNING_SECRET) {
+  console.error("❌ MONDAY_SIGNING_SECRET not set - /monday-webhook will reject every event until it is configured");
+}
+
+if (!SLACK_SIGNING_SECRET) {
+  console.error("❌ SLACK_SIGNING_SECRET not set - /slack/interactions will reject every button click until it is configured");
+}
+
+if (!INBOUND_EMAIL_SECRET) {
+  console.warn("⚠️ INBOUND_EMAIL_SECRET not set - /inbound-email will reject all messages");
+}
+
 const DEBUG = (DEBUG_RAW || "false").toLowerCase() === "true";
 const ALWAYS_ALERT = (ALWAYS_ALERT_RAW || "false").toLowerCase() === "true";
 
@@ -105,22 +162,23 @@ if (!MONDAY_TOKEN || !MONDAY_BOARD_ID || !SLACK_BOT_TOKEN || !SLACK_CHANNEL_ID)
 }
 
 const app = express();
-app.use(express.json({ type: "*/*" }));
 
-const monday = mondaySdk();
-monday.setToken(MONDAY_TOKEN);
+// Keep the raw body around for signature checks (Slack signs the exact bytes)
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf.toString("utf8");
+}
+
+// Slack interactions arrive form-encoded; everything else is parsed as JSON
+app.use("/slack", express.urlencoded({ extended: false, verify: captureRawBody }));
+app.use(express.json({ type: "*/*", verify: captureRawBody }));
+
+const monday = createMondayClient({ token: MONDAY_TOKEN, apiUrl: MONDAY_API_URL, apiVersion: MONDAY_API_VERSION });
 
 // Test Monday.com connection on startup
 async function testMondayConnection() {
   try {
-    const query = `query { me { name email } }`;
-    const response = await monday.api(query);
-    
-    if (response.errors) {
-      console.error("❌ Monday.com authentication failed:", response.errors);
-    } else {
-      console.log("✅ Monday.com authenticated as:", response.data.me.name);
-    }
+    const me = await monday.me();
+    console.log("✅ Monday.com authenticated as:", me.name);
   } catch (error) {
     console.error("❌ Monday.com connection error:", error.message);
   }
@@ -129,270 +187,269 @@ async function testMondayConnection() {
 // Test connection after a delay to ensure everything is initialized
 setTimeout(testMondayConnection, 2000);
 
-const slack = new WebClient(SLACK_BOT_TOKEN);
-const genAI = GEMINI_API_KEY ? new GoogleGenerativeAI(GEMINI_API_KEY) : null;
-
-const ambiguousStatusHistory = new Map();
-
-const AMBIGUOUS_STATUSES = {
-  "clearance event": { hours: 18 },
-  "customs clearance": { hours: 18 },
-  "processing": { hours: 24 },
-  "import scan": { hours: 24 },
-  "arrival scan": { hours: 24 },
-  "departure scan": { hours: 48 },
-  "on hold": { hours: 6 },
-  "exception": { hours: 12 },
-  "clearance processing": { hours: 18 },
-  "in transit": { hours: 72 }, // 3 days for in transit
-  "shipment information received": { hours: 48 },
-  "electronic information received": { hours: 24 },
-};
-
-const LOGISTICS_COORDINATORS = {
-  RACHEL_CHINA: `<@${RACHEL_USER_ID}>`,
-  HARITHA_INDIA: `<@${HARITHA_USER_ID}>`,
-};
-
-const CUSTOMER_NOTIFICATION_PATTERNS = {
-  premisesClosed: /(consignee premises closed|premises closed|office closed|business closed)/i,
-  consigneeUnavailable: /(consignee (unavailable|not available)|recipient unavailable|no one (available|home)|customer not available|no answer|no response( at consignee address)?|not answering)/i,
-  refusedDelivery: /(refused delivery|delivery refused|consignee refused)/i,
-  incorrectAddress: /(address incorrect|incorrect address|address insufficient|invalid address)/i,
-};
-
-function getCustomerAction(reason) {
-  const actions = {
-    premisesClosed: "Please arrange to be available during business hours or provide alternative delivery instructions.",
-    consigneeUnavailable: "Please ensure someone is available to receive the package or arrange alternative delivery.",
-    refusedDelivery: "Please contact the carrier if you wish to arrange redelivery.",
-    incorrectAddress: "Please verify and provide the correct delivery address.",
-    deliveryAttempt: "Please arrange to be available or provide alternative delivery instructions.",
-  };
-  return actions[reason] || "Please contact the carrier to resolve this delivery issue.";
+// SLACK_API_URL points the client at a stand-in Slack API for local testing
+const slack = new WebClient(SLACK_BOT_TOKEN, SLACK_API_URL ? { slackApiUrl: SLACK_API_URL } : {});
+const hubspot = HUBSPOT_API_KEY ? createHubSpotClient({ apiKey: HUBSPOT_API_KEY, baseUrl: HUBSPOT_BASE_URL }) : null;
+
+// Issue analysis provider (src/ai): Gemini, OpenAI or the offline stub
+let aiProvider;
+try {
+  aiProvider = createAiProvider(process.env);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
 }
+console.log(`🤖 AI provider: ${aiProvider ? `${aiProvider.name} (${aiProvider.model})` : "none - rule-based analysis only"}`);
+
+// Watcher state survives restarts: ambiguous-status timers, alert history and
+// extracted tracking numbers are all kept in the same persistent store.
+const store = createStore({ driver: STORE_DRIVER, path: STORE_PATH });
+const ambiguousStatusHistory = store.collection("ambiguousStatus");
+const alertHistory = store.collection("alertHistory");
+const trackingNumbers = store.collection("trackingNumbers");
+const slackThreads = store.collection("slackThreads");
+const snoozes = store.collection("snoozes");
+const coordinatorOverrides = store.collection("coordinatorOverrides");
+// Per-item history of updates, alerts, emails and actions behind /shipments
+const shipmentTimelines = store.collection("shipmentTimelines");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const shipmentTimeline = createShipmentTimeline({
+  records: shipmentTimelines,
+  closedRetentionMs: Number(SHIPMENT_TIMELINE_RETENTION_DAYS) * DAY_MS,
+  maxAgeMs: Number(SHIPMENT_TIMELINE_MAX_AGE_DAYS) * DAY_MS,
+});
 
-function shouldNotifyCustomer(updateText) {
-  const text = (updateText || "").toLowerCase();
-  for (const [reason, pattern] of Object.entries(CUSTOMER_NOTIFICATION_PATTERNS)) {
-    if (pattern.test(text)) {
-      return { shouldNotify: true, reason, actionRequired: getCustomerAction(reason) };
-    }
-  }
-  if (text.includes("delivery attempted")) {
-    return {
-      shouldNotify: true,
-      reason: "deliveryAttempt",
-      actionRequired: getCustomerAction("deliveryAttempt"),
-    };
-  }
-  return { shouldNotify: false };
+console.log(`💾 State store (${store.driver}) rehydrated:`, {
+  ambiguousStatuses: ambiguousStatusHistory.size,
+  alerts: alertHistory.size,
+  trackingNumbers: trackingNumbers.size,
+  slackThreads: slackThreads.size,
+  snoozes: snoozes.size,
+  coordinatorOverrides: coordinatorOverrides.size,
+  shipmentTimelines: shipmentTimelines.size,
+});
+
+// Issue detection rules (see config/rules.json), re-read when the file changes
+let ruleEngine;
+try {
+  ruleEngine = createRuleEngine({ path: RULES_PATH });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+ruleEngine.watch();
+console.log(`📐 Loaded ${ruleEngine.rules.length} issue rules from ${RULES_PATH}`);
+
+// Carrier from the tracking number (item's tracking column first, then the
+// update text itself), falling back to the board's default carrier
+function detectCarrier(updateText, boardId = null, trackingText = "") {
+  const parsed = parseTrackingNumber(trackingText) || parseTrackingNumber(updateText);
+  if (parsed) return parsed.carrier;
+  return boardConfig.boardsById.get(String(boardId))?.defaultCarrier || "unknown";
 }
 
-function detectCarrier(updateText) {
-  const text = (updateText || "").toLowerCase();
-  if (text.includes("ups")) return "UPS";
-  if (text.includes("dhl")) return "DHL";
-  if (text.includes("fedex")) return "FedEx";
-  return "unknown";
+// Shipping lane for stuck thresholds: the board's route, else the carrier's usual lane
+function getRoute(boardId, carrier) {
+  return boardConfig.boardsById.get(String(boardId))?.route || routeFor(carrier);
+}
+
+function mentionCoordinator(key) {
+  return `<@${boardConfig.coordinators[key].slackUserId}>`;
 }
 
 function getLogisticsCoordinator(route, carrier, boardId) {
-  const boardIdStr = String(boardId);
+  const board = boardConfig.boardsById.get(String(boardId));
   
   // Board-specific coordinators
-  if (boardIdStr === BOARDS.CHINA) return LOGISTICS_COORDINATORS.RACHEL_CHINA;
-  if (boardIdStr === BOARDS.INDIA) return LOGISTICS_COORDINATORS.HARITHA_INDIA;
+  if (board?.coordinator) return mentionCoordinator(board.coordinator);
   
   // Fallback to route/carrier logic
-  if (route && route.toUpperCase().includes("INDIA")) return LOGISTICS_COORDINATORS.HARITHA_INDIA;
-  if (route && route.toUpperCase().includes("CHINA")) return LOGISTICS_COORDINATORS.RACHEL_CHINA;
-  if (carrier === "UPS") return LOGISTICS_COORDINATORS.HARITHA_INDIA;
-  return LOGISTICS_COORDINATORS.RACHEL_CHINA;
+  const coordinators = Object.entries(boardConfig.coordinators);
+  const routeUpper = (route || board?.route || "").toUpperCase();
+  const byRoute = coordinators.find(([, c]) => (c.routes || []).some((r) => routeUpper.includes(r.toUpperCase())));
+  if (byRoute) return mentionCoordinator(byRoute[0]);
+  const byCarrier = coordinators.find(([, c]) => (c.carriers || []).includes(carrier));
+  if (byCarrier) return mentionCoordinator(byCarrier[0]);
+  return mentionCoordinator(boardConfig.defaultCoordinator);
+}
+
+// Coordinator for a specific item, honouring reassignments made from Slack
+function getItemCoordinator(itemId, boardId, route, carrier) {
+  const override = coordinatorOverrides.get(`${boardId}:${itemId}`);
+  return override?.coordinator || getLogisticsCoordinator(route, carrier, boardId);
 }
 
 function extractTrackingNumber(text) {
-  if (!text) return null;
-  
-  // Check if it's a URL
-  if (text.includes('http')) {
-    // DHL tracking URL patterns
-    const dhlMatch = text.match(/tracking-id=([A-Z0-9]+)/i);
-    if (dhlMatch) return dhlMatch[1];
-    
-    // UPS tracking URL patterns
-    const upsMatch = text.match(/tracknum=([A-Z0-9]+)/i) || 
-                     text.match(/TrackingNumber=([A-Z0-9]+)/i);
-    if (upsMatch) return upsMatch[1];
-    
-    // FedEx tracking URL patterns
-    const fedexMatch = text.match(/tracknumber=([A-Z0-9]+)/i) || 
-                       text.match(/trknbr=([A-Z0-9]+)/i);
-    if (fedexMatch) return fedexMatch[1];
-    
-    // Generic tracking number extraction from URL parameters
-    const genericMatch = text.match(/(?:tracking|track|trk)(?:_?(?:id|num|number))?\=([A-Z0-9]+)/i);
-    if (genericMatch) return genericMatch[1];
+  return parseTrackingNumber(text)?.trackingNumber || null;
+}
+
+// Split shipments: every tracking number in the Customer Tracking column is
+// its own leg with its own status history and alerts
+function getShipmentLegs(itemId) {
+  const record = trackingNumbers.get(itemId);
+  if (!record) return [];
+  if (record.legs) return record.legs;
+  // Records written before multi-leg support held a single number
+  return record.trackingNumber
+    ? [{ trackingNumber: record.trackingNumber, carrier: record.carrier || "unknown", confidence: record.confidence || 0 }]
+    : [];
+}
+
+function recordShipmentLegs(itemId, boardId, trackingText) {
+  const previous = new Map(getShipmentLegs(itemId).map((leg) => [leg.trackingNumber, leg]));
+  const legs = parseTrackingNumbers(trackingText).map((parsed) => ({
+    trackingNumber: parsed.trackingNumber,
+    carrier: parsed.carrier,
+    confidence: parsed.confidence,
+    format: parsed.format,
+    deliveredAt: previous.get(parsed.trackingNumber)?.deliveredAt || null,
+  }));
+  if (legs.length) {
+    trackingNumbers.set(itemId, { boardId: String(boardId), legs, sourceText: trackingText, extractedAt: Date.now() });
   }
-  
-  // If it's already just a tracking number (alphanumeric, 8-20 chars)
-  if (/^[A-Z0-9]{8,20}$/i.test(text.trim())) {
-    return text.trim().toUpperCase();
+  return legs;
+}
+
+// The leg an update refers to: the one whose number it mentions, or the only
+// leg. Returns null when it can't be told apart (item-level update).
+function findShipmentLeg(itemId, updateText, trackingText = "") {
+  const legs = getShipmentLegs(itemId).length ? getShipmentLegs(itemId) : parseTrackingNumbers(trackingText);
+  if (!legs.length) return null;
+  const normalizedText = (updateText || "").toUpperCase().replace(/[\s-]/g, "");
+  const mentioned = legs.find((leg) => normalizedText.includes(leg.trackingNumber));
+  if (mentioned) return mentioned;
+  return legs.length === 1 ? legs[0] : null;
+}
+
+// Returns true once every known leg of the item is delivered
+function markLegDelivered(itemId, trackingNumber) {
+  const record = trackingNumbers.get(itemId);
+  const legs = getShipmentLegs(itemId);
+  if (!record || !legs.length || !trackingNumber) return true;
+  const updatedLegs = legs.map((leg) => (
+    leg.trackingNumber === trackingNumber && !leg.deliveredAt ? { ...leg, deliveredAt: Date.now() } : leg
+  ));
+  trackingNumbers.set(itemId, { ...record, legs: updatedLegs });
+  return updatedLegs.every((leg) => leg.deliveredAt);
+}
+
+// Every known leg with this tracking number, across items and boards
+function findLegsByTrackingNumber(trackingNumber) {
+  const wanted = String(trackingNumber || "").toUpperCase().replace(/[\s-]/g, "");
+  const found = [];
+  for (const [itemId, record] of trackingNumbers.entries()) {
+    const leg = getShipmentLegs(itemId).find((candidate) => candidate.trackingNumber === wanted);
+    if (leg) found.push({ itemId, boardId: record.boardId || MONDAY_BOARD_ID, leg });
+  }
+  return found;
+}
+
+function getStatusHistoryKey(itemId, trackingNumber) {
+  return trackingNumber ? `${itemId}:${trackingNumber}` : String(itemId);
+}
+
+// Drop the ambiguous-status timers of every leg of an item
+function clearStatusHistory(itemId) {
+  for (const [historyKey, history] of [...ambiguousStatusHistory.entries()]) {
+    if ((history.itemId || historyKey) === String(itemId)) ambiguousStatusHistory.delete(historyKey);
   }
-  
-  return null;
 }
 
 async function updateTrackingColumn(itemId, trackingNumber, boardId = MONDAY_BOARD_ID) {
   try {
-    const trackingColumnId = getTrackingColumnId(boardId);
-    
-    const mutation = `
-      mutation($itemId: ID!, $boardId: ID!, $columnId: String!, $value: String!) {
-        change_simple_column_value(
-          item_id: $itemId,
-          board_id: $boardId,
-          column_id: $columnId,
-          value: $value
-        ) {
-          id
-        }
-      }
-    `;
-    
-    console.log(`🔄 Attempting to update item ${itemId} with tracking: ${trackingNumber}`);
-    console.log(`📋 Board: ${getBoardName(boardId)} (${boardId})`);
-    console.log(`📝 Column ID: ${trackingColumnId}`);
-    
-    const response = await monday.api(mutation, {
-      variables: {
-        itemId: String(itemId),
-        boardId: String(boardId),
-        columnId: trackingColumnId,
-        value: trackingNumber
-      }
-    });
-    
-    console.log(`📊 Monday.com API response:`, JSON.stringify(response, null, 2));
-    
-    if (response.errors) {
-      console.error(`❌ Monday.com API errors:`, response.errors);
-    } else {
-      console.log(`✅ Updated tracking for item ${itemId} on ${getBoardName(boardId)}: ${trackingNumber}`);
-    }
-    
+    const columnId = getTrackingColumnId(boardId);
+    await monday.changeColumnValue({ itemId, boardId, columnId, value: trackingNumber });
+    console.log(`✅ Updated tracking (${columnId}) for item ${itemId} on ${getBoardName(boardId)}: ${trackingNumber}`);
   } catch (error) {
-    console.error(`❌ Failed to update tracking for item ${itemId}:`, error);
-    console.error(`❌ Error details:`, error.message);
-    console.error(`❌ Stack trace:`, error.stack);
+    console.error(`❌ Failed to update tracking for item ${itemId}:`, error.message);
   }
 }
 
-// Updated function to update the duplicate tracking column with just the tracking number
+// Update the duplicate tracking column with just the tracking number(s)
 async function updateDuplicateTrackingColumn(itemId, trackingNumber, boardId = MONDAY_BOARD_ID) {
+  const columnId = getDuplicateTrackingColumnId(boardId);
+  if (!columnId) {
+    console.log(`⚠️ No duplicate tracking column configured for ${getBoardName(boardId)} - skipping duplicate update`);
+    return;
+  }
   try {
-    const duplicateColumnId = getDuplicateTrackingColumnId(boardId);
-    
-    if (!duplicateColumnId) {
-      console.log(`⚠️ No duplicate tracking column configured for ${getBoardName(boardId)} - skipping duplicate update`);
-      return;
-    }
-    
-    const mutation = `
-      mutation($itemId: ID!, $boardId: ID!, $columnId: String!, $value: String!) {
-        change_simple_column_value(
-          item_id: $itemId,
-          board_id: $boardId,
-          column_id: $columnId,
-          value: $value
-        ) {
-          id
-        }
-      }
-    `;
-    
-    console.log(`🔄 Updating duplicate tracking column for item ${itemId} with tracking: ${trackingNumber}`);
-    console.log(`📋 Board: ${getBoardName(boardId)} (${boardId})`);
-    console.log(`📝 Duplicate Column ID: ${duplicateColumnId}`);
-    
-    const response = await monday.api(mutation, {
-      variables: {
-        itemId: String(itemId),
-        boardId: String(boardId),
-        columnId: duplicateColumnId,
-        value: trackingNumber
-      }
-    });
-    
-    console.log(`📊 Monday.com API response for duplicate tracking:`, JSON.stringify(response, null, 2));
-    
-    if (response.errors) {
-      console.error(`❌ Monday.com API errors for duplicate tracking:`, response.errors);
-    } else {
-      console.log(`✅ Updated duplicate tracking for item ${itemId} on ${getBoardName(boardId)}: ${trackingNumber}`);
+    await monday.changeColumnValue({ itemId, boardId, columnId, value: trackingNumber });
+    console.log(`✅ Updated duplicate tracking (${columnId}) for item ${itemId} on ${getBoardName(boardId)}: ${trackingNumber}`);
+  } catch (error) {
+    console.error(`❌ Failed to update duplicate tracking for item ${itemId}:`, error.message);
+  }
+}
+
+// Post a note to the item's Updates section in Monday
+async function createItemUpdate(itemId, body) {
+  const update = await monday.createUpdate(itemId, body);
+  console.log(`📝 Posted Monday update on item ${itemId}`);
+  return update;
+}
+
+// Monday expects structured values for status and date columns; everything
+// else the watcher writes is plain text. The type comes from the board's
+// columnTypes in config/boards.json.
+function toMondayColumnValue(type, value) {
+  if (type === "status") return value ? { label: value } : {};
+  if (type === "date") {
+    if (!value) return null;
+    const date = new Date(value);
+    // Not a date after all: write it as text rather than fail the whole mutation
+    if (!Number.isNaN(date.getTime())) {
+      const iso = date.toISOString();
+      return { date: iso.slice(0, 10), time: iso.slice(11, 19) };
     }
-    
+    console.warn(`⚠️ "${value}" is not a date - writing it as text`);
+  }
+  return value == null ? "" : String(value);
+}
+
+// Several columns of one item in a single change_multiple_column_values call.
+// values is a list of [column, value] pairs, column being the board config
+// name (carrierStatus, eta, ...); unconfigured columns are skipped.
+async function updateItemColumns(itemId, boardId, values) {
+  const board = getBoardConfig(boardId);
+  const columnValues = {};
+  for (const [column, value] of values) {
+    const columnId = board.columns[column];
+    if (columnId) columnValues[columnId] = toMondayColumnValue(board.columnTypes[column] || "text", value);
+  }
+  if (!Object.keys(columnValues).length) return null;
+
+  const updated = await monday.changeColumnValues({ itemId, boardId, columnValues });
+  console.log(`📝 Updated ${Object.keys(columnValues).join(", ")} on item ${itemId}`);
+  return updated;
+}
+
+// Mirror Slack alert actions into an optional status column on the item
+async function setAlertStatusColumn(itemId, boardId, label) {
+  if (!MONDAY_ALERT_STATUS_COLUMN_ID) return;
+  try {
+    await monday.changeColumnValue({ itemId, boardId, columnId: MONDAY_ALERT_STATUS_COLUMN_ID, value: label });
   } catch (error) {
-    console.error(`❌ Failed to update duplicate tracking for item ${itemId}:`, error);
-    console.error(`❌ Error details:`, error.message);
-    console.error(`❌ Stack trace:`, error.stack);
+    console.error(`❌ Failed to set alert status for item ${itemId}:`, error.message);
   }
 }
 
+// Look an item up by name (the PO number) across every configured board
 async function findItemByName(itemName) {
   try {
-    const query = `query($boardId: ID!) {
-      boards(ids: [$boardId]) {
-        items_page {
-          items {
-            id
-            name
-            column_values { id text }
-          }
-        }
-      }
-    }`;
-    
-    const response = await monday.api(query, { variables: { boardId: String(MONDAY_BOARD_ID) } });
-    
-    if (response.errors) {
-      console.error("Error finding items:", response.errors);
-      return null;
+    const item = await monday.findItemByName(boardConfig.boards.map((board) => board.id), itemName);
+    if (item) {
+      console.log(`🔍 Found item by name: ${item.name} -> ID: ${item.id} (${getBoardName(item.boardId)})`);
+      return item;
     }
-    
-    const items = response.data.boards[0]?.items_page?.items || [];
-    const foundItem = items.find(item => item.name === itemName);
-    
-    if (foundItem) {
-      console.log(`🔍 Found item by name: ${foundItem.name} -> ID: ${foundItem.id}`);
-      return foundItem;
-    }
-    
-    console.log(`❌ Item "${itemName}" not found in board`);
+    console.log(`❌ Item "${itemName}" not found on any board`);
     return null;
-    
   } catch (error) {
-    console.error("Error searching for item by name:", error);
+    console.error("Error searching for item by name:", error.message);
     return null;
   }
 }
 
 async function getItemDetails(itemId) {
-  const query = `query($itemIds: [ID!]) {
-    items(ids: $itemIds) {
-      id
-      name
-      column_values { id text }
-    }
-  }`;
-  const response = await monday.api(query, { variables: { itemIds: [String(itemId)] } });
-  const item = response?.data?.items?.[0];
-  if (!item) return null;
-  const columnMap = {};
-  item.column_values.forEach((col) => {
-    columnMap[col.id] = col.text || "";
-  });
-  return { id: item.id, name: item.name, columnMap, poNumber: item.name };
+  return monday.getItem(itemId);
 }
 
 // Updated function to get location from columns using board-specific column ID
@@ -405,428 +462,1447 @@ function getLocationFromColumns(columnMap, boardId = MONDAY_BOARD_ID) {
 }
 
 function getNameAndCompanyFromMonday(itemDetails) {
-  const name = (itemDetails.columnMap["text1"] || "").trim();
-  const company = (itemDetails.columnMap["text3"] || "").trim();
+  const { columns } = getBoardConfig(itemDetails.boardId);
+  const name = (itemDetails.columnMap[columns.contact] || "").trim();
+  const company = (itemDetails.columnMap[columns.company] || "").trim();
   return { name, company };
 }
 
 // -------- Email (SMTP) --------
-// ✅ Updated to include part number & customer tracking
-async function sendCustomerNotificationSMTP(toEmail, toName, poNumber, deliveryIssue, location, updateText, itemDetails) {
-  const transporter = nodemailer.createTransporter({
-    host: SMTP_HOST,
-    port: Number(SMTP_PORT),
-    secure: (SMTP_SECURE || "false").toLowerCase() === "true",
-    auth: { user: SMTP_USER, pass: SMTP_PASS },
-  });
+const emailRenderer = createEmailRenderer({ templatesDir: EMAIL_TEMPLATES_DIR, defaultLanguage: EMAIL_DEFAULT_LANGUAGE });
+
+// Per-customer language overrides keyed by company name (Monday text3)
+const customerLanguages = fs.existsSync(CUSTOMER_LANGUAGES_PATH)
+  ? JSON.parse(fs.readFileSync(CUSTOMER_LANGUAGES_PATH, "utf8"))
+  : {};
+
+function getCustomerLanguage(company, contactLanguage = null) {
+  return customerLanguages[company] || contactLanguage || EMAIL_DEFAULT_LANGUAGE;
+}
 
-  const partNumber = itemDetails?.columnMap?.["text0"] || "N/A";
-  // Use the correct tracking column ID based on the board
+// Render the customer email for a delivery failure from the reason's template
+function buildCustomerEmail(itemDetails, deliveryIssue, location, updateText, { customerName, language }) {
   const boardId = itemDetails?.boardId || MONDAY_BOARD_ID;
-  const trackingColumnId = getTrackingColumnId(boardId);
-  const customerTracking = itemDetails?.columnMap?.[trackingColumnId] || "N/A";
+  const { columns } = getBoardConfig(boardId);
+  const partNumber = itemDetails.columnMap[columns.partNumber] || "N/A";
+  const customerTracking = itemDetails.columnMap[columns.tracking] || "";
+  const leg = findShipmentLeg(itemDetails.id, updateText, customerTracking);
+  const trackingLink = (leg && buildTrackingUrl(leg.carrier, leg.trackingNumber))
+    || customerTracking.match(/https?:\/\/\S+/)?.[0]
+    || "";
+
+  return emailRenderer.render({
+    reason: deliveryIssue.reason,
+    language,
+    vars: {
+      customerName,
+      poNumber: itemDetails.poNumber,
+      partNumber,
+      trackingNumber: leg?.trackingNumber || customerTracking || "N/A",
+      trackingLink,
+      location,
+      carrier: leg?.carrier,
+      carrierUpdate: updateText,
+      actionRequired: deliveryIssue.actionRequired,
+    },
+  });
+}
+
+// One pooled SMTP connection set for the whole process instead of a new
+// connection per email
+const mailTransport = nodemailer.createTransport({
+  pool: true,
+  maxConnections: Number(SMTP_MAX_CONNECTIONS),
+  host: SMTP_HOST,
+  port: Number(SMTP_PORT),
+  secure: (SMTP_SECURE || "false").toLowerCase() === "true",
+  auth: { user: SMTP_USER, pass: SMTP_PASS },
+});
 
-  const mail = await transporter.sendMail({
+async function sendCustomerNotificationSMTP(toEmail, toName, email) {
+  const mail = await mailTransport.sendMail({
     from: { name: EMAIL_FROM_NAME, address: EMAIL_FROM },
     to: { name: toName, address: toEmail },
     replyTo: "support@geomiq.com",
     bcc: HUBSPOT_BCC_ADDRESS || undefined,
-    subject: `Delivery Update Required`,
-    text: `Dear ${toName},
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+  });
+
+  console.log(`SMTP message sent (${email.template}/${email.language}):`, mail.messageId);
+  return { messageId: mail.messageId, subject: email.subject, text: email.text, html: email.html };
+}
+
+// Outbound customer emails go through a durable queue: failed sends are
+// retried with backoff and every message is kept as the delivery log
+const emailOutbox = store.collection("emailOutbox");
+const emailQueue = createQueue({
+  name: "Email queue",
+  jobs: emailOutbox,
+  handler: deliverCustomerEmail,
+  maxAttempts: Number(EMAIL_MAX_ATTEMPTS),
+  backoffBaseMs: Number(EMAIL_RETRY_BASE_SECONDS) * 1000,
+});
+
+async function deliverCustomerEmail(payload, job) {
+  const { recipient, email } = payload;
+  const timelineEmail = { itemId: payload.itemId, boardId: payload.boardId, type: "email", emailId: job.id, reason: payload.reason, recipient: recipient.email };
+  let mail;
+  try {
+    mail = await sendCustomerNotificationSMTP(recipient.email, recipient.name, email);
+  } catch (error) {
+    shipmentTimeline.record({ ...timelineEmail, event: "send failed", attempt: job.attempts, error: error.message });
+    throw error;
+  }
+  console.log("Customer notification sent to", recipient.email);
+  shipmentTimeline.record({ ...timelineEmail, event: "sent", subject: mail.subject, messageId: mail.messageId });
+
+  // The email is out; a failed engagement log must not cause a resend
+  if (hubspot && payload.hubspot?.contactId) {
+    try {
+      await hubspot.logEmailEngagement({
+        contactId: payload.hubspot.contactId,
+        companyId: payload.hubspot.companyId,
+        subject: mail.subject,
+        text: mail.text,
+        html: mail.html,
+      });
+    } catch (error) {
+      console.error(`❌ Failed to log HubSpot engagement for ${recipient.email}:`, error.message);
+    }
+  }
+  return { messageId: mail.messageId, sentAt: Date.now() };
+}
+
+// Delivery log view of a queued email
+function toDeliveryRecord(job) {
+  const { payload } = job;
+  return {
+    id: job.id,
+    itemId: payload.itemId,
+    boardId: payload.boardId,
+    trackingNumber: payload.trackingNumber,
+    recipient: payload.recipient.email,
+    reason: payload.reason,
+    subject: payload.email.subject,
+    messageId: job.result?.messageId || null,
+    status: job.status === "completed" ? "sent" : job.status,
+    attempts: job.attempts,
+    retries: job.retries || 0,
+    lastError: job.lastError,
+    createdAt: new Date(job.createdAt).toISOString(),
+    sentAt: job.result?.sentAt ? new Date(job.result.sentAt).toISOString() : null,
+    nextAttemptAt: job.status === "pending" && job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
+  };
+}
+
+// Look up the customer contact in HubSpot and queue the email. The same reason
+// is only ever sent once to a customer for a shipment (item + leg).
+async function notifyCustomer(itemDetails, notify, location, updateText, trackingNumber = null) {
+  const { name, company } = getNameAndCompanyFromMonday(itemDetails);
+  if (!company) {
+    console.log(`Company (${getBoardConfig(itemDetails.boardId).columns.company}) not set in Monday - cannot notify`);
+    return null;
+  }
+  if (!hubspot) {
+    console.log("⚠️ HUBSPOT_API_KEY not set - cannot look up customer contact");
+    return null;
+  }
+
+  const match = await hubspot.findBestContact({ company, name });
+  if (!match) {
+    console.log(`❌ No HubSpot contact with an email matches "${name}" at "${company}" closely enough - not emailing`);
+    return null;
+  }
+  const { contact } = match;
+  const contactName = `${contact.firstName} ${contact.lastName}`.trim() || name || company;
+  console.log(`👤 HubSpot contact for ${company}: ${contact.email} (score ${match.score})`);
+
+  const email = buildCustomerEmail(itemDetails, notify, location, updateText, {
+    customerName: contactName,
+    language: getCustomerLanguage(company, contact.language),
+  });
+  const dedupeKey = `${itemDetails.id}:${trackingNumber || "item"}:${notify.reason}:${contact.email.toLowerCase()}`;
+  const { job, duplicate } = emailQueue.enqueue({
+    itemId: String(itemDetails.id),
+    boardId: String(itemDetails.boardId),
+    poNumber: itemDetails.poNumber,
+    trackingNumber,
+    reason: notify.reason,
+    recipient: { email: contact.email, name: contactName },
+    email: { subject: email.subject, text: email.text, html: email.html, template: email.template, language: email.language },
+    hubspot: { contactId: contact.id, companyId: match.company?.id || null },
+  }, { dedupeKey });
+
+  if (duplicate) {
+    console.log(`📭 ${notify.reason} email already ${job.status === "completed" ? "sent" : "queued"} to ${contact.email} for item ${itemDetails.id} - skipping`);
+  } else {
+    console.log(`📬 Queued ${notify.reason} email to ${contact.email} (job ${job.id})`);
+  }
+  shipmentTimeline.record({
+    itemId: itemDetails.id,
+    boardId: itemDetails.boardId,
+    type: "email",
+    event: duplicate ? "already sent" : "queued",
+    emailId: job.id,
+    reason: notify.reason,
+    recipient: contact.email,
+    trackingNumber,
+  });
+  return { contact, jobId: job.id, duplicate };
+}
+
+function createSlackMessage(issue, itemDetails, updateText, location, boardId) {
+  const poNumber = itemDetails.poNumber;
+  const coordinator = getItemCoordinator(itemDetails.id, boardId, issue.route, issue.carrier);
+  const carrierEmoji = issue.carrier === "UPS" ? "📦" : issue.carrier === "DHL" ? "🚚" : issue.carrier === "FedEx" ? "✈️" : "📫";
+  const aiEmoji = issue.aiAnalysis ? "🤖" : "🔍";
+  const boardName = getBoardName(boardId);
+  const mainMessage = `${poNumber} is ${issue.type} from ${location}. Please review.`;
+  const legLine = issue.trackingNumber ? `🏷️ Tracking Number: ${issue.trackingNumber}\n` : "";
+  const detailsBlock = `${carrierEmoji} Item: ${poNumber}\n${legLine}📋 Board: ${boardName}\n📝 Latest Update: ${updateText}\n📍 Current Location: ${location}\n🔍 Issue Type: ${issue.type}\n⚡ Severity: ${issue.severity}\n🚛 Carrier: ${issue.carrier}\n${aiEmoji} Analysis: ${issue.reason}`;
+  return {
+    text: `${coordinator} ${mainMessage}`,
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: `${coordinator} ${mainMessage}` } },
+      { type: "section", text: { type: "mrkdwn", text: detailsBlock } },
+      createAlertActionsBlock(itemDetails.id, boardId, issue),
+      { type: "divider" },
+    ],
+  };
+}
+
+// Buttons handled by /slack/interactions
+function createAlertActionsBlock(itemId, boardId, issue) {
+  const value = JSON.stringify({ itemId: String(itemId), boardId: String(boardId), issueType: issue.type });
+  return {
+    type: "actions",
+    block_id: "alert_actions",
+    elements: [
+      { type: "button", action_id: "alert_acknowledge", text: { type: "plain_text", text: "👀 Acknowledge" }, value },
+      { type: "button", action_id: "alert_snooze", text: { type: "plain_text", text: "😴 Snooze 24h" }, value },
+      { type: "button", action_id: "alert_reassign", text: { type: "plain_text", text: "🔁 Reassign" }, value },
+      { type: "button", action_id: "alert_resolve", text: { type: "plain_text", text: "✅ Resolved" }, style: "primary", value },
+    ],
+  };
+}
+
+// Repeated alerts for the same item/board/issue type are held back for the
+// cooldown window; ALWAYS_ALERT=true turns the suppression off.
+const alertCooldown = createAlertCooldown({
+  history: alertHistory,
+  cooldownMs: Number(ALERT_COOLDOWN_MINUTES) * 60 * 1000,
+  bypass: ALWAYS_ALERT,
+});
+
+// Label of the alert raised when a status is stuck past its threshold
+const STUCK_ISSUE_LABEL = "experiencing delayed customs processing";
+
+// Older entries carry the display label ("held in customs", "customs hold" from
+// the AI path, the stuck-status label); map them back to the issueType
+function issueTypeForLabel(label) {
+  if (label === STUCK_ISSUE_LABEL) return "delay";
+  const rule = ruleEngine.rules.find((candidate) => candidate.label === label);
+  if (rule) return rule.issueType;
+  return ISSUE_TYPES.find((issueType) => issueType === label || issueType.replace(/_/g, " ") === label) || label;
+}
+const migratedAlerts = migrateAlertHistory(alertHistory, issueTypeForLabel);
+if (migratedAlerts) console.log(`🔑 Migrated ${migratedAlerts} alert history entries to issueType cooldown keys`);
+
+async function postIssueAlert(issue, itemDetails, updateText, location, boardId) {
+  const itemId = itemDetails.id;
+  const recordAlert = (posted, reason) => shipmentTimeline.record({
+    itemId,
+    boardId,
+    name: itemDetails.poNumber,
+    status: "issue",
+    type: "alert",
+    issueType: issue.type,
+    severity: issue.severity,
+    trackingNumber: issue.trackingNumber || null,
+    posted,
+    reason,
+  });
+
+  const snooze = snoozes.get(`${boardId}:${itemId}`);
+  if (snooze && snooze.until > Date.now()) {
+    const reason = `snoozed by ${snooze.snoozedBy} until ${new Date(snooze.until).toISOString()}`;
+    console.log(`😴 Suppressed alert for item ${itemId} (${issue.type}): ${reason}`);
+    recordAlert(false, reason);
+    return { posted: false, snoozed: true, reason };
+  }
+
+  const decision = alertCooldown.evaluate({ itemId, boardId, issue });
+
+  if (!decision.post) {
+    alertCooldown.recordSuppressed({ key: decision.key, issue, updateText });
+    console.log(`🔕 Suppressed repeat alert for item ${itemId} (${issue.type}): ${decision.reason}`);
+    recordAlert(false, decision.reason);
+    return { posted: false, reason: decision.reason };
+  }
+
+  const slackMessage = createSlackMessage(issue, itemDetails, updateText, location, boardId);
+  try {
+    await postToShipmentThread(itemId, boardId, slackMessage);
+  } catch (error) {
+    recordAlert(false, `Slack post failed: ${error.message}`);
+    throw error;
+  }
+  alertCooldown.recordPosted({ key: decision.key, itemId, boardId, issue, updateText });
+  recordAlert(true, decision.reason);
+  return { posted: true, reason: decision.reason };
+}
+
+// The first alert for an item opens a Slack thread; later alerts reply in it
+// until the shipment is resolved.
+async function postToShipmentThread(itemId, boardId, slackMessage) {
+  const threadKey = `${boardId}:${itemId}`;
+  const thread = slackThreads.get(threadKey);
+
+  if (thread && !thread.resolved) {
+    await slack.chat.postMessage({ channel: thread.channel, thread_ts: thread.ts, ...slackMessage });
+    slackThreads.set(threadKey, { ...thread, replies: (thread.replies || 0) + 1, lastReplyAt: Date.now() });
+    console.log(`🧵 Replied in existing thread ${thread.ts} for item ${itemId}`);
+    return thread;
+  }
+
+  const response = await slack.chat.postMessage({ channel: SLACK_CHANNEL_ID, ...slackMessage });
+  const newThread = {
+    itemId: String(itemId),
+    boardId: String(boardId),
+    channel: response.channel || SLACK_CHANNEL_ID,
+    ts: response.ts,
+    text: slackMessage.text,
+    blocks: slackMessage.blocks,
+    openedAt: Date.now(),
+    replies: 0,
+    resolved: false,
+  };
+  slackThreads.set(threadKey, newThread);
+  console.log(`🧵 Opened Slack thread ${response.ts} for item ${itemId}`);
+  return newThread;
+}
+
+// Close out an item's thread: reply with the resolution and mark the parent
+async function resolveShipmentThread(itemId, boardId, updateText, resolution = "delivered") {
+  const threadKey = `${boardId}:${itemId}`;
+  const thread = slackThreads.get(threadKey);
+  if (!thread || thread.resolved) return false;
+
+  const resolvedAt = new Date().toISOString();
+  await slack.chat.postMessage({
+    channel: thread.channel,
+    thread_ts: thread.ts,
+    text: `✅ Resolved: ${resolution}.` + (updateText ? `\n📝 Latest Update: ${updateText}` : ""),
+  });
+  await slack.chat.update({
+    channel: thread.channel,
+    ts: thread.ts,
+    text: `✅ RESOLVED – ${thread.text}`,
+    blocks: [
+      { type: "section", text: { type: "mrkdwn", text: `✅ *Resolved* – ${resolution} (${resolvedAt})` } },
+      ...(thread.blocks || []).filter((block) => block.type !== "actions"),
+    ],
+  });
+  slackThreads.set(threadKey, { ...thread, resolved: true, resolvedAt: Date.now(), resolutionText: updateText });
+  console.log(`✅ Resolved Slack thread ${thread.ts} for item ${itemId}`);
+  return true;
+}
+
+// Starts or continues the stuck-status clock when the matching rule has a
+// stuck threshold for this carrier, board and route; the clock restarts
+// whenever a different rule matches
+function checkAmbiguousStatus(itemId, updateText, boardId, trackingNumber = null, carrier = "unknown") {
+  const now = Date.now();
+  const historyKey = getStatusHistoryKey(itemId, trackingNumber);
+  const match = ruleEngine.match({ text: updateText, carrier, boardId });
+  const threshold = match && ruleEngine.threshold({ rule: match.rule, carrier, boardId, route: getRoute(boardId, carrier) });
+  if (!threshold?.hours) {
+    ambiguousStatusHistory.delete(historyKey);
+    return null;
+  }
+  if (!ambiguousStatusHistory.has(historyKey)) {
+    ambiguousStatusHistory.set(historyKey, {
+      itemId: String(itemId),
+      trackingNumber,
+      status: match.pattern,
+      rule: match.rule.id,
+      boardId: String(boardId),
+      updateText,
+      lastUpdateText: updateText,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      timeoutHours: threshold.hours,
+      businessHours: threshold.businessHours,
+      countries: threshold.countries,
+      route: threshold.route,
+      carrier,
+    });
+    return null;
+  }
+  const history = ambiguousStatusHistory.get(historyKey);
+  // Entries recorded before the rule engine only carry the matched status text
+  const sameStatus = history.rule ? history.rule === match.rule.id : updateText.toLowerCase().includes(history.status);
+  if (!sameStatus) {
+    ambiguousStatusHistory.delete(historyKey);
+    return null;
+  }
+  ambiguousStatusHistory.set(historyKey, { ...history, lastUpdateText: updateText, lastSeenAt: now });
+  // The timer is only cleared once the alert is dealt with (settleStuckAlert)
+  return getAmbiguousTimeoutIssue(history, now);
+}
+
+// A fired stuck-status timer is done with once its alert was posted or held
+// back by the cooldown. A snoozed alert keeps the timer so it fires again when
+// the snooze ends; a failed post throws before getting here and keeps it too.
+function settleStuckAlert(historyKey, alert) {
+  if (!alert.snoozed) ambiguousStatusHistory.delete(historyKey);
+}
+
+// Hours a status has been tracked, counting only working time in the route's
+// calendars when the threshold is in business hours
+function getHoursTracked(history, now = Date.now()) {
+  const calendars = history.businessHours ? ruleEngine.calendarsFor(history.countries || []) : [];
+  if (calendars.length) return businessHoursBetween(history.firstSeenAt, now, calendars);
+  return (now - history.firstSeenAt) / (1000 * 60 * 60);
+}
+
+// Returns the escalation issue once a tracked status has passed its threshold
+function getAmbiguousTimeoutIssue(history, now = Date.now()) {
+  const hoursTracked = getHoursTracked(history, now);
+  if (hoursTracked < history.timeoutHours) return null;
+  const hoursStuck = Math.round(hoursTracked);
+  return {
+    type: STUCK_ISSUE_LABEL,
+    issueType: "delay",
+    severity: "high",
+    reason: `Status "${history.status}" has persisted for ${hoursStuck} ${history.businessHours ? "business hours" : "hours"}`,
+    isAmbiguousTimeout: true,
+    hoursStuck,
+    originalStatus: history.status,
+    rule: history.rule || null,
+    trackingNumber: history.trackingNumber || null,
+  };
+}
+
+// Escalate items whose ambiguous status has passed its threshold even when no
+// new webhook arrives for them
+async function sweepStuckShipments() {
+  const now = Date.now();
+  const result = { checked: 0, escalated: [], snoozed: [], failed: [] };
+
+  for (const [historyKey, history] of [...ambiguousStatusHistory.entries()]) {
+    result.checked += 1;
+    const issue = getAmbiguousTimeoutIssue(history, now);
+    if (!issue) continue;
+
+    const itemId = history.itemId || historyKey;
+    const leg = history.trackingNumber || null;
+    try {
+      const itemDetails = await getItemDetails(itemId);
+      if (!itemDetails) {
+        console.log(`⚠️ Sweeper: item ${itemId} no longer exists, dropping its status history`);
+        ambiguousStatusHistory.delete(historyKey);
+        continue;
+      }
+      const boardId = history.boardId || MONDAY_BOARD_ID;
+      const location = getLocationFromColumns(itemDetails.columnMap, boardId);
+      const alert = await postIssueAlert(issue, itemDetails, history.lastUpdateText, location, boardId);
+      settleStuckAlert(historyKey, alert);
+      if (alert.snoozed) {
+        result.snoozed.push({ itemId, trackingNumber: leg, boardId, status: history.status, reason: alert.reason });
+        continue;
+      }
+      result.escalated.push({ itemId, trackingNumber: leg, boardId, status: history.status, hoursStuck: issue.hoursStuck, posted: alert.posted });
+      console.log(`⏰ Sweeper escalated item ${itemId}${leg ? ` (leg ${leg})` : ""}: "${history.status}" for ${issue.hoursStuck}h`);
+    } catch (error) {
+      console.error(`❌ Sweeper failed to escalate item ${itemId}:`, error.message);
+      result.failed.push({ itemId, trackingNumber: leg, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+const stuckShipmentSweeper = createScheduler({
+  name: "Stuck shipment sweeper",
+  intervalMs: Number(SWEEPER_INTERVAL_MINUTES) * 60 * 1000,
+  enabled: SWEEPER_ENABLED.toLowerCase() === "true",
+  task: sweepStuckShipments,
+});
+
+// Carrier tracking APIs (src/carriers). Only carriers with credentials get an
+// adapter; legs with any other carrier are left to the Monday webhook.
+const carrierAdapters = createCarrierAdapters(process.env);
+const carrierEvents = store.collection("carrierEvents");
+const trackingStatusWrites = store.collection("trackingStatusWrites");
+console.log(`🚚 Carrier tracking adapters: ${Object.keys(carrierAdapters).join(", ") || "none configured"}`);
+
+// Carrier and aggregator push webhooks (src/carriers/push.js); a source is
+// only accepted once its secret is configured
+const pushSources = createPushSources(process.env);
+console.log(`📬 Carrier push sources: ${Object.keys(pushSources).join(", ") || "none configured"}`);
+
+const formatCarrierEvent = (event) => (event.location ? `${event.description} - ${event.location}` : event.description);
+
+// "2025-10-14T10:42:00.000Z" -> "2025-10-14 10:42 UTC"
+const formatCheckpointTime = (timestamp) => (timestamp ? `${timestamp.slice(0, 10)} ${timestamp.slice(11, 16)} UTC` : null);
+
+// Item-level view over all tracked legs: the latest checkpoint of the legs
+// still moving (or of the last delivered one), and the latest ETA
+function summarizeItemTracking(itemId) {
+  const tracked = getShipmentLegs(itemId)
+    .map((leg) => carrierEvents.get(`${itemId}:${leg.trackingNumber}`))
+    .filter((record) => record?.lastEvent);
+  if (!tracked.length) return null;
+
+  const open = tracked.filter((record) => record.category !== "delivered");
+  const latest = (open.length ? open : tracked)
+    .reduce((a, b) => (new Date(b.lastEventAt) > new Date(a.lastEventAt) ? b : a));
+  const etas = open.map((record) => record.estimatedDelivery).filter(Boolean).sort();
+  return {
+    category: latest.category,
+    checkpointAt: latest.lastEventAt,
+    location: latest.lastEvent.location,
+    eta: etas.length ? etas[etas.length - 1] : null,
+  };
+}
+
+// One batched Monday mutation per item, and only when something changed
+async function writeTrackingStatusToMonday(itemId, boardId) {
+  const summary = summarizeItemTracking(itemId);
+  if (!summary) return false;
+  const { columns, columnTypes } = getBoardConfig(boardId);
+  const isDateColumn = (column) => columnTypes[column] === "date";
+  const values = [
+    ["carrierStatus", summary.category],
+    ["lastCheckpoint", isDateColumn("lastCheckpoint") ? summary.checkpointAt : formatCheckpointTime(summary.checkpointAt)],
+    ["eta", isDateColumn("eta") || !summary.eta ? summary.eta : summary.eta.slice(0, 10)],
+    // Don't blank out a location someone typed in when the carrier gives none
+    [summary.location ? "location" : null, summary.location],
+  ].filter(([column]) => column && columns[column]);
+
+  const signature = JSON.stringify(values);
+  if (trackingStatusWrites.get(itemId)?.signature === signature) return false;
+  await updateItemColumns(itemId, boardId, values);
+  trackingStatusWrites.set(itemId, { boardId: String(boardId), signature, summary, writtenAt: Date.now() });
+  return true;
+}
+
+// Run a leg's checkpoints we haven't seen through the normal analysis
+// pipeline and remember the latest one. Shared by the poller and carrier push
+// webhooks, so an event seen by both is only processed once. The first time a
+// leg is seen only its latest checkpoint is processed so old history doesn't
+// raise a burst of alerts.
+async function ingestCarrierTracking({ itemId, boardId, leg, tracking, source }) {
+  const key = `${itemId}:${leg.trackingNumber}`;
+  const seen = carrierEvents.get(key);
+  if (!tracking || !tracking.events.length) {
+    carrierEvents.set(key, { ...seen, itemId: String(itemId), boardId: String(boardId), trackingNumber: leg.trackingNumber, carrier: leg.carrier, lastPolledAt: Date.now(), found: Boolean(tracking) });
+    return { processed: [], skipped: false };
+  }
+
+  const lastSeenAt = seen?.lastEventAt ? new Date(seen.lastEventAt) : null;
+  const fresh = lastSeenAt
+    ? tracking.events.filter((event) => new Date(event.timestamp) > lastSeenAt)
+    : tracking.events.slice(-1);
+  const latest = tracking.events[tracking.events.length - 1];
+  const processed = [];
+
+  if (fresh.length) {
+    const itemDetails = await getItemDetails(itemId);
+    if (!itemDetails) {
+      console.log(`⚠️ ${source}: item ${itemId} no longer exists, skipping`);
+      return { processed, skipped: true };
+    }
+    for (const event of fresh) {
+      const updateText = formatCarrierEvent(event);
+      console.log(`🛰️ ${leg.carrier} ${leg.trackingNumber} (item ${itemId}, ${source}): ${updateText}`);
+      const location = event.location || getLocationFromColumns(itemDetails.columnMap, boardId);
+      const outcome = await processShipmentUpdate({
+        itemId,
+        boardId,
+        itemDetails,
+        updateText,
+        trackingNumber: leg.trackingNumber,
+        carrier: leg.carrier,
+        location,
+        source,
+        delivered: isDeliveredEvent(tracking.codeSet || leg.carrier, event),
+      });
+      processed.push({ itemId, trackingNumber: leg.trackingNumber, event, issueType: outcome.issue?.type || null });
+    }
+  }
+
+  // A push may carry only its own checkpoint; never move lastEventAt backwards
+  if (lastSeenAt && new Date(latest.timestamp) <= lastSeenAt) {
+    carrierEvents.set(key, { ...seen, lastPolledAt: Date.now() });
+    return { processed, skipped: false };
+  }
+  carrierEvents.set(key, {
+    itemId: String(itemId),
+    boardId: String(boardId),
+    trackingNumber: leg.trackingNumber,
+    carrier: leg.carrier,
+    found: true,
+    source,
+    lastPolledAt: Date.now(),
+    lastEventAt: latest.timestamp,
+    lastEvent: latest,
+    category: categorizeCarrierEvent(tracking.codeSet || leg.carrier, latest),
+    estimatedDelivery: tracking.estimatedDelivery || seen?.estimatedDelivery || null,
+    eventCount: Math.max(tracking.events.length, seen?.eventCount || 0),
+  });
+  return { processed, skipped: false };
+}
+
+// Poll every undelivered leg that has a carrier adapter
+async function pollCarrierTracking() {
+  const result = { polled: 0, skipped: 0, newEvents: 0, processed: [], columnsWritten: 0, failed: [] };
+
+  for (const [itemId, record] of [...trackingNumbers.entries()]) {
+    const boardId = record.boardId || MONDAY_BOARD_ID;
+    let itemPolled = false;
+    for (const leg of getShipmentLegs(itemId)) {
+      const adapter = carrierAdapters[leg.carrier];
+      if (leg.deliveredAt || !adapter) {
+        result.skipped += 1;
+        continue;
+      }
+
+      try {
+        const tracking = await adapter.track(leg.trackingNumber);
+        result.polled += 1;
+        itemPolled = true;
+        const ingested = await ingestCarrierTracking({ itemId, boardId, leg, tracking, source: "Carrier poller" });
+        result.processed.push(...ingested.processed);
+        result.newEvents += ingested.processed.length;
+      } catch (error) {
+        console.error(`❌ Carrier poller failed for ${leg.carrier} ${leg.trackingNumber} (item ${itemId}):`, error.message);
+        result.failed.push({ itemId, trackingNumber: leg.trackingNumber, carrier: leg.carrier, error: error.message });
+      }
+    }
+
+    if (!itemPolled) continue;
+    try {
+      if (await writeTrackingStatusToMonday(itemId, boardId)) result.columnsWritten += 1;
+    } catch (error) {
+      console.error(`❌ Carrier poller failed to write tracking status to item ${itemId}:`, error.message);
+      result.failed.push({ itemId, error: error.message });
+    }
+  }
+
+  return result;
+}
+
+const carrierPoller = createScheduler({
+  name: "Carrier tracking poller",
+  intervalMs: Number(CARRIER_POLL_INTERVAL_MINUTES) * 60 * 1000,
+  enabled: CARRIER_POLL_ENABLED.toLowerCase() === "true" && Object.keys(carrierAdapters).length > 0,
+  task: pollCarrierTracking,
+});
+
+// Without this the timeline store grows with every shipment ever seen
+const shipmentTimelinePruner = createScheduler({
+  name: "Shipment timeline pruner",
+  intervalMs: 6 * 60 * 60 * 1000,
+  task: async () => {
+    const removed = shipmentTimeline.prune();
+    if (removed > 0) console.log(`🧹 Pruned ${removed} shipment timeline(s)`);
+    return { removed };
+  },
+});
+
+let aiPricing = DEFAULT_PRICING;
+try {
+  aiPricing = { ...DEFAULT_PRICING, ...(AI_PRICING ? JSON.parse(AI_PRICING) : {}) };
+} catch (error) {
+  console.error(`❌ AI_PRICING is not valid JSON: ${error.message}`);
+  process.exit(1);
+}
+const classificationCache = createClassificationCache({
+  entries: store.collection("classificationCache"),
+  ttlMs: Number(AI_CACHE_TTL_HOURS) * 60 * 60 * 1000,
+});
+const aiUsage = createAiUsageTracker({
+  days: store.collection("aiUsage"),
+  dailyCallLimit: Number(AI_DAILY_CALL_LIMIT),
+  pricing: aiPricing,
+});
+
+// AI analysis with cost controls, cheapest answer first: a confident
+// rule-based match, then the classification cache, then the provider within
+// the daily call limit and the AI_TIMEOUT_MS budget. A timeout, provider error
+// or an answer outside the schema falls back to the rule-based analysis.
+async function analyzeIssueWithAI(updateText, carrier, location, boardId = null) {
+  const basic = classifyIssueBasic(updateText, carrier, { rules: ruleEngine.rules, boardId });
+  if (!aiProvider) {
+    console.log("⚠️ AI provider not configured, using basic analysis");
+    return basic.issue;
+  }
+
+  if (basic.confident) {
+    aiUsage.record(aiProvider.name, "bypassed");
+    console.log(`🔍 Rule "${basic.rule}" is confident, skipping AI`);
+    return basic.issue;
+  }
+
+  const cached = classificationCache.get({ text: updateText, carrier, location });
+  if (cached) {
+    aiUsage.record(aiProvider.name, "cacheHits");
+    return toLoggedAiIssue(cached.analysis, carrier, cached.provider);
+  }
+
+  if (!aiUsage.canCall(aiProvider.name)) {
+    aiUsage.record(aiProvider.name, "limited");
+    console.log(`⚠️ ${aiProvider.name} daily limit of ${AI_DAILY_CALL_LIMIT} calls reached, using basic analysis`);
+    return basic.issue;
+  }
+
+  let analysis;
+  try {
+    let usage;
+    ({ analysis, usage } = await analyzeWithProvider(aiProvider, { updateText, carrier, location }, { timeoutMs: Number(AI_TIMEOUT_MS) }));
+    aiUsage.record(aiProvider.name, "calls", { model: aiProvider.model, usage });
+  } catch (error) {
+    aiUsage.record(aiProvider.name, "calls");
+    aiUsage.record(aiProvider.name, error.code === "timeout" ? "timeouts" : "failures");
+    console.error(`❌ AI analysis failed (${error.code}), using basic analysis: ${error.message}`);
+    return basic.issue;
+  }
+
+  classificationCache.set({ text: updateText, carrier, location }, { analysis, provider: aiProvider.name, model: aiProvider.model });
+  return toLoggedAiIssue(analysis, carrier, aiProvider.name);
+}
+
+function toLoggedAiIssue(analysis, carrier, provider) {
+  const issue = toAiIssue(analysis, carrier, provider);
+  if (!issue) console.log(`🤖 ${provider}: No issue detected - ${analysis.reason}`);
+  return issue;
+}
+
+async function analyzeIssueBasic(updateText, carrier = detectCarrier(updateText), boardId = null) {
+  return classifyIssueBasic(updateText, carrier, { rules: ruleEngine.rules, boardId }).issue;
+}
+
+// Update the main analyzeIssue function
+async function analyzeIssue(updateText, location = null, carrier = detectCarrier(updateText), boardId = null) {
+  return await analyzeIssueWithAI(updateText, carrier, location, boardId);
+}
+
+const MONDAY_ALLOWED_BOARDS = MONDAY_ALLOWED_BOARD_IDS.split(",").map((id) => id.trim()).filter(Boolean);
+
+// Reject Monday events that aren't signed with our secret, come from a board
+// outside the allowlist, or are older than the replay window
+function authenticateMondayEvent(req) {
+  const maxAgeSeconds = Number(MONDAY_WEBHOOK_MAX_AGE_SECONDS);
+  const verification = verifyMondayJwt({
+    signingSecret: MONDAY_SIGNING_SECRET,
+    authorization: req.get("Authorization"),
+    maxAgeSeconds,
+  });
+  if (!verification.valid) return { status: 401, reason: verification.reason };
+
+  const event = req.body?.event;
+  if (!event) return { status: 200 };
+
+  if (MONDAY_ALLOWED_BOARDS.length && !MONDAY_ALLOWED_BOARDS.includes(String(event.boardId))) {
+    return { status: 403, reason: `board ${event.boardId} is not in MONDAY_ALLOWED_BOARD_IDS` };
+  }
+
+  if (event.triggerTime) {
+    const ageSeconds = (Date.now() - Date.parse(event.triggerTime)) / 1000;
+    if (ageSeconds > maxAgeSeconds) {
+      return { status: 401, reason: `event triggered ${Math.round(ageSeconds)}s ago, outside the replay window` };
+    }
+  }
+
+  return { status: 200 };
+}
+
+// Shared by the Monday webhook and the carrier poller: delivery handling,
+// ambiguous-status tracking, issue analysis, customer email and Slack alert.
+// Carrier events say whether they are the delivery through their status code
+// (delivered); only updates typed into Monday are judged by their text.
+async function processShipmentUpdate({ itemId, boardId, itemDetails, updateText, trackingNumber = null, carrier, location, source = "Monday webhook", delivered = null }) {
+  const recordUpdate = (classification, status) => shipmentTimeline.record({
+    itemId,
+    boardId,
+    name: itemDetails.poNumber,
+    status,
+    type: "update",
+    source,
+    text: updateText,
+    trackingNumber,
+    carrier,
+    location,
+    classification,
+  });
+
+  let allDelivered = false;
+  if (delivered ?? isDeliveredUpdate(updateText)) {
+    // The thread is resolved once every leg of the item has been delivered.
+    // A failure is rethrown so the queue retries the update; marking the leg
+    // again on the retry is harmless.
+    allDelivered = markLegDelivered(itemId, trackingNumber);
+    if (allDelivered) {
+      try {
+        await resolveShipmentThread(itemId, boardId, updateText);
+      } catch (error) {
+        console.error(`❌ Failed to resolve Slack thread for item ${itemId}:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  const ambiguousIssue = checkAmbiguousStatus(itemId, updateText, boardId, trackingNumber, carrier);
+  if (ambiguousIssue) {
+    recordUpdate({ issueType: ambiguousIssue.type, severity: ambiguousIssue.severity, reason: ambiguousIssue.reason, stuck: true }, "issue");
+    let alert;
+    try {
+      alert = await postIssueAlert(ambiguousIssue, itemDetails, updateText, location, boardId);
+    } catch (error) {
+      console.error(`❌ Failed to post stuck-status alert for item ${itemId}:`, error.message);
+      throw error;
+    }
+    settleStuckAlert(getStatusHistoryKey(itemId, trackingNumber), alert);
+    return { issue: ambiguousIssue, alert };
+  }
+
+  const issue = await analyzeIssue(updateText, location, carrier, boardId);
+  if (!issue) {
+    const match = ruleEngine.match({ text: updateText, carrier, boardId });
+    recordUpdate({ issueType: null, rule: match?.rule.id || null }, allDelivered ? "delivered" : "in_transit");
+    return { issue: null };
+  }
+  recordUpdate({ issueType: issue.type, severity: issue.severity, reason: issue.reason, rule: issue.rule || null, ai: Boolean(issue.aiAnalysis) }, "issue");
+
+  issue.trackingNumber = trackingNumber;
+  const notify = shouldNotifyCustomer(updateText, { rules: ruleEngine.rules, carrier, boardId });
+  if (notify.shouldNotify) {
+    try {
+      await notifyCustomer(itemDetails, notify, location, updateText, trackingNumber);
+    } catch (error) {
+      console.error(`❌ Customer notification failed for item ${itemId}:`, error.message);
+    }
+  }
+  const alert = await postIssueAlert(issue, itemDetails, updateText, location, boardId);
+  if (alert.posted) {
+    console.log("Alert sent successfully" + (issue.aiAnalysis ? " (AI-detected)" : " (rule-based)"));
+  }
+  return { issue, alert };
+}
+
+// The work behind a Monday column change, run by the webhook queue. Throwing
+// marks the attempt as failed so the queue retries it.
+async function processMondayEvent({ event }) {
+  const updateText = event.value?.value;
+  const itemId = event.pulseId;
+  const columnId = event.columnId; // This tells us which column was updated
+
+  console.log("=== WEBHOOK DEBUG START ===");
+  console.log("Event object:", JSON.stringify(event, null, 2));
+  console.log("Update text:", updateText);
+  console.log("Item ID:", itemId);
+  console.log("Column ID:", columnId);
+  console.log("Board ID:", event.boardId);
+  console.log("=== WEBHOOK DEBUG END ===");
+
+  console.log("Processing:", event.pulseName, "->", updateText);
+  console.log("Board ID from webhook:", event.boardId, `(${getBoardName(event.boardId)})`);
+  console.log("Expected tracking column ID for this board:", getTrackingColumnId(event.boardId));
+  console.log("Expected duplicate column ID for this board:", getDuplicateTrackingColumnId(event.boardId) || "Not configured");
+
+  const boardId = String(event.boardId);
+
+  // Check if this update is from a Customer Tracking column
+  const trackingColumnId = getTrackingColumnId(event.boardId);
+  const isTrackingColumn = columnId === trackingColumnId;
+
+  console.log(`🔍 Is this from tracking column? ${isTrackingColumn} (expected: ${trackingColumnId}, actual: ${columnId})`);
+
+  // Extract tracking numbers from URLs (only from Customer Tracking columns)
+  if (isTrackingColumn) {
+    console.log("🎯 Processing tracking column update");
+    const legs = recordShipmentLegs(itemId, boardId, updateText);
+    const trackingList = legs.map((leg) => leg.trackingNumber).join(", ");
+    console.log("🔍 Extracted tracking numbers:", legs.map((leg) => `${leg.trackingNumber} (${leg.carrier}, confidence ${leg.confidence})`));
+    console.log("🔍 Original text:", updateText);
+    console.log("🔍 Are they different?", trackingList !== updateText.trim());
+
+    if (legs.length) {
+      shipmentTimeline.record({
+        itemId,
+        boardId,
+        name: event.pulseName,
+        type: "tracking",
+        text: updateText,
+        trackingNumbers: legs.map((leg) => leg.trackingNumber),
+        carrier: legs[0].carrier,
+      });
+    }
+
+    if (legs.length && trackingList !== updateText.trim()) {
+      console.log(`🔍 Extracted ${legs.length} tracking number(s): ${trackingList} from Customer Tracking column`);
+      console.log(`📍 Original URL will remain in Customer Tracking column: ${trackingColumnId}`);
+      console.log(`📍 Tracking numbers will be added to Duplicate Tracking column`);
+
+      // Check if this board has a duplicate tracking column
+      const duplicateColumnId = getDuplicateTrackingColumnId(event.boardId);
+      if (duplicateColumnId) {
+        console.log(`📍 Updating duplicate tracking column: ${duplicateColumnId}`);
+        // Update the duplicate tracking column with the normalised, comma-separated list
+        await updateDuplicateTrackingColumn(itemId, trackingList, event.boardId);
+      } else {
+        console.log(`⚠️ Board ${getBoardName(event.boardId)} doesn't have duplicate tracking column configured`);
+      }
 
-We attempted to deliver your parts, but the delivery was unsuccessful.
+      return { action: "tracking numbers extracted", trackingNumbers: legs.map((leg) => leg.trackingNumber) };
+    } else {
+      console.log("❌ No tracking number extracted or same as original text");
+    }
+  } else {
+    console.log("❌ Not from tracking column, continuing with normal processing");
+  }
 
-Carrier Update: ${updateText}
-Part Number: ${partNumber}
-Customer Tracking: ${customerTracking}
-Current Location: ${location}
-Action Required: ${deliveryIssue.actionRequired}
+  const itemDetails = await getItemDetails(itemId);
+  if (!itemDetails) return { action: "item not found" };
 
-Please contact your carrier to arrange redelivery or provide alternative delivery instructions.
+  // Work out which shipment leg (tracking number) this update belongs to
+  const leg = findShipmentLeg(itemId, updateText, itemDetails.columnMap[trackingColumnId]);
+  const trackingNumber = leg?.trackingNumber || null;
+  if (trackingNumber) console.log(`📦 Update belongs to shipment leg ${trackingNumber} (${leg.carrier})`);
 
-Best regards,
-Geomiq Support`,
-  });
+  const carrier = leg?.carrier || detectCarrier(updateText, event.boardId, itemDetails.columnMap[trackingColumnId]);
+  const location = getLocationFromColumns(itemDetails.columnMap, event.boardId);
+  const outcome = await processShipmentUpdate({ itemId, boardId: event.boardId, itemDetails, updateText, trackingNumber, carrier, location });
+  return {
+    action: "analysed",
+    trackingNumber,
+    issueType: outcome.issue?.type || null,
+    alertPosted: outcome.alert?.posted ?? null,
+  };
+}
 
-  console.log("SMTP message sent:", mail.messageId);
+// Monday webhook events wait in a durable queue so the webhook can answer
+// straight away. Monday's retries of the same event are dropped by its
+// trigger UUID; events that fail every attempt stay "failed" (the dead-letter
+// list) until replayed from /webhook-jobs.
+const mondayEvents = store.collection("mondayEvents");
+const mondayEventQueue = createQueue({
+  name: "Monday webhook queue",
+  jobs: mondayEvents,
+  handler: processMondayEvent,
+  maxAttempts: Number(WEBHOOK_MAX_ATTEMPTS),
+  backoffBaseMs: Number(WEBHOOK_RETRY_BASE_SECONDS) * 1000,
+  pollIntervalMs: Number(WEBHOOK_POLL_SECONDS) * 1000,
+  retainCompletedMs: Number(WEBHOOK_JOB_RETENTION_DAYS) * DAY_MS,
+});
+
+// Monday's id for the event, falling back to a digest of its content
+function getMondayEventKey(event) {
+  const id = event.triggerUuid || event.originalTriggerUuid || event.id;
+  if (id) return `monday:${id}`;
+  return `monday:sha1:${crypto.createHash("sha1").update(JSON.stringify(event)).digest("hex")}`;
 }
 
-function createSlackMessage(issue, itemDetails, updateText, location, boardId) {
-  const poNumber = itemDetails.poNumber;
-  const coordinator = getLogisticsCoordinator(issue.route, issue.carrier, boardId);
-  const carrierEmoji = issue.carrier === "UPS" ? "📦" : issue.carrier === "DHL" ? "🚚" : issue.carrier === "FedEx" ? "✈️" : "📫";
-  const aiEmoji = issue.aiAnalysis ? "🤖" : "🔍";
-  const boardName = getBoardName(boardId);
-  const mainMessage = `${poNumber} is ${issue.type} from ${location}. Please review.`;
-  const detailsBlock = `${carrierEmoji} Item: ${poNumber}\n📋 Board: ${boardName}\n📝 Latest Update: ${updateText}\n📍 Current Location: ${location}\n🔍 Issue Type: ${issue.type}\n⚡ Severity: ${issue.severity}\n🚛 Carrier: ${issue.carrier}\n${aiEmoji} Analysis: ${issue.reason}`;
+function toWebhookJobRecord(job) {
+  const { event, receivedAt } = job.payload;
   return {
-    text: `${coordinator} ${mainMessage}`,
-    blocks: [
-      { type: "section", text: { type: "mrkdwn", text: `${coordinator} ${mainMessage}` } },
-      { type: "section", text: { type: "mrkdwn", text: detailsBlock } },
-      { type: "divider" },
-    ],
+    id: job.id,
+    eventKey: job.dedupeKey,
+    status: job.status,
+    itemId: event.pulseId,
+    itemName: event.pulseName || null,
+    boardId: event.boardId,
+    columnId: event.columnId,
+    value: event.value?.value ?? null,
+    attempts: job.attempts,
+    retries: job.retries || 0,
+    lastError: job.lastError,
+    result: job.result,
+    receivedAt: new Date(receivedAt).toISOString(),
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    nextAttemptAt: job.status === "pending" && job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
   };
 }
 
-function checkAmbiguousStatus(itemId, updateText) {
-  const now = Date.now();
-  const lowerText = (updateText || "").toLowerCase();
-  let ambiguousStatus = null;
-  let timeoutHours = 0;
-  for (const [status, config] of Object.entries(AMBIGUOUS_STATUSES)) {
-    if (lowerText.includes(status)) {
-      ambiguousStatus = status;
-      timeoutHours = config.hours;
-      break;
-    }
-  }
-  if (!ambiguousStatus) {
-    ambiguousStatusHistory.delete(itemId);
-    return null;
-  }
-  const timeoutMs = timeoutHours * 60 * 60 * 1000;
-  if (!ambiguousStatusHistory.has(itemId)) {
-    ambiguousStatusHistory.set(itemId, { status: ambiguousStatus, updateText, firstSeenAt: now, timeoutHours });
-    return null;
+// -------- Backfill --------
+// Walks every item on every configured board and does what the webhook would
+// have done had it seen the item change: extract its tracking numbers into the
+// duplicate column and start the stuck-status timer for its current status
+// (the status column, or the location column's latest update text on boards
+// without one, as the webhook reads it). With analyze, that status is also classified and any
+// issue is listed in the report; nothing is posted to Slack or emailed.
+// A run is stored with its position (board and page cursor) after every page,
+// so one that failed, was capped by maxItems or cut short by a restart can be
+// resumed from /backfill/:id/resume.
+const backfillRuns = store.collection("backfillRuns");
+const BACKFILL_PAGE_SIZE = 100;
+const BACKFILL_MAX_REPORTED = 200;
+let activeBackfillId = null;
+
+for (const run of backfillRuns.values()) {
+  if (run.status === "running") backfillRuns.set(run.id, { ...run, status: "interrupted" });
+}
+
+async function backfillItem(item, boardId, { dryRun, analyze }) {
+  const { columns } = getBoardConfig(boardId);
+  const trackingText = (item.columnMap[columns.tracking] || "").trim();
+  const statusText = (item.columnMap[columns.status || columns.location] || "").trim();
+  // notSeeded is why no stuck timer was started, counted in the run report
+  const result = { trackingNumbers: [], duplicate: null, seeded: null, notSeeded: null, issue: null };
+
+  const legs = dryRun ? parseTrackingNumbers(trackingText) : recordShipmentLegs(item.id, boardId, trackingText);
+  result.trackingNumbers = legs.map((leg) => leg.trackingNumber);
+  const trackingList = result.trackingNumbers.join(", ");
+  if (legs.length && columns.duplicateTracking && trackingList !== trackingText && item.columnMap[columns.duplicateTracking] !== trackingList) {
+    if (!dryRun) await monday.changeColumnValue({ itemId: item.id, boardId, columnId: columns.duplicateTracking, value: trackingList });
+    result.duplicate = trackingList;
   }
-  const history = ambiguousStatusHistory.get(itemId);
-  if (!lowerText.includes(history.status)) {
-    ambiguousStatusHistory.delete(itemId);
-    return null;
+
+  if (!statusText) return { ...result, notSeeded: columns.status ? "noStatus" : "noStatusColumn" };
+  if (isDeliveredUpdate(statusText)) return { ...result, notSeeded: "delivered" };
+  const leg = findShipmentLeg(item.id, statusText, trackingText);
+  const trackingNumber = leg?.trackingNumber || null;
+  const carrier = leg?.carrier || detectCarrier(statusText, boardId, trackingText);
+
+  // Items that already have a timer keep it, so re-running never resets the clock
+  if (!ambiguousStatusHistory.has(getStatusHistoryKey(item.id, trackingNumber))) {
+    const match = ruleEngine.match({ text: statusText, carrier, boardId });
+    const threshold = match && ruleEngine.threshold({ rule: match.rule, carrier, boardId, route: getRoute(boardId, carrier) });
+    if (threshold?.hours) {
+      if (!dryRun) checkAmbiguousStatus(item.id, statusText, boardId, trackingNumber, carrier);
+      result.seeded = { rule: match.rule.id, trackingNumber, stuckHours: threshold.hours };
+    } else {
+      result.notSeeded = "noStuckRule";
+    }
+  } else {
+    result.notSeeded = "alreadyTracked";
   }
-  const timeSinceFirstSeen = now - history.firstSeenAt;
-  if (timeSinceFirstSeen >= timeoutMs) {
-    ambiguousStatusHistory.delete(itemId);
-    return {
-      type: `experiencing delayed customs processing`,
-      severity: "high",
-      reason: `Status "${ambiguousStatus}" has persisted for ${Math.round(timeSinceFirstSeen / (1000 * 60 * 60))} hours`,
-      isAmbiguousTimeout: true,
-      hoursStuck: Math.round(timeSinceFirstSeen / (1000 * 60 * 60)),
-      originalStatus: ambiguousStatus,
-    };
+
+  if (analyze) {
+    const location = item.columnMap[columns.location] || "Unknown Location";
+    const issue = await analyzeIssue(statusText, location, carrier, boardId);
+    if (issue) result.issue = { type: issue.type, severity: issue.severity, reason: issue.reason, status: statusText };
   }
-  return null;
+  return result;
 }
 
-async function analyzeIssueWithGemini(updateText, carrier, location) {
-  if (!genAI) {
-    console.log("⚠️ Gemini API not configured, using basic analysis");
-    return await analyzeIssueBasic(updateText);
-  }
+const emptyNotSeededCounts = () => ({ noStatusColumn: 0, noStatus: 0, delivered: 0, noStuckRule: 0, alreadyTracked: 0 });
+const emptyBackfillCounts = () => ({ items: 0, withTracking: 0, duplicateUpdates: 0, seeded: 0, notSeeded: emptyNotSeededCounts(), issues: 0, errors: 0 });
+
+async function runBackfill(runId) {
+  activeBackfillId = runId;
+  let run = backfillRuns.get(runId);
+  const save = (changes) => {
+    run = { ...run, ...changes, updatedAt: Date.now() };
+    backfillRuns.set(runId, run);
+  };
+  const remember = (list, entry) => (list.length < BACKFILL_MAX_REPORTED ? [...list, entry] : list);
+  save({ status: "running", lastError: null, resumedAt: run.startedAt ? Date.now() : null, startedAt: run.startedAt || Date.now() });
+  console.log(`🧹 Backfill ${runId} ${run.dryRun ? "(dry run) " : ""}starting on ${run.boards.map(getBoardName).join(", ")}`);
+  const processedAtStart = run.counts.items;
 
   try {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `Analyze this shipping/logistics update and determine if it indicates a problem that requires human attention.
-
-UPDATE: "${updateText}"
-CARRIER: ${carrier}
-LOCATION: ${location || "Unknown"}
-
-Respond with JSON only:
-{
-  "hasIssue": boolean,
-  "issueType": "customs_hold" | "delivery_failure" | "exception" | "delay" | "damage" | "lost" | "address_issue" | "none",
-  "severity": "low" | "medium" | "high",
-  "reason": "brief explanation",
-  "requiresAction": boolean
-}
-
-Consider these as NORMAL (NOT issues):
-- "shipment information received/sent"
-- "electronic information received"
-- "label created"
-- "package received"
-- "origin scan", "departure scan", "arrival scan"
-- "in transit", "out for delivery"
-- "departed facility"
-- "delivered" (unless delivery attempted)
-
-Consider these as ISSUES requiring action:
-- Customs holds, clearance problems, document requirements
-- Failed delivery attempts, recipient issues, address problems  
-- Exceptions, holds, delays, damage, lost packages
-- Anything requiring customer or logistics team action
-
-Normal tracking updates are NOT issues.`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const text = response.text();
-    
-    // Try to parse JSON response
-    try {
-      const analysis = JSON.parse(text.replace(/```json\n?|```\n?/g, ''));
-      
-      if (analysis.hasIssue && analysis.requiresAction) {
-        return {
-          type: analysis.issueType.replace('_', ' '),
-          severity: analysis.severity,
-          reason: `AI Analysis: ${analysis.reason}`,
-          carrier,
-          route: carrier === "UPS" ? "India-UK" : "China-UK",
-          aiAnalysis: true
-        };
+    for (let boardIndex = run.position.boardIndex; boardIndex < run.boards.length; boardIndex++) {
+      const boardId = run.boards[boardIndex];
+      const resuming = boardIndex === run.position.boardIndex;
+      let cursor = resuming ? run.position.cursor : null;
+      let itemsDone = resuming ? run.position.itemsDone : 0;
+      let skip = 0;
+      if (!getBoardConfig(boardId).columns.status) {
+        console.log(`⚠️ ${getBoardName(boardId)} has no status column configured - seeding from the location column`);
+      }
+
+      for (;;) {
+        const remaining = run.maxItems ? run.maxItems - (run.counts.items - processedAtStart) : Infinity;
+        if (remaining <= 0) {
+          save({ status: "paused" });
+          console.log(`⏸️ Backfill ${runId} paused after ${run.maxItems} items`);
+          return;
+        }
+
+        let page;
+        try {
+          page = await monday.getItemsPage(boardId, { cursor, limit: Math.min(BACKFILL_PAGE_SIZE, remaining + skip) });
+        } catch (error) {
+          // Monday cursors expire after an hour: start the board again and skip what was done
+          if (!cursor || !/cursor/i.test(error.message)) throw error;
+          console.log(`⚠️ Backfill cursor for ${getBoardName(boardId)} rejected (${error.message}), restarting the board after ${itemsDone} items`);
+          cursor = null;
+          skip = itemsDone;
+          continue;
+        }
+
+        const counts = { ...run.counts };
+        const byBoard = { ...run.byBoard, [boardId]: { ...(run.byBoard[boardId] || emptyBackfillCounts()) } };
+        let { changes, issues, errors } = run;
+        for (const item of page.items) {
+          if (skip > 0) {
+            skip -= 1;
+            continue;
+          }
+          const tally = (key) => {
+            counts[key] += 1;
+            byBoard[boardId][key] += 1;
+          };
+          // Runs stored before the reasons were counted have no notSeeded yet
+          const tallyNotSeeded = (reason) => {
+            for (const target of [counts, byBoard[boardId]]) {
+              const notSeeded = { ...emptyNotSeededCounts(), ...target.notSeeded };
+              target.notSeeded = { ...notSeeded, [reason]: notSeeded[reason] + 1 };
+            }
+          };
+          tally("items");
+          itemsDone += 1;
+          try {
+            const result = await backfillItem(item, boardId, run);
+            if (result.trackingNumbers.length) tally("withTracking");
+            if (result.duplicate) tally("duplicateUpdates");
+            if (result.seeded) tally("seeded");
+            if (result.notSeeded) tallyNotSeeded(result.notSeeded);
+            if (result.duplicate || result.seeded) {
+              changes = remember(changes, { itemId: item.id, name: item.name, boardId, duplicateTracking: result.duplicate, seeded: result.seeded });
+            }
+            if (result.issue) {
+              tally("issues");
+              issues = remember(issues, { itemId: item.id, name: item.name, boardId, ...result.issue });
+            }
+          } catch (error) {
+            tally("errors");
+            errors = remember(errors, { itemId: item.id, name: item.name, boardId, error: error.message });
+            console.error(`❌ Backfill failed on item ${item.id} (${item.name}):`, error.message);
+          }
+        }
+
+        cursor = page.cursor;
+        save({
+          counts,
+          byBoard,
+          changes,
+          issues,
+          errors,
+          position: cursor ? { boardIndex, boardId, cursor, itemsDone } : { boardIndex: boardIndex + 1, boardId: run.boards[boardIndex + 1] || null, cursor: null, itemsDone: 0 },
+        });
+        if (!cursor) break;
       }
-      
-      console.log(`🤖 Gemini: No issue detected - ${analysis.reason}`);
-      return null;
-      
-    } catch (parseError) {
-      console.error("Failed to parse Gemini response:", text);
-      return await analyzeIssueBasic(updateText);
     }
-    
+    save({ status: "completed", finishedAt: Date.now() });
+    console.log(`✅ Backfill ${runId} completed:`, JSON.stringify(run.counts));
   } catch (error) {
-    console.error("Gemini API error:", error);
-    return await analyzeIssueBasic(updateText);
+    save({ status: "failed", lastError: error.message });
+    console.error(`❌ Backfill ${runId} failed, resume it from /backfill/${runId}/resume:`, error.message);
+  } finally {
+    activeBackfillId = null;
   }
 }
 
-async function analyzeIssueBasic(updateText) {
-  const text = (updateText || "").toLowerCase();
-  const carrier = detectCarrier(updateText);
-  
-  // Skip normal delivery completion
-  if (text.includes("delivered") && !text.includes("delivery attempted")) return null;
-  
-  // Skip normal shipment information updates
-  if (text.includes("shipment information received") || 
-      text.includes("shipment information sent") ||
-      text.includes("electronic information received") ||
-      text.includes("label created") ||
-      text.includes("package received") ||
-      text.includes("origin scan") ||
-      text.includes("departed facility") ||
-      text.includes("arrival scan") ||
-      text.includes("in transit")) return null;
-  
-  // Immediate high-priority issues
-  if (text.includes("held by customs") || text.includes("document required") || 
-      text.includes("clearance required") || text.includes("customs examination")) {
-    return { 
-      type: "held in customs", 
-      severity: "high", 
-      reason: "Customs issue detected", 
-      carrier, 
-      route: carrier === "UPS" ? "India-UK" : "China-UK" 
-    };
+function toBackfillReport(run) {
+  const iso = (timestamp) => (timestamp ? new Date(timestamp).toISOString() : null);
+  return {
+    id: run.id,
+    status: run.status,
+    dryRun: run.dryRun,
+    analyze: run.analyze,
+    maxItems: run.maxItems,
+    boards: run.boards.map((boardId) => ({ id: boardId, name: getBoardName(boardId), ...(run.byBoard[boardId] || emptyBackfillCounts()) })),
+    totals: run.counts,
+    position: run.position,
+    lastError: run.lastError,
+    createdAt: iso(run.createdAt),
+    startedAt: iso(run.startedAt),
+    resumedAt: iso(run.resumedAt),
+    finishedAt: iso(run.finishedAt),
+    changes: run.changes,
+    issues: run.issues,
+    errors: run.errors,
+  };
+}
+
+app.post("/monday-webhook", (req, res) => {
+  // Monday's URL verification handshake is sent before any signing applies
+  if (req.body?.challenge) return res.json({ challenge: req.body.challenge });
+
+  const auth = authenticateMondayEvent(req);
+  if (auth.status !== 200) {
+    console.log(`🚫 Rejected Monday webhook (${auth.status}): ${auth.reason}`);
+    return res.status(auth.status).end();
   }
-  
-  // Delivery failures
-  if (text.includes("delivery attempted") || text.includes("recipient unavailable") || 
-      text.includes("premises closed") || text.includes("address insufficient") ||
-      text.includes("delivery exception") || text.includes("unable to deliver")) {
-    return { 
-      type: "experiencing delivery failure", 
-      severity: "high", 
-      reason: "Failed delivery attempt detected", 
-      carrier, 
-      route: carrier === "UPS" ? "India-UK" : "China-UK" 
-    };
+
+  const event = req.body?.event;
+  if (!event) return res.status(200).end();
+  if (!event.value?.value) {
+    console.log("❌ No update text provided, ending");
+    return res.status(200).end();
   }
-  
-  // Exceptions and holds
-  if (text.includes("exception") || text.includes("on hold") || 
-      text.includes("delayed") || text.includes("missent") ||
-      text.includes("damaged") || text.includes("lost")) {
-    return { 
-      type: "experiencing shipping exception", 
-      severity: "medium", 
-      reason: "Shipping exception detected", 
-      carrier, 
-      route: carrier === "UPS" ? "India-UK" : "China-UK" 
-    };
+  // Validate that this is one of our expected boards
+  if (!isConfiguredBoard(event.boardId)) {
+    console.log(`⚠️  Webhook from unexpected board ${event.boardId}, skipping`);
+    return res.status(200).end();
   }
-  
-  // Weather or facility issues
-  if (text.includes("weather") || text.includes("natural disaster") || 
-      text.includes("facility issue") || text.includes("mechanical failure")) {
-    return { 
-      type: "delayed due to external factors", 
-      severity: "medium", 
-      reason: "External delay factors detected", 
-      carrier, 
-      route: carrier === "UPS" ? "India-UK" : "China-UK" 
-    };
+
+  try {
+    const { job, duplicate } = mondayEventQueue.enqueue({ event, receivedAt: Date.now() }, { dedupeKey: getMondayEventKey(event) });
+    if (duplicate) console.log(`🔁 Monday event ${job.dedupeKey} already received (job ${job.id}, ${job.status}), ignoring`);
+    res.status(200).json({ queued: !duplicate, jobId: job.id });
+  } catch (error) {
+    // Not queued, so let Monday retry it
+    console.error("❌ Failed to queue Monday webhook:", error.message);
+    res.status(500).end();
   }
-  
-  return null;
+});
+
+const SNOOZE_HOURS = 24;
+
+// Reassign rotates to the next configured coordinator
+function getOtherCoordinator(current) {
+  const mentions = Object.keys(boardConfig.coordinators).map(mentionCoordinator);
+  const index = mentions.indexOf(current);
+  return mentions[(index + 1) % mentions.length];
 }
 
-// Update the main analyzeIssue function
-async function analyzeIssue(updateText, location = null) {
-  return await analyzeIssueWithGemini(updateText, detectCarrier(updateText), location);
+// Replace the buttons on the clicked message with a note of what was done
+async function markSlackMessageActioned(payload, note) {
+  const blocks = (payload.message?.blocks || []).filter((block) => block.type !== "actions");
+  const divider = blocks.length && blocks[blocks.length - 1].type === "divider" ? blocks.pop() : null;
+  blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: note }] });
+  if (divider) blocks.push(divider);
+  await slack.chat.update({
+    channel: payload.channel.id,
+    ts: payload.message.ts,
+    text: payload.message.text,
+    blocks,
+  });
 }
 
-app.post("/monday-webhook", async (req, res) => {
-  try {
-    if (req.body?.challenge) return res.json({ challenge: req.body.challenge });
-    
-    const event = req.body?.event;
-    if (!event) return res.status(200).end();
-    
-    const updateText = event.value?.value;
-    const itemId = event.pulseId;
-    const columnId = event.columnId; // This tells us which column was updated
-    
-    // Enhanced debugging - log the entire request body
-    console.log("=== WEBHOOK DEBUG START ===");
-    console.log("Full request body:", JSON.stringify(req.body, null, 2));
-    console.log("Event object:", JSON.stringify(event, null, 2));
-    console.log("Update text:", updateText);
-    console.log("Item ID:", itemId);
-    console.log("Column ID:", columnId);
-    console.log("Board ID:", event.boardId);
-    console.log("=== WEBHOOK DEBUG END ===");
-    
-    if (!updateText) {
-      console.log("❌ No update text provided, ending");
-      return res.status(200).end();
+async function handleAlertAction(payload, action) {
+  const { itemId, boardId, issueType } = JSON.parse(action.value);
+  const key = `${boardId}:${itemId}`;
+  const slackUser = `<@${payload.user.id}>`;
+  const userName = payload.user.name || payload.user.username || payload.user.id;
+  const thread = slackThreads.get(key);
+  const threadTs = thread && !thread.resolved ? thread.ts : payload.message.thread_ts || payload.message.ts;
+
+  console.log(`🖱️ Slack action ${action.action_id} on item ${itemId} by ${userName}`);
+  const recordAction = (actionName, details = {}) => shipmentTimeline.record({ itemId, boardId, type: "action", action: actionName, by: userName, issueType, ...details });
+
+  switch (action.action_id) {
+    case "alert_acknowledge": {
+      await createItemUpdate(itemId, `👀 Alert "${issueType}" acknowledged by ${userName} in Slack.`);
+      await setAlertStatusColumn(itemId, boardId, "Acknowledged");
+      await markSlackMessageActioned(payload, `👀 Acknowledged by ${slackUser}`);
+      recordAction("acknowledged");
+      break;
     }
-    
-    console.log("Processing:", event.pulseName, "->", updateText);
-    console.log("Column ID:", columnId);
-    console.log("Pulse ID:", itemId);
-    console.log("Board ID from webhook:", event.boardId, `(${getBoardName(event.boardId)})`);
-    console.log("Expected tracking column ID for this board:", getTrackingColumnId(event.boardId));
-    console.log("Expected duplicate column ID for this board:", getDuplicateTrackingColumnId(event.boardId) || "Not configured");
-    
-    // Validate that this is one of our expected boards
-    const boardId = String(event.boardId);
-    const validBoards = Object.values(BOARDS);
-    if (!validBoards.includes(boardId)) {
-      console.log(`⚠️  Webhook from unexpected board ${boardId}, skipping`);
-      return res.status(200).end();
+    case "alert_snooze": {
+      const until = Date.now() + SNOOZE_HOURS * 60 * 60 * 1000;
+      snoozes.set(key, { itemId, boardId, until, snoozedBy: userName, snoozedAt: Date.now() });
+      await markSlackMessageActioned(payload, `😴 Snoozed for ${SNOOZE_HOURS}h by ${slackUser}`);
+      recordAction("snoozed", { until: new Date(until).toISOString() });
+      break;
     }
-
-    // Check if this update is from a Customer Tracking column
-    const trackingColumnId = getTrackingColumnId(event.boardId);
-    const isTrackingColumn = columnId === trackingColumnId;
-    
-    console.log(`🔍 Is this from tracking column? ${isTrackingColumn} (expected: ${trackingColumnId}, actual: ${columnId})`);
-    
-    // Extract tracking numbers from URLs (only from Customer Tracking columns)
-    if (isTrackingColumn) {
-      console.log("🎯 Processing tracking column update");
-      const trackingNumber = extractTrackingNumber(updateText);
-      console.log("🔍 Extracted tracking number:", trackingNumber);
-      console.log("🔍 Original text:", updateText);
-      console.log("🔍 Are they different?", trackingNumber !== updateText.trim());
-      
-      if (trackingNumber && trackingNumber !== updateText.trim()) {
-        console.log(`🔍 Extracted tracking number: ${trackingNumber} from URL in Customer Tracking column`);
-        console.log(`📍 Original URL will remain in Customer Tracking column: ${trackingColumnId}`);
-        console.log(`📍 Tracking number will be added to Duplicate Tracking column`);
-        
-        // Check if this board has a duplicate tracking column
-        const duplicateColumnId = getDuplicateTrackingColumnId(event.boardId);
-        if (duplicateColumnId) {
-          console.log(`📍 Updating duplicate tracking column: ${duplicateColumnId}`);
-          // Update the duplicate tracking column with just the tracking number
-          await updateDuplicateTrackingColumn(itemId, trackingNumber, event.boardId);
-        } else {
-          console.log(`⚠️ Board ${getBoardName(event.boardId)} doesn't have duplicate tracking column configured`);
-        }
-        
-        return res.status(200).end();
-      } else {
-        console.log("❌ No tracking number extracted or same as original text");
+    case "alert_reassign": {
+      const current = getItemCoordinator(itemId, boardId);
+      const next = getOtherCoordinator(current);
+      coordinatorOverrides.set(key, { itemId, boardId, coordinator: next, assignedBy: userName, assignedAt: Date.now() });
+      await slack.chat.postMessage({
+        channel: payload.channel.id,
+        thread_ts: threadTs,
+        text: `🔁 ${next} this shipment has been reassigned to you by ${slackUser}.`,
+      });
+      await markSlackMessageActioned(payload, `🔁 Reassigned to ${next} by ${slackUser}`);
+      recordAction("reassigned", { from: current, to: next });
+      break;
+    }
+    case "alert_resolve": {
+      await createItemUpdate(itemId, `✅ Alert "${issueType}" marked as resolved by ${userName} in Slack.`);
+      await setAlertStatusColumn(itemId, boardId, "Resolved");
+      clearStatusHistory(itemId);
+      const resolvedThread = await resolveShipmentThread(itemId, boardId, null, `marked resolved by ${slackUser}`);
+      // The thread parent was already rewritten by resolveShipmentThread
+      if (!resolvedThread || payload.message.ts !== thread?.ts) {
+        await markSlackMessageActioned(payload, `✅ Resolved by ${slackUser}`);
       }
-    } else {
-      console.log("❌ Not from tracking column, continuing with normal processing");
+      recordAction("resolved", { status: "resolved" });
+      break;
     }
+    default:
+      console.log(`⚠️ Unknown Slack action ${action.action_id}, ignoring`);
+  }
+}
 
-    const itemDetails = await getItemDetails(itemId);
-    if (!itemDetails) return res.status(200).end();
+app.post("/slack/interactions", async (req, res) => {
+  const verification = verifySlackSignature({
+    signingSecret: SLACK_SIGNING_SECRET,
+    timestamp: req.get("X-Slack-Request-Timestamp"),
+    signature: req.get("X-Slack-Signature"),
+    rawBody: req.rawBody,
+  });
+  if (!verification.valid) {
+    console.log(`🚫 Rejected Slack interaction: ${verification.reason}`);
+    return res.status(401).end();
+  }
 
-    const ambiguousIssue = checkAmbiguousStatus(itemId, updateText);
-    if (ambiguousIssue) {
-      const location = getLocationFromColumns(itemDetails.columnMap, event.boardId);
-      const slackMessage = createSlackMessage(ambiguousIssue, itemDetails, updateText, location, event.boardId);
-      try {
-        await slack.chat.postMessage({ channel: SLACK_CHANNEL_ID, ...slackMessage });
-      } catch (_) {}
-      return res.status(200).end();
+  let payload;
+  try {
+    payload = JSON.parse(req.body?.payload || "");
+  } catch (error) {
+    return res.status(400).end();
+  }
+
+  // Slack wants an answer within 3 seconds, so acknowledge before doing the work
+  res.status(200).end();
+
+  if (payload.type !== "block_actions") return;
+  for (const action of payload.actions || []) {
+    try {
+      await handleAlertAction(payload, action);
+    } catch (error) {
+      console.error(`❌ Failed to handle Slack action ${action.action_id}:`, error);
     }
+  }
+});
 
-    const issue = await analyzeIssue(updateText, getLocationFromColumns(itemDetails.columnMap, event.boardId));
-    if (issue) {
-      const location = getLocationFromColumns(itemDetails.columnMap, event.boardId);
-      const notify = shouldNotifyCustomer(updateText);
-      if (notify.shouldNotify) {
-        const { name, company } = getNameAndCompanyFromMonday(itemDetails);
-        if (!company) {
-          console.log("Company (text3) not set in Monday - cannot notify");
-        } else {
-          const contacts = []; // Use HubSpot API if needed
-          if (contacts?.length) {
-            const contact = contacts[0];
-            await sendCustomerNotificationSMTP(
-              contact.email,
-              `${contact.firstName} ${contact.lastName}`.trim(),
-              itemDetails.poNumber,
-              notify,
-              location,
-              updateText,
-              itemDetails
-            );
-            console.log("Customer notification sent to", contact.email);
-          }
-        }
-      }
-      const slackMessage = createSlackMessage(issue, itemDetails, updateText, location, event.boardId);
-      await slack.chat.postMessage({ channel: SLACK_CHANNEL_ID, ...slackMessage });
-      console.log("Alert sent successfully" + (issue.aiAnalysis ? " (AI-detected)" : " (rule-based)"));
+// Customer replies to notification emails, keyed by their Message-ID so a
+// forwarder retry doesn't post the same reply twice
+const inboundEmails = store.collection("inboundEmails");
+
+// The item a reply is about: the email it answers (In-Reply-To/References),
+// then the PO number in the subject or body
+async function matchInboundEmail(email) {
+  if (email.referencedIds.length) {
+    const answered = emailQueue.list({ status: "completed" })
+      .find((job) => job.result?.messageId && email.referencedIds.includes(parseMessageIds(job.result.messageId)[0]));
+    if (answered) {
+      return { itemId: answered.payload.itemId, boardId: answered.payload.boardId, matchedBy: "message-id", emailId: answered.id };
+    }
+  }
+
+  const poNumber = extractPoNumber(email.subject, email.text);
+  if (!poNumber) return null;
+  const emailed = emailQueue.list().find((job) => String(job.payload.poNumber) === poNumber);
+  if (emailed) {
+    return { itemId: emailed.payload.itemId, boardId: emailed.payload.boardId, matchedBy: "po", emailId: emailed.id };
+  }
+  const item = await findItemByName(poNumber);
+  return item ? { itemId: item.id, boardId: item.boardId, matchedBy: "po", emailId: null } : null;
+}
+
+// Post the reply on the Monday item and tell the item's coordinator in its Slack thread.
+// Once the Monday update is posted that is recorded against the message ID, so
+// a retry after a failed Slack post doesn't post the update a second time.
+async function handleCustomerReply(email, progress = null) {
+  const reply = extractReplyText(email.text) || email.text.trim();
+  const sender = email.from.address || "unknown sender";
+  const match = await matchInboundEmail(email);
+
+  if (!match) {
+    console.log(`❓ Customer reply from ${sender} ("${email.subject}") matches no item`);
+    await slack.chat.postMessage({
+      channel: SLACK_CHANNEL_ID,
+      text: `${mentionCoordinator(boardConfig.defaultCoordinator)} 📧 Customer reply from ${sender} could not be matched to a Monday item.\nSubject: ${email.subject}\n> ${reply.replace(/\n/g, "\n> ")}`,
+    });
+    return { status: "unmatched" };
+  }
+
+  const itemDetails = await getItemDetails(match.itemId);
+  const boardId = String(itemDetails?.boardId || match.boardId);
+  const poNumber = itemDetails?.poNumber || match.itemId;
+  console.log(`📧 Customer reply from ${sender} matched item ${match.itemId} (${poNumber}) by ${match.matchedBy}`);
+
+  if (progress?.mondayUpdatePosted) {
+    console.log(`⏭️ Reply ${email.messageId} is already on Monday item ${match.itemId}, only notifying Slack`);
+  } else {
+    await createItemUpdate(match.itemId, formatReplyUpdate({ from: email.from, subject: email.subject, reply }));
+    shipmentTimeline.record({
+      itemId: match.itemId,
+      boardId,
+      name: itemDetails?.poNumber,
+      type: "reply",
+      from: email.from.address,
+      subject: email.subject,
+      text: reply,
+      matchedBy: match.matchedBy,
+    });
+    if (email.messageId) {
+      inboundEmails.set(email.messageId, { messageId: email.messageId, itemId: match.itemId, pending: true, mondayUpdatePosted: true });
     }
-    res.status(200).end();
-  } catch (e) {
-    console.error("Webhook error:", e);
-    res.status(200).end();
+  }
+
+  const carrier = getShipmentLegs(match.itemId)[0]?.carrier || getBoardConfig(boardId).defaultCarrier || null;
+  const coordinator = getItemCoordinator(match.itemId, boardId, null, carrier);
+  await postToShipmentThread(match.itemId, boardId, {
+    text: `${coordinator} 📧 ${email.from.name || sender} replied about ${poNumber} - posted on the Monday item.\n> ${reply.replace(/\n/g, "\n> ")}`,
+  });
+  return { status: "matched", ...match, boardId };
+}
+
+// Inbound email webhook: parsed JSON or { raw } RFC 822 source, see src/inboundEmail.js
+app.post("/inbound-email", async (req, res) => {
+  const verification = verifySharedSecret({
+    secret: INBOUND_EMAIL_SECRET,
+    provided: req.get("X-Inbound-Secret"),
+    name: "INBOUND_EMAIL_SECRET",
+  });
+  if (!verification.valid) {
+    console.log(`🚫 Rejected inbound email: ${verification.reason}`);
+    return res.status(401).end();
+  }
+
+  const email = normalizeInboundEmail(req.body);
+  if (!email.from.address || !email.text.trim()) {
+    return res.status(400).json({ success: false, error: "Email needs a sender and a text body" });
+  }
+  const previous = email.messageId ? inboundEmails.get(email.messageId) : null;
+  if (previous && !previous.pending) {
+    return res.json({ success: true, duplicate: true, ...previous });
+  }
+
+  try {
+    const result = await handleCustomerReply(email, previous);
+    const record = {
+      messageId: email.messageId,
+      from: email.from.address,
+      subject: email.subject,
+      receivedAt: Date.now(),
+      ...result,
+    };
+    if (email.messageId) inboundEmails.set(email.messageId, record);
+    res.json({ success: true, ...record });
+  } catch (error) {
+    // Not recorded as done, so the forwarder's retry gets another go
+    console.error(`❌ Failed to process customer reply from ${email.from.address}:`, error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
 app.get("/test-monday-auth", async (req, res) => {
   try {
-    // Test Monday.com authentication with a simple query
-    const query = `query { me { name email } }`;
-    const response = await monday.api(query);
-    
-    if (response.errors) {
-      res.status(401).json({
-        success: false,
-        error: "Monday.com authentication failed",
-        details: response.errors
-      });
-    } else {
-      res.json({
-        success: true,
-        message: "Monday.com authentication successful",
-        user: response.data.me
-      });
-    }
+    const user = await monday.me();
+    res.json({ success: true, message: "Monday.com authentication successful", user, api: monday.stats() });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status === 401 || error.status === 403 ? 401 : 500).json({
       success: false,
-      error: error.message
+      error: "Monday.com authentication failed",
+      details: error.errors || error.message,
     });
   }
 });
 
-app.get("/test-gemini/:text", async (req, res) => {
+app.get(["/test-ai/:text", "/test-gemini/:text"], async (req, res) => {
   try {
     const text = decodeURIComponent(req.params.text);
-    console.log(`🧪 Testing Gemini analysis on: "${text}"`);
+    console.log(`🧪 Testing AI analysis on: "${text}"`);
     
-    const issue = await analyzeIssueWithGemini(text, "DHL", "LONDON-UK");
+    const issue = await analyzeIssueWithAI(text, "DHL", "LONDON-UK");
     
     res.json({
       success: true,
       input: text,
       analysis: issue,
-      geminiAvailable: !!genAI
+      aiProvider: aiProvider ? { name: aiProvider.name, model: aiProvider.model } : null,
     });
     
   } catch (error) {
@@ -865,12 +1941,16 @@ app.get("/test-extract/:text", async (req, res) => {
     const text = decodeURIComponent(req.params.text);
     console.log(`🧪 Testing extraction on: "${text}"`);
     
-    const trackingNumber = extractTrackingNumber(text);
+    const parsed = parseTrackingNumber(text);
+    const trackingNumber = parsed?.trackingNumber || null;
     
     res.json({
       success: true,
       originalText: text,
       extractedNumber: trackingNumber,
+      carrier: parsed?.carrier || null,
+      confidence: parsed?.confidence || 0,
+      format: parsed?.format || null,
       isDifferent: trackingNumber !== text.trim(),
       willTriggerUpdate: !!(trackingNumber && trackingNumber !== text.trim())
     });
@@ -958,11 +2038,12 @@ app.get("/debug-location/:itemId", async (req, res) => {
       }
     });
     
+    const locationColumnId = getLocationColumnId(itemDetails.boardId);
     res.json({
       itemId,
       itemName: itemDetails.name,
-      currentLocationColumnUsed: "text5__1",
-      currentLocationValue: columnInfo["text5__1"] || "Not found",
+      currentLocationColumnUsed: locationColumnId,
+      currentLocationValue: columnInfo[locationColumnId] || "Not found",
       potentialLocationColumns,
       allColumns: columnInfo,
       note: "Check 'potentialLocationColumns' for the correct location column ID"
@@ -972,19 +2053,413 @@ app.get("/debug-location/:itemId", async (req, res) => {
   }
 });
 
+function toShipmentSummary(shipment) {
+  const iso = (timestamp) => new Date(timestamp).toISOString();
+  return {
+    ...shipmentTimeline.summarize(shipment),
+    boardName: shipment.boardId ? getBoardName(shipment.boardId) : null,
+    lastIssue: shipment.lastIssue ? { ...shipment.lastIssue, at: iso(shipment.lastIssue.at) } : null,
+    firstSeenAt: iso(shipment.firstSeenAt),
+    lastEventAt: iso(shipment.lastEventAt),
+  };
+}
+
+// Shipments the watcher has seen, most recently active first. Filter by board,
+// status (in_transit, issue, resolved, delivered) and carrier; page with
+// offset and limit (50 per page by default, at most 200).
+app.get("/shipments", (req, res) => {
+  const { board, status, carrier, offset, limit } = req.query;
+  if (status && !SHIPMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${SHIPMENT_STATUSES.join(", ")}` });
+  }
+  const page = shipmentTimeline.list({ board, status, carrier, offset, limit });
+  res.json({ ...page, shipments: page.shipments.map(toShipmentSummary) });
+});
+
+// Everything that happened to one item, oldest first. ?type=alert,email limits
+// the event types.
+app.get("/shipments/:itemId/timeline", (req, res) => {
+  const types = req.query.type ? String(req.query.type).split(",").map((type) => type.trim()).filter(Boolean) : null;
+  const unknown = (types || []).filter((type) => !TIMELINE_EVENT_TYPES.includes(type));
+  if (unknown.length) {
+    return res.status(400).json({ success: false, error: `Unknown event type(s) ${unknown.join(", ")}; use ${TIMELINE_EVENT_TYPES.join(", ")}` });
+  }
+  const shipment = shipmentTimeline.get(req.params.itemId);
+  if (!shipment) return res.status(404).json({ success: false, error: "No timeline recorded for this item" });
+  const page = shipmentTimeline.events(req.params.itemId, { types, offset: req.query.offset, limit: req.query.limit });
+  res.json({
+    shipment: toShipmentSummary(shipment),
+    ...page,
+    events: page.events.map((event) => ({ ...event, at: new Date(event.at).toISOString() })),
+  });
+});
+
+app.get("/sweeper", (req, res) => {
+  const now = Date.now();
+  const tracked = [...ambiguousStatusHistory.entries()].map(([historyKey, history]) => ({
+    itemId: history.itemId || historyKey,
+    trackingNumber: history.trackingNumber || null,
+    boardId: history.boardId,
+    status: history.status,
+    rule: history.rule || null,
+    route: history.route || null,
+    timeoutHours: history.timeoutHours,
+    businessHours: Boolean(history.businessHours),
+    countries: history.countries || [],
+    hoursTracked: Math.round(getHoursTracked(history, now) * 10) / 10,
+    lastUpdateText: history.lastUpdateText,
+  }));
+  res.json({ ...stuckShipmentSweeper.status(), tracked });
+});
+
+app.post("/sweeper/run", async (req, res) => {
+  try {
+    const result = await stuckShipmentSweeper.runNow();
+    res.json({ success: true, result, status: stuckShipmentSweeper.status() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/carrier-poller", (req, res) => {
+  res.json({
+    ...carrierPoller.status(),
+    adapters: Object.keys(carrierAdapters),
+    pushSources: Object.keys(pushSources),
+    legs: [...carrierEvents.values()],
+  });
+});
+
+app.post("/carrier-poller/run", async (req, res) => {
+  try {
+    const result = await carrierPoller.runNow();
+    res.json({ success: true, result, status: carrierPoller.status() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Pushed tracking events from a carrier or aggregator. Each tracking number is
+// mapped to its item(s) through the known shipment legs and runs through the
+// same pipeline as polled events; numbers we don't track are acknowledged and
+// ignored so the sender doesn't keep retrying them. Whether an event is the
+// delivery comes from the sender's status code, not the event description.
+app.post("/carrier-webhooks/:source", async (req, res) => {
+  const source = pushSources[req.params.source];
+  if (!source) return res.status(404).json({ success: false, error: `Push source "${req.params.source}" is not configured` });
+
+  const verification = source.verify({ header: (name) => req.get(name), rawBody: req.rawBody });
+  if (!verification.valid) {
+    console.log(`🚫 Rejected ${source.source} push: ${verification.reason}`);
+    return res.status(401).end();
+  }
+
+  let updates;
+  try {
+    updates = source.parse(req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: `Unreadable ${source.source} payload: ${error.message}` });
+  }
+
+  const result = { received: updates.length, processed: [], unmatched: [], columnsWritten: 0, failed: [] };
+  for (const tracking of updates) {
+    const matches = findLegsByTrackingNumber(tracking.trackingNumber);
+    if (!matches.length) {
+      result.unmatched.push(tracking.trackingNumber);
+      continue;
+    }
+    for (const { itemId, boardId, leg } of matches) {
+      if (leg.deliveredAt) continue;
+      try {
+        const carrier = leg.carrier !== "unknown" ? leg.carrier : tracking.carrier;
+        const ingested = await ingestCarrierTracking({ itemId, boardId, leg: { ...leg, carrier }, tracking, source: `${source.source} push` });
+        result.processed.push(...ingested.processed);
+        if (await writeTrackingStatusToMonday(itemId, boardId)) result.columnsWritten += 1;
+      } catch (error) {
+        console.error(`❌ ${source.source} push failed for ${tracking.trackingNumber} (item ${itemId}):`, error.message);
+        result.failed.push({ itemId, trackingNumber: tracking.trackingNumber, error: error.message });
+      }
+    }
+  }
+
+  if (result.unmatched.length) console.log(`📬 ${source.source} push: ignoring untracked number(s) ${result.unmatched.join(", ")}`);
+  // A failure is reported so the sender retries; already-processed events are skipped then
+  res.status(result.failed.length ? 500 : 200).json({ success: !result.failed.length, ...result });
+});
+
+// Normalised carrier events for a tracking number, straight from the carrier API
+app.get("/test-carrier/:trackingNumber", async (req, res) => {
+  const parsed = parseTrackingNumber(req.params.trackingNumber);
+  const carrier = req.query.carrier || parsed?.carrier;
+  const adapter = carrierAdapters[carrier];
+  if (!adapter) return res.status(400).json({ success: false, error: `No tracking adapter configured for carrier "${carrier || "unknown"}"` });
+  try {
+    const tracking = await adapter.track(parsed?.trackingNumber || req.params.trackingNumber);
+    if (!tracking) return res.status(404).json({ success: false, error: `${carrier} has no record of this tracking number` });
+    res.json({ success: true, ...tracking });
+  } catch (error) {
+    res.status(502).json({ success: false, error: error.message });
+  }
+});
+
+// AI spend, call counts against the daily limit and cache hit rate. ?days=30
+app.get("/ai/stats", (req, res) => {
+  const pruned = classificationCache.prune();
+  res.json({
+    provider: aiProvider ? { name: aiProvider.name, model: aiProvider.model } : null,
+    timeoutMs: Number(AI_TIMEOUT_MS),
+    cache: { entries: classificationCache.size(), ttlHours: Number(AI_CACHE_TTL_HOURS), prunedNow: pruned },
+    pricing: aiProvider ? aiPricing[aiProvider.model] || null : null,
+    ...aiUsage.stats({ lastDays: Number(req.query.days) || 30 }),
+  });
+});
+
+// Loaded issue rules in match order
+app.get("/rules", (req, res) => {
+  res.json({ ...ruleEngine.status(), rules: ruleEngine.rules.map(describeRule), ...ruleEngine.thresholdSettings() });
+});
+
+app.post("/rules/reload", (req, res) => {
+  try {
+    ruleEngine.reload();
+    res.json({ success: true, ...ruleEngine.status() });
+  } catch (error) {
+    res.status(422).json({ success: false, error: error.message, status: ruleEngine.status() });
+  }
+});
+
+// Which rule an update would match and what it would do, including the stuck
+// threshold for the lane. ?text=...&carrier=UPS&board=123&route=India-UK
+// (carrier defaults to detection from the text, route to the board's route)
+app.get("/rules/explain", (req, res) => {
+  const text = String(req.query.text || "");
+  if (!text) return res.status(400).json({ success: false, error: "text is required" });
+  const boardId = req.query.board || null;
+  const carrier = req.query.carrier || detectCarrier(text, boardId);
+  const route = req.query.route || getRoute(boardId, carrier);
+  const { matched, evaluated } = ruleEngine.explain({ text, carrier, boardId });
+  res.json({
+    input: { text, carrier, boardId, route },
+    matched,
+    outcome: matched
+      ? {
+          issue: classifyIssueBasic(text, carrier, { rules: ruleEngine.rules, boardId }).issue,
+          askAi: !matched.confident,
+          notify: matched.notify,
+          stuck: ruleEngine.threshold({ rule: matched, carrier, boardId, route }),
+        }
+      : { issue: null, askAi: true, notify: null, stuck: null },
+    evaluated,
+    rulesLoadedAt: ruleEngine.status().loadedAt,
+  });
+});
+
+// Customer email delivery log, newest first. ?status=pending|processing|completed|failed
+app.get("/emails", (req, res) => {
+  const emails = emailQueue.list({ status: req.query.status }).map(toDeliveryRecord);
+  res.json({ stats: emailQueue.stats(), count: emails.length, emails });
+});
+
+// Put a failed email back in the queue
+app.post("/emails/:id/resend", (req, res) => {
+  try {
+    const job = emailQueue.retry(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: "Email not found" });
+    res.json({ success: true, email: toDeliveryRecord(job) });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Queued Monday webhook events, newest first. ?status=failed lists the dead letters
+app.get("/webhook-jobs", (req, res) => {
+  const jobs = mondayEventQueue.list({ status: req.query.status }).map(toWebhookJobRecord);
+  res.json({ stats: mondayEventQueue.stats(), count: jobs.length, jobs });
+});
+
+app.get("/webhook-jobs/:id", (req, res) => {
+  const job = mondayEventQueue.get(req.params.id);
+  if (!job) return res.status(404).json({ success: false, error: "Job not found" });
+  res.json({ ...toWebhookJobRecord(job), event: job.payload.event });
+});
+
+// Replay every dead letter, e.g. after an outage
+app.post("/webhook-jobs/replay-failed", (req, res) => {
+  const replayed = mondayEventQueue.list({ status: "failed" }).map((job) => toWebhookJobRecord(mondayEventQueue.retry(job.id)));
+  res.json({ success: true, count: replayed.length, jobs: replayed });
+});
+
+app.post("/webhook-jobs/:id/replay", (req, res) => {
+  try {
+    const job = mondayEventQueue.retry(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: "Job not found" });
+    res.json({ success: true, job: toWebhookJobRecord(job) });
+  } catch (error) {
+    res.status(409).json({ success: false, error: error.message });
+  }
+});
+
+// Start a backfill over every configured board (or just `boards`). Pass
+// board + cursor to start part-way through a board from a page cursor.
+const isBoardIdValue = (value) => (typeof value === "string" || typeof value === "number") && /^\d+$/.test(String(value));
+const isPositiveCount = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+// What is wrong with a POST /backfill body, or null
+function validateBackfillRequest(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return "body must be a JSON object";
+  if (body.boards !== undefined && (!Array.isArray(body.boards) || !body.boards.length || !body.boards.every(isBoardIdValue))) {
+    return "boards must be a non-empty array of board IDs";
+  }
+  if (body.board != null && !isBoardIdValue(body.board)) return "board must be a board ID";
+  if (body.cursor != null && typeof body.cursor !== "string") return "cursor must be a string";
+  if (body.maxItems != null && !isPositiveCount(body.maxItems)) return "maxItems must be a positive whole number";
+  return null;
+}
+
+app.post("/backfill", (req, res) => {
+  if (activeBackfillId) return res.status(409).json({ success: false, error: `Backfill ${activeBackfillId} is already running` });
+  const invalid = validateBackfillRequest(req.body ?? {});
+  if (invalid) return res.status(400).json({ success: false, error: invalid });
+  const { dryRun = false, analyze = false, board = null, cursor = null, maxItems = null } = req.body || {};
+  const boards = (req.body?.boards || (board != null ? [board] : boardConfig.boards.map((configured) => configured.id))).map(String);
+  const unknown = boards.filter((boardId) => !isConfiguredBoard(boardId));
+  if (unknown.length) return res.status(400).json({ success: false, error: `Unknown board(s): ${unknown.join(", ")}` });
+  if (cursor && boards.length !== 1) return res.status(400).json({ success: false, error: "cursor needs a single board" });
+
+  const run = {
+    id: crypto.randomUUID(),
+    status: "pending",
+    dryRun: Boolean(dryRun),
+    analyze: Boolean(analyze),
+    maxItems: maxItems ? Number(maxItems) : null,
+    boards,
+    position: { boardIndex: 0, boardId: boards[0], cursor, itemsDone: 0 },
+    counts: emptyBackfillCounts(),
+    byBoard: {},
+    changes: [],
+    issues: [],
+    errors: [],
+    lastError: null,
+    createdAt: Date.now(),
+  };
+  backfillRuns.set(run.id, run);
+  runBackfill(run.id);
+  res.status(202).json({ success: true, run: toBackfillReport(backfillRuns.get(run.id)) });
+});
+
+app.get("/backfill", (req, res) => {
+  const runs = [...backfillRuns.values()].sort((a, b) => b.createdAt - a.createdAt);
+  res.json({
+    active: activeBackfillId,
+    runs: runs.map((run) => {
+      const { changes, issues, errors, ...summary } = toBackfillReport(run);
+      return summary;
+    }),
+  });
+});
+
+app.get("/backfill/:id", (req, res) => {
+  const run = backfillRuns.get(req.params.id);
+  if (!run) return res.status(404).json({ success: false, error: "Backfill run not found" });
+  res.json(toBackfillReport(run));
+});
+
+// Carry on from the stored position; maxItems applies to this stretch only
+app.post("/backfill/:id/resume", (req, res) => {
+  const run = backfillRuns.get(req.params.id);
+  if (!run) return res.status(404).json({ success: false, error: "Backfill run not found" });
+  if (activeBackfillId) return res.status(409).json({ success: false, error: `Backfill ${activeBackfillId} is already running` });
+  if (run.status === "completed") return res.status(409).json({ success: false, error: "Backfill run already completed" });
+  if (req.body?.maxItems != null && !isPositiveCount(req.body.maxItems)) {
+    return res.status(400).json({ success: false, error: "maxItems must be a positive whole number" });
+  }
+  if (req.body?.maxItems !== undefined) backfillRuns.set(run.id, { ...run, maxItems: req.body.maxItems ? Number(req.body.maxItems) : null });
+  runBackfill(run.id);
+  res.status(202).json({ success: true, run: toBackfillReport(backfillRuns.get(run.id)) });
+});
+
+// Loaded board configuration plus the runtime settings, credentials masked
+app.get("/config", (req, res) => {
+  res.json(redactSecrets({
+    boards: {
+      path: boardConfig.path,
+      loadedAt: boardConfig.loadedAt,
+      defaultCoordinator: boardConfig.defaultCoordinator,
+      coordinators: boardConfig.coordinators,
+      boards: boardConfig.boards,
+    },
+    rules: ruleEngine.status(),
+    settings: {
+      MONDAY_TOKEN,
+      MONDAY_BOARD_ID,
+      MONDAY_SIGNING_SECRET,
+      MONDAY_ALLOWED_BOARD_IDS,
+      MONDAY_ALERT_STATUS_COLUMN_ID,
+      MONDAY_API_URL,
+      MONDAY_API_VERSION,
+      SLACK_BOT_TOKEN,
+      SLACK_API_URL,
+      SLACK_SIGNING_SECRET,
+      SLACK_CHANNEL_ID,
+      GEMINI_API_KEY,
+      OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+      AI_PROVIDER: aiProvider?.name || "none",
+      AI_MODEL: aiProvider?.model || null,
+      AI_TIMEOUT_MS,
+      AI_CACHE_TTL_HOURS,
+      AI_DAILY_CALL_LIMIT,
+      HUBSPOT_API_KEY,
+      SMTP_HOST,
+      SMTP_PORT,
+      SMTP_USER,
+      SMTP_PASS,
+      EMAIL_FROM,
+      STORE_DRIVER: store.driver,
+      WEBHOOK_MAX_ATTEMPTS,
+      WEBHOOK_RETRY_BASE_SECONDS,
+      WEBHOOK_POLL_SECONDS,
+      WEBHOOK_JOB_RETENTION_DAYS,
+      SHIPMENT_TIMELINE_RETENTION_DAYS,
+      SHIPMENT_TIMELINE_MAX_AGE_DAYS,
+      SWEEPER_ENABLED,
+      SWEEPER_INTERVAL_MINUTES,
+      ALERT_COOLDOWN_MINUTES,
+      ALWAYS_ALERT,
+      DEBUG,
+    },
+  }));
+});
+
+// Render the customer email for an item without sending it
+app.get("/email-preview/:itemId", async (req, res) => {
+  try {
+    const itemDetails = await getItemDetails(req.params.itemId);
+    if (!itemDetails) return res.status(404).send("Item not found");
+
+    const reason = req.query.reason || "default";
+    const { name, company } = getNameAndCompanyFromMonday(itemDetails);
+    const location = getLocationFromColumns(itemDetails.columnMap, itemDetails.boardId);
+    const updateText = req.query.update || "Delivery attempted - example carrier update";
+    const email = buildCustomerEmail(itemDetails, { reason, actionRequired: getCustomerAction(reason) }, location, updateText, {
+      customerName: name || company || "Customer",
+      language: req.query.lang || getCustomerLanguage(company),
+    });
+
+    if (req.query.format === "text") return res.type("text/plain").send(email.text);
+    if (req.query.format === "json") return res.json(email);
+    res.type("html").send(email.html);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get("/test", (req, res) => {
   res.send("Logistics watcher is running! " + new Date().toISOString());
 });
 
 app.get("/smtp-verify", async (req, res) => {
   try {
-    const transporter = nodemailer.createTransporter({
-      host: process.env.SMTP_HOST,
-      port: Number(process.env.SMTP_PORT),
-      secure: (process.env.SMTP_SECURE || "false").toLowerCase() === "true",
-      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
-    });
-    await transporter.verify();
+    await mailTransport.verify();
     res.send("✅ SMTP connection OK (Gmail reachable)");
   } catch (e) {
     res.status(500).send("❌ SMTP verify failed: " + e.message);
@@ -993,4 +2468,15 @@ app.get("/smtp-verify", async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Watcher listening on ${PORT}`);
+  stuckShipmentSweeper.start();
+  carrierPoller.start();
+  shipmentTimelinePruner.start();
+  emailQueue.start();
+  mondayEventQueue.start();
 });
+
+// The file store batches its writes; write out the last batch before exiting
+process.on("exit", () => store.close());
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => process.exit(0));
+}
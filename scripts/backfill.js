@@ -0,0 +1,97 @@
+import { pathToFileURL } from "url";
+
+// Runs a backfill on the watcher and prints its summary report once it stops.
+//   node scripts/backfill.js [--dry-run] [--analyze] [--board <id>]... [--cursor <cursor>] [--max-items <n>]
+//   node scripts/backfill.js --resume <runId> [--max-items <n>]
+// BACKFILL_URL defaults to the local watcher.
+
+const POLL_INTERVAL_MS = 2000;
+
+function parseArgs(argv) {
+  const options = { boards: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--analyze") options.analyze = true;
+    else if (arg === "--board") options.boards.push(argv[++i]);
+    else if (arg === "--cursor") options.cursor = argv[++i];
+    else if (arg === "--max-items") options.maxItems = Number(argv[++i]);
+    else if (arg === "--resume") options.resume = argv[++i];
+    else throw new Error(`Unknown option ${arg}`);
+  }
+  return options;
+}
+
+async function call(url, { method = "GET", body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const result = await response.json();
+  if (!response.ok) throw new Error(`${method} ${url} failed (${response.status}): ${result.error || JSON.stringify(result)}`);
+  return result;
+}
+
+export async function runBackfill({ url, dryRun, analyze, boards = [], cursor, maxItems, resume }) {
+  const started = resume
+    ? await call(`${url}/${resume}/resume`, { method: "POST", body: { maxItems } })
+    : await call(url, { method: "POST", body: { dryRun, analyze, boards: boards.length ? boards : undefined, cursor, maxItems } });
+
+  let report = started.run;
+  while (["pending", "running"].includes(report.status)) {
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+    report = await call(`${url}/${report.id}`);
+    process.stdout.write(`\r🧹 ${report.totals.items} items processed...`);
+  }
+  process.stdout.write("\n");
+  return report;
+}
+
+export function formatReport(report) {
+  const lines = [
+    `Backfill ${report.id}: ${report.status}${report.dryRun ? " (dry run, nothing was written)" : ""}`,
+    "",
+    "Board                  Items  Tracking  Duplicate  Seeded  Issues  Errors",
+  ];
+  for (const board of [...report.boards, { name: "Total", ...report.totals }]) {
+    lines.push([
+      board.name.padEnd(20),
+      String(board.items).padStart(7),
+      String(board.withTracking).padStart(9),
+      String(board.duplicateUpdates).padStart(10),
+      String(board.seeded).padStart(7),
+      String(board.issues).padStart(7),
+      String(board.errors).padStart(7),
+    ].join(" "));
+  }
+  if (report.issues.length) {
+    lines.push("", "Issues:");
+    for (const issue of report.issues) lines.push(`  ${issue.name} (${issue.itemId}): ${issue.type} [${issue.severity}] - "${issue.status}"`);
+  }
+  if (report.errors.length) {
+    lines.push("", "Errors:");
+    for (const error of report.errors) lines.push(`  ${error.name} (${error.itemId}): ${error.error}`);
+  }
+  if (report.lastError) lines.push("", `Stopped by: ${report.lastError}`);
+  if (report.status !== "completed") {
+    lines.push("", `Resume with: node scripts/backfill.js --resume ${report.id}`);
+    if (report.position.cursor) lines.push(`  (board ${report.position.boardId}, cursor ${report.position.cursor})`);
+  }
+  return lines.join("\n");
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error("Usage: node scripts/backfill.js [--dry-run] [--analyze] [--board <id>]... [--cursor <cursor>] [--max-items <n>] | --resume <runId>");
+    process.exit(1);
+  }
+  const url = process.env.BACKFILL_URL || `http://localhost:${process.env.PORT || 3000}/backfill`;
+  const report = await runBackfill({ url, ...options });
+  console.log(formatReport(report));
+  if (report.status === "failed") process.exit(1);
+}
@@ -0,0 +1,74 @@
+import express from "express";
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Local stand-in for the DHL, UPS and FedEx tracking APIs used by
+// src/carriers. Responses are recorded API bodies from fixtures/carriers,
+// keyed by tracking number. Run it directly (`node scripts/carrier-mock.js`)
+// and point DHL_API_BASE_URL, UPS_API_BASE_URL and FEDEX_API_BASE_URL at it,
+// or import startCarrierMock() and pass your own fixtures. Every tracking
+// request is listed at GET /__requests.
+
+const readFixture = (name) => JSON.parse(fs.readFileSync(new URL(`../fixtures/carriers/${name}.json`, import.meta.url), "utf8"));
+
+export function startCarrierMock({
+  port = 4020,
+  fixtures = { dhl: readFixture("dhl"), ups: readFixture("ups"), fedex: readFixture("fedex") },
+} = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  const requests = [];
+
+  const token = (req, res) => res.json({ access_token: "mock-token", token_type: "Bearer", expires_in: "3599" });
+  app.post("/security/v1/oauth/token", token);
+  app.post("/oauth/token", token);
+
+  app.get("/track/shipments", (req, res) => {
+    const trackingNumber = String(req.query.trackingNumber || "");
+    requests.push({ carrier: "DHL", trackingNumber });
+    const body = fixtures.dhl[trackingNumber];
+    if (!body) return res.status(404).json({ status: 404, title: "No result found", detail: "No shipment with given tracking number found." });
+    res.json(body);
+  });
+
+  app.get("/api/track/v1/details/:trackingNumber", (req, res) => {
+    const { trackingNumber } = req.params;
+    requests.push({ carrier: "UPS", trackingNumber });
+    if (!req.get("Authorization")) return res.status(401).json({ response: { errors: [{ code: "250002", message: "Invalid Authentication Information." }] } });
+    const body = fixtures.ups[trackingNumber];
+    if (!body) return res.status(404).json({ response: { errors: [{ code: "TW0001", message: "Tracking Information Not Found" }] } });
+    res.json(body);
+  });
+
+  app.post("/track/v1/trackingnumbers", (req, res) => {
+    const trackingNumber = req.body?.trackingInfo?.[0]?.trackingNumberInfo?.trackingNumber;
+    requests.push({ carrier: "FedEx", trackingNumber });
+    const body = fixtures.fedex[trackingNumber];
+    if (!body) {
+      return res.json({
+        output: {
+          completeTrackResults: [{
+            trackingNumber,
+            trackResults: [{ error: { code: "TRACKING.TRACKINGNUMBER.NOTFOUND", message: "Tracking number cannot be found." } }],
+          }],
+        },
+      });
+    }
+    res.json(body);
+  });
+
+  app.get("/__requests", (req, res) => res.json(requests));
+
+  const server = app.listen(port);
+  return {
+    url: `http://localhost:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = startCarrierMock({ port: Number(process.env.CARRIER_MOCK_PORT || 4020) });
+  console.log(`Carrier tracking mock listening on ${mock.url}`);
+}
@@ -0,0 +1,59 @@
+import crypto from "crypto";
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Local stand-in for carrier and aggregator push notifications: signs a
+// payload the way the source does and posts it to /carrier-webhooks/:source.
+//   node scripts/carrier-push.js <dhl|ups|fedex|aftership|17track> [payload.json]
+// CARRIER_PUSH_URL defaults to the local watcher; the secret is read from the
+// same variable the watcher uses for that source (e.g. AFTERSHIP_WEBHOOK_SECRET).
+
+const SECRET_VARS = {
+  dhl: "DHL_PUSH_SECRET",
+  ups: "UPS_PUSH_CREDENTIAL",
+  fedex: "FEDEX_WEBHOOK_SECRET",
+  aftership: "AFTERSHIP_WEBHOOK_SECRET",
+  "17track": "SEVENTEENTRACK_API_KEY",
+};
+
+const hmac = (secret, body, encoding) => crypto.createHmac("sha256", secret).update(body).digest(encoding);
+
+function signatureHeaders(source, secret, body) {
+  if (!secret) return {};
+  switch (source) {
+    case "dhl": return { "X-Webhook-Secret": secret };
+    case "ups": return { credential: secret };
+    case "fedex": return { "x-fedex-signature": hmac(secret, body, "hex") };
+    case "aftership": return { "aftership-hmac-sha256": hmac(secret, body, "base64") };
+    case "17track": return { sign: crypto.createHash("sha256").update(`${body}/${secret}`).digest("hex") };
+    default: throw new Error(`Unknown push source ${source}`);
+  }
+}
+
+export async function postCarrierPush({ url, source, secret, body }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...signatureHeaders(source, secret, body) },
+    body,
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const source = process.argv[2];
+  if (!SECRET_VARS[source]) {
+    console.error(`Usage: node scripts/carrier-push.js <${Object.keys(SECRET_VARS).join("|")}> [payload.json]`);
+    process.exit(1);
+  }
+  const file = process.argv[3] || new URL(`../fixtures/carrier-push/${source}.json`, import.meta.url);
+  const baseUrl = process.env.CARRIER_PUSH_URL || `http://localhost:${process.env.PORT || 3000}/carrier-webhooks`;
+  const result = await postCarrierPush({
+    url: `${baseUrl}/${source}`,
+    source,
+    secret: process.env[SECRET_VARS[source]],
+    // Posted byte for byte, since the signature covers the raw body
+    body: fs.readFileSync(file, "utf8"),
+  });
+  console.log(`📬 ${source} push posted (${result.status}):`, JSON.stringify(result.body, null, 2));
+}
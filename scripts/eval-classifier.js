@@ -0,0 +1,192 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { classifyIssueBasic, shouldNotifyCustomer, toAiIssue } from "../src/classifier.js";
+import { createStubProvider, analyzeWithProvider } from "../src/ai/index.js";
+import { loadRules } from "../src/rules.js";
+
+// Offline evaluation of issue classification against a labelled corpus of
+// carrier update strings (fixtures/eval/corpus.json). Scores three things:
+//   basic  - the rule-based classifier on its own
+//   ai     - the production AI path (confident rules first, then the provider)
+//            answered from recorded responses instead of a live model
+//   notify - the customer notification decision
+// and compares every case with the last saved baseline.
+//
+//   node scripts/eval-classifier.js [--update-baseline] [--json]
+//     [--corpus file] [--responses file] [--baseline file] [--rules file]
+//
+// Exits 1 when a case that was right in the baseline is now wrong.
+
+const DEFAULTS = {
+  corpus: new URL("../fixtures/eval/corpus.json", import.meta.url),
+  responses: new URL("../fixtures/eval/recorded-responses.json", import.meta.url),
+  baseline: new URL("../fixtures/eval/baseline.json", import.meta.url),
+  rules: new URL("../config/rules.json", import.meta.url),
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, updateBaseline: false, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--update-baseline") options.updateBaseline = true;
+    else if (arg === "--json") options.json = true;
+    else if (["--corpus", "--responses", "--baseline", "--rules"].includes(arg)) options[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  return options;
+}
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+function basicPrediction(entry, rules) {
+  const result = classifyIssueBasic(entry.text, entry.carrier, { rules });
+  return { issueType: result.issueType, severity: result.issue?.severity || null };
+}
+
+// Mirrors analyzeIssueWithAI minus the cache and call limits
+async function aiPrediction(entry, provider, rules) {
+  const basic = classifyIssueBasic(entry.text, entry.carrier, { rules });
+  if (basic.confident) return { issueType: basic.issueType, severity: basic.issue?.severity || null, source: "rule" };
+  try {
+    const { analysis } = await analyzeWithProvider(provider, { updateText: entry.text, carrier: entry.carrier }, { timeoutMs: 1000 });
+    const issue = toAiIssue(analysis, entry.carrier, provider.name);
+    return { issueType: issue ? analysis.issueType : "none", severity: issue ? analysis.severity : null, source: "ai" };
+  } catch (error) {
+    return { issueType: basic.issueType, severity: basic.issue?.severity || null, source: `fallback (${error.code})` };
+  }
+}
+
+const ratio = (numerator, denominator) => (denominator ? Number((numerator / denominator).toFixed(3)) : null);
+
+// Precision and recall for every label seen in either column
+function perLabel(pairs) {
+  const labels = [...new Set(pairs.flatMap(({ expected, predicted }) => [expected, predicted]))].sort();
+  return Object.fromEntries(labels.map((label) => {
+    const tp = pairs.filter((p) => p.expected === label && p.predicted === label).length;
+    const fp = pairs.filter((p) => p.expected !== label && p.predicted === label).length;
+    const fn = pairs.filter((p) => p.expected === label && p.predicted !== label).length;
+    return [label, { support: tp + fn, precision: ratio(tp, tp + fp), recall: ratio(tp, tp + fn) }];
+  }));
+}
+
+function scoreIssues(corpus, predictions) {
+  const pairs = corpus.map((entry, i) => ({ expected: entry.expected.issueType, predicted: predictions[i].issueType }));
+  const hasIssue = corpus.map((entry, i) => ({ expected: entry.expected.hasIssue, predicted: predictions[i].issueType !== "none" }));
+  const tp = hasIssue.filter((p) => p.expected && p.predicted).length;
+  const bothIssues = corpus.filter((entry, i) => entry.expected.hasIssue && predictions[i].issueType !== "none");
+  const severityRight = bothIssues.filter((entry) => predictions[corpus.indexOf(entry)].severity === entry.expected.severity).length;
+  return {
+    accuracy: ratio(pairs.filter((p) => p.expected === p.predicted).length, pairs.length),
+    hasIssue: {
+      precision: ratio(tp, hasIssue.filter((p) => p.predicted).length),
+      recall: ratio(tp, hasIssue.filter((p) => p.expected).length),
+    },
+    severityAccuracy: ratio(severityRight, bothIssues.length),
+    perIssueType: perLabel(pairs),
+  };
+}
+
+function scoreNotify(corpus, predictions) {
+  const pairs = corpus.map((entry, i) => ({ expected: entry.expected.notify || "none", predicted: predictions[i] || "none" }));
+  return {
+    accuracy: ratio(pairs.filter((p) => p.expected === p.predicted).length, pairs.length),
+    perReason: perLabel(pairs),
+  };
+}
+
+// Cases right in the baseline and wrong now (regressions), and the reverse
+function compareWithBaseline(corpus, current, baseline) {
+  const regressions = [];
+  const fixed = [];
+  if (!baseline) return { regressions, fixed };
+
+  const check = (mode, field, entry, expected, now, before) => {
+    if (before === undefined) return;
+    const wasRight = before === expected;
+    const isRight = now === expected;
+    const change = { mode, field, text: entry.text, expected, baseline: before, now };
+    if (wasRight && !isRight) regressions.push(change);
+    if (!wasRight && isRight) fixed.push(change);
+  };
+
+  for (const entry of corpus) {
+    for (const mode of ["basic", "ai"]) {
+      const now = current[mode][entry.text];
+      const before = baseline.results?.[mode]?.[entry.text];
+      if (!before) continue;
+      check(mode, "issueType", entry, entry.expected.issueType, now.issueType, before.issueType);
+      if (entry.expected.hasIssue) check(mode, "severity", entry, entry.expected.severity, now.severity, before.severity);
+    }
+    const before = baseline.results?.notify;
+    if (before && entry.text in before) check("notify", "reason", entry, entry.expected.notify || null, current.notify[entry.text], before[entry.text]);
+  }
+  return { regressions, fixed };
+}
+
+function formatTable(title, scores) {
+  const lines = [`\n${title}`];
+  for (const [label, score] of Object.entries(scores)) {
+    const fmt = (value) => (value === null ? "   -" : value.toFixed(2));
+    lines.push(`  ${label.padEnd(22)} n=${String(score.support).padStart(2)}  precision ${fmt(score.precision)}  recall ${fmt(score.recall)}`);
+  }
+  return lines.join("\n");
+}
+
+export async function runEvaluation({ corpus, responses, rules }) {
+  const provider = createStubProvider({ responses });
+  const basic = corpus.map((entry) => basicPrediction(entry, rules));
+  const ai = [];
+  for (const entry of corpus) ai.push(await aiPrediction(entry, provider, rules));
+  const notify = corpus.map((entry) => {
+    const decision = shouldNotifyCustomer(entry.text, { rules, carrier: entry.carrier });
+    return decision.shouldNotify ? decision.reason : null;
+  });
+
+  const byText = (predictions) => Object.fromEntries(corpus.map((entry, i) => [entry.text, predictions[i]]));
+  return {
+    cases: corpus.length,
+    missingRecordings: corpus.filter((entry) => !(entry.text in responses)).map((entry) => entry.text),
+    scores: { basic: scoreIssues(corpus, basic), ai: scoreIssues(corpus, ai), notify: scoreNotify(corpus, notify) },
+    results: { basic: byText(basic), ai: byText(ai), notify: byText(notify) },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const options = parseArgs(process.argv.slice(2));
+  const corpus = readJson(options.corpus);
+  const responses = readJson(options.responses);
+  const baseline = fs.existsSync(options.baseline) ? readJson(options.baseline) : null;
+  const { rules } = loadRules(options.rules);
+
+  const report = await runEvaluation({ corpus, responses, rules });
+  const { regressions, fixed } = compareWithBaseline(corpus, report.results, baseline);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...report, baselineCreatedAt: baseline?.createdAt || null, regressions, fixed }, null, 2));
+  } else {
+    const { basic, ai, notify } = report.scores;
+    console.log(`📊 ${report.cases} labelled updates, baseline ${baseline ? `from ${baseline.createdAt}` : "not found"}`);
+    for (const [name, score] of [["basic", basic], ["ai", ai]]) {
+      console.log(`\n${name}: accuracy ${score.accuracy}, hasIssue precision ${score.hasIssue.precision} recall ${score.hasIssue.recall}, severity accuracy ${score.severityAccuracy}`);
+      console.log(formatTable(`${name} per issue type`, score.perIssueType));
+    }
+    console.log(`\nnotify: accuracy ${notify.accuracy}`);
+    console.log(formatTable("notify per reason", notify.perReason));
+    if (report.missingRecordings.length) {
+      console.log(`\n⚠️ ${report.missingRecordings.length} update(s) have no recorded AI response and are scored as "no issue" on the AI path`);
+    }
+    console.log(`\n✅ ${fixed.length} fixed since baseline`);
+    for (const change of fixed) console.log(`  [${change.mode}] ${change.field} "${change.text}": ${change.baseline} -> ${change.now}`);
+    console.log(`${regressions.length ? "❌" : "✅"} ${regressions.length} regression(s) since baseline`);
+    for (const change of regressions) {
+      console.log(`  [${change.mode}] ${change.field} "${change.text}": expected ${change.expected}, was ${change.baseline}, now ${change.now}`);
+    }
+  }
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify({ createdAt: new Date().toISOString(), scores: report.scores, results: report.results }, null, 2) + "\n");
+    console.error(`💾 Baseline written to ${options.baseline instanceof URL ? options.baseline.pathname : options.baseline}`);
+  } else if (regressions.length) {
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,67 @@
+import express from "express";
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Local stand-in for the HubSpot CRM endpoints used by src/hubspot.js.
+// Run it directly (`node scripts/hubspot-mock.js`) and point HUBSPOT_BASE_URL
+// at it, or import startHubSpotMock() from a test and pass your own fixtures.
+// Engagements written by the watcher are kept in memory and listed at
+// GET /__engagements.
+
+const DEFAULT_FIXTURES = new URL("../fixtures/hubspot/crm.json", import.meta.url);
+
+const tokens = (value) => String(value || "").toLowerCase().split(/\s+/).filter(Boolean);
+
+export function startHubSpotMock({ port = 4010, fixtures = JSON.parse(fs.readFileSync(DEFAULT_FIXTURES, "utf8")) } = {}) {
+  const app = express();
+  app.use(express.json());
+  const engagements = [];
+
+  const contactRecord = (contact) => ({ id: contact.id, properties: { ...contact } });
+
+  app.post("/crm/v3/objects/companies/search", (req, res) => {
+    const filter = req.body?.filterGroups?.[0]?.filters?.[0];
+    const wanted = tokens(filter?.value);
+    const results = fixtures.companies
+      .filter((company) => wanted.some((token) => tokens(company.name).includes(token)))
+      .map((company) => ({ id: company.id, properties: { name: company.name, domain: company.domain } }));
+    res.json({ total: results.length, results });
+  });
+
+  app.get("/crm/v4/objects/companies/:id/associations/contacts", (req, res) => {
+    const ids = fixtures.associations[req.params.id] || [];
+    res.json({ results: ids.map((id) => ({ toObjectId: Number(id) })) });
+  });
+
+  app.post("/crm/v3/objects/contacts/batch/read", (req, res) => {
+    const ids = (req.body?.inputs || []).map((input) => String(input.id));
+    res.json({ results: fixtures.contacts.filter((contact) => ids.includes(contact.id)).map(contactRecord) });
+  });
+
+  app.post("/crm/v3/objects/contacts/search", (req, res) => {
+    const filter = req.body?.filterGroups?.[0]?.filters?.[0];
+    const results = fixtures.contacts.filter((contact) => contact[filter?.propertyName] === filter?.value).map(contactRecord);
+    res.json({ total: results.length, results });
+  });
+
+  app.post("/crm/v3/objects/emails", (req, res) => {
+    const engagement = { id: String(70000 + engagements.length), ...req.body };
+    engagements.push(engagement);
+    console.log(`📨 HubSpot mock: logged email engagement ${engagement.id}`);
+    res.status(201).json({ id: engagement.id, properties: req.body?.properties });
+  });
+
+  app.get("/__engagements", (req, res) => res.json(engagements));
+
+  const server = app.listen(port);
+  return {
+    url: `http://localhost:${port}`,
+    engagements,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = startHubSpotMock({ port: Number(process.env.HUBSPOT_MOCK_PORT || 4010) });
+  console.log(`HubSpot mock listening on ${mock.url}`);
+}
@@ -0,0 +1,30 @@
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Local stand-in for the support inbox: posts a raw .eml file to the watcher's
+// /inbound-email webhook the way the mail forwarder does.
+//   node scripts/inbound-email.js [file.eml]
+// INBOUND_EMAIL_URL defaults to the local watcher, INBOUND_EMAIL_SECRET is
+// sent in the X-Inbound-Secret header.
+
+const DEFAULT_MESSAGE = new URL("../fixtures/inbound-email/reply.eml", import.meta.url);
+
+export async function postInboundEmail({ url, secret, raw }) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(secret ? { "X-Inbound-Secret": secret } : {}) },
+    body: JSON.stringify({ raw }),
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const file = process.argv[2] || DEFAULT_MESSAGE;
+  const result = await postInboundEmail({
+    url: process.env.INBOUND_EMAIL_URL || `http://localhost:${process.env.PORT || 3000}/inbound-email`,
+    secret: process.env.INBOUND_EMAIL_SECRET,
+    raw: fs.readFileSync(file, "utf8"),
+  });
+  console.log(`📥 Inbound email posted (${result.status}):`, JSON.stringify(result.body, null, 2));
+}
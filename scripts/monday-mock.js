@@ -0,0 +1,141 @@
+import express from "express";
+import fs from "fs";
+import { pathToFileURL } from "url";
+
+// Local stand-in for the Monday GraphQL API used by src/monday.js. It does not
+// parse GraphQL: it recognises the client's operations by their root field
+// and reads everything else from the variables. Boards and items come from
+// fixtures/monday/boards.json and mutations change them in memory.
+// Run it directly (`node scripts/monday-mock.js`) and point MONDAY_API_URL at
+// it, or import startMondayMock() and pass your own fixtures.
+//
+//   GET  /__requests   every operation received
+//   GET  /__updates    create_update bodies
+//   POST /__fail       { code, count, retryInSeconds } fails the next count
+//                      requests with that error code ("HTTP_429" for a 429)
+
+const DEFAULT_FIXTURES = new URL("../fixtures/monday/boards.json", import.meta.url);
+
+const encodeCursor = (state) => Buffer.from(JSON.stringify(state)).toString("base64url");
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (_) {
+    // What Monday answers for a cursor older than its 60 minute lifetime
+    throw new Error("CursorException: cursor has expired or is invalid");
+  }
+}
+
+export function startMondayMock({ port = 4030, fixtures = JSON.parse(fs.readFileSync(DEFAULT_FIXTURES, "utf8")), complexityBudget = 5000000 } = {}) {
+  const app = express();
+  app.use(express.json());
+  const requests = [];
+  const updates = [];
+  let failures = { code: null, count: 0, retryInSeconds: 1 };
+
+  const boards = new Map(fixtures.boards.map((board) => [String(board.id), board]));
+  const findItem = (id) => {
+    for (const board of boards.values()) {
+      const item = board.items.find((candidate) => candidate.id === String(id));
+      if (item) return { board, item };
+    }
+    return null;
+  };
+  const toGraphqlItem = (board, item) => ({
+    id: item.id,
+    name: item.name,
+    board: { id: board.id },
+    column_values: Object.entries(item.columns).map(([id, text]) => ({ id, text })),
+  });
+
+  // Name filters are the only items_page rule the client uses
+  const matchesRules = (item, rules) => (rules || []).every((rule) => (
+    rule.column_id === "name" ? rule.compare_value.map(String).includes(item.name) : rule.compare_value.map(String).includes(item.columns[rule.column_id])
+  ));
+
+  function page(boardId, offset, limit, rules) {
+    const board = boards.get(String(boardId));
+    const matching = board.items.filter((item) => matchesRules(item, rules));
+    const items = matching.slice(offset, offset + limit).map((item) => toGraphqlItem(board, item));
+    const next = offset + limit < matching.length ? encodeCursor({ boardId: board.id, offset: offset + limit, rules }) : null;
+    return { cursor: next, items };
+  }
+
+  function resolve(query, variables) {
+    if (query.includes("next_items_page")) {
+      const state = decodeCursor(variables.cursor);
+      return { next_items_page: page(state.boardId, state.offset, variables.limit, state.rules) };
+    }
+    if (query.includes("items_page")) {
+      if (!boards.has(String(variables.boardId))) return { boards: [] };
+      return { boards: [{ items_page: page(variables.boardId, 0, variables.limit, variables.queryParams?.rules) }] };
+    }
+    if (query.includes("change_simple_column_value")) {
+      const found = findItem(variables.itemId);
+      if (!found) throw new Error(`Item ${variables.itemId} not found`);
+      found.item.columns[variables.columnId] = variables.value;
+      return { change_simple_column_value: { id: found.item.id } };
+    }
+    if (query.includes("change_multiple_column_values")) {
+      const found = findItem(variables.itemId);
+      if (!found) throw new Error(`Item ${variables.itemId} not found`);
+      for (const [columnId, value] of Object.entries(JSON.parse(variables.columnValues))) {
+        found.item.columns[columnId] = typeof value === "string" ? value : value?.label || value?.date || JSON.stringify(value);
+      }
+      return { change_multiple_column_values: { id: found.item.id } };
+    }
+    if (query.includes("create_update")) {
+      const update = { id: String(90000 + updates.length), itemId: String(variables.itemId), body: variables.body };
+      updates.push(update);
+      return { create_update: { id: update.id } };
+    }
+    if (query.includes("items(")) {
+      const items = (variables.itemIds || []).map(findItem).filter(Boolean).map(({ board, item }) => toGraphqlItem(board, item));
+      return { items };
+    }
+    if (query.includes("me {")) return { me: fixtures.me };
+    throw new Error("Operation not supported by the mock");
+  }
+
+  app.post(["/", "/v2"], (req, res) => {
+    const { query = "", variables = {} } = req.body || {};
+    requests.push({ query: query.replace(/\s+/g, " ").trim(), variables });
+
+    if (failures.count > 0) {
+      failures.count -= 1;
+      if (failures.code === "HTTP_429") return res.status(429).set("Retry-After", String(failures.retryInSeconds)).json({ error_message: "Rate Limit Exceeded", status_code: 429 });
+      return res.json({
+        errors: [{
+          message: `Complexity budget exhausted, query cost 30001 budget remaining 0 out of ${complexityBudget} reset in ${failures.retryInSeconds} seconds`,
+          extensions: { code: failures.code, retry_in_seconds: failures.retryInSeconds },
+        }],
+      });
+    }
+
+    try {
+      const data = resolve(query, variables);
+      if (query.includes("complexity")) data.complexity = { after: complexityBudget - requests.length * 1000, reset_in_x_seconds: 60 };
+      res.json({ data, account_id: 1 });
+    } catch (error) {
+      res.json({ errors: [{ message: error.message, extensions: { code: "INVALID_ARGUMENT" } }] });
+    }
+  });
+
+  app.post("/__fail", (req, res) => {
+    failures = { code: req.body?.code || "COMPLEXITY_BUDGET_EXHAUSTED", count: Number(req.body?.count) || 1, retryInSeconds: Number(req.body?.retryInSeconds ?? 1) };
+    res.json(failures);
+  });
+  app.get("/__requests", (req, res) => res.json(requests));
+  app.get("/__updates", (req, res) => res.json(updates));
+
+  return new Promise((resolveServer) => {
+    const server = app.listen(port, () => {
+      console.log(`🧪 Monday mock listening on ${port}`);
+      resolveServer(server);
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startMondayMock({ port: Number(process.env.MONDAY_MOCK_PORT) || 4030 });
+}
@@ -0,0 +1,56 @@
+// Classification cache: the same carrier wording ("Clearance event", "Shipment
+// on hold") comes in hundreds of times a week, so validated AI answers are
+// kept per carrier, location and normalised update text until the TTL runs
+// out. Carrier and location are part of the key because the prompt includes
+// them: "Held at facility" can mean one thing for DHL in Leipzig and another
+// for UPS at a UK customs office.
+
+// Lower case, collapsed whitespace, and tracking numbers, dates and times
+// replaced so the same wording for different parcels shares one entry
+export function normalizeUpdateText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/\b\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}\b/g, "<date>")
+    .replace(/\b\d{1,2}:\d{2}(:\d{2})?\b/g, "<time>")
+    .replace(/\b(?=[a-z0-9]*\d)[a-z0-9]{8,}\b/g, "<ref>")
+    .replace(/\s+/g, " ")
+    .replace(/[.!\s]+$/, "")
+    .trim();
+}
+
+export function cacheKey({ text, carrier, location }) {
+  const part = (value) => String(value || "unknown").toLowerCase().replace(/\s+/g, " ").trim();
+  return [part(carrier), part(location), normalizeUpdateText(text)].join("|");
+}
+
+export function createClassificationCache({ entries, ttlMs }) {
+  function get(update, now = Date.now()) {
+    const key = cacheKey(update);
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (now - entry.cachedAt > ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    entries.set(key, { ...entry, hits: (entry.hits || 0) + 1, lastHitAt: now });
+    return entry;
+  }
+
+  function set(update, { analysis, provider, model }, now = Date.now()) {
+    entries.set(cacheKey(update), { analysis, provider, model, cachedAt: now, hits: 0 });
+  }
+
+  // Drop expired entries; returns how many went
+  function prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entry] of [...entries.entries()]) {
+      if (now - entry.cachedAt > ttlMs) {
+        entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  return { get, set, prune, size: () => entries.size, ttlMs };
+}
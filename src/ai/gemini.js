@@ -0,0 +1,40 @@
+import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
+import { ANALYSIS_SCHEMA } from "./schema.js";
+
+// Gemini's responseSchema is an OpenAPI subset: typed enums, no
+// additionalProperties
+function toGeminiSchema(schema) {
+  if (schema.type === "object") {
+    return {
+      type: SchemaType.OBJECT,
+      properties: Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])),
+      required: schema.required,
+    };
+  }
+  const converted = { type: schema.type === "boolean" ? SchemaType.BOOLEAN : SchemaType.STRING };
+  if (schema.enum) Object.assign(converted, { format: "enum", enum: schema.enum });
+  if (schema.description) converted.description = schema.description;
+  return converted;
+}
+
+export function createGeminiProvider({ apiKey, model = "gemini-1.5-flash" }) {
+  const client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+    model,
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: toGeminiSchema(ANALYSIS_SCHEMA),
+      temperature: 0,
+    },
+  });
+
+  async function analyze({ prompt, signal }) {
+    const result = await client.generateContent(prompt, { signal });
+    const usage = result.response.usageMetadata || {};
+    return {
+      analysis: JSON.parse(result.response.text()),
+      usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+    };
+  }
+
+  return { name: "gemini", model, analyze };
+}
@@ -0,0 +1,70 @@
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+import { buildAnalysisPrompt, validateAnalysis } from "./schema.js";
+
+// AI provider selection and the guarded call the watcher makes. A provider is
+// { name, model, analyze({ prompt, updateText, carrier, location, signal }) }
+// resolving to { analysis, usage }.
+//
+// AI_PROVIDER picks gemini, openai, stub or none; unset means whichever of
+// Gemini and OpenAI has a key, Gemini first.
+
+export function createAiProvider(config) {
+  const wanted = (config.AI_PROVIDER || (config.GEMINI_API_KEY ? "gemini" : config.OPENAI_API_KEY ? "openai" : "none")).toLowerCase();
+  switch (wanted) {
+    case "gemini":
+      if (!config.GEMINI_API_KEY) throw new Error("AI_PROVIDER=gemini needs GEMINI_API_KEY");
+      return createGeminiProvider({ apiKey: config.GEMINI_API_KEY, model: config.GEMINI_MODEL || undefined });
+    case "openai":
+      if (!config.OPENAI_API_KEY) throw new Error("AI_PROVIDER=openai needs OPENAI_API_KEY");
+      return createOpenAIProvider({ apiKey: config.OPENAI_API_KEY, model: config.OPENAI_MODEL || undefined, baseUrl: config.OPENAI_BASE_URL });
+    case "stub":
+      return createStubProvider({ responsesPath: config.AI_STUB_RESPONSES_PATH || null });
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${config.AI_PROVIDER}" (expected gemini, openai, stub or none)`);
+  }
+}
+
+// Errors carry a code so callers can tell a slow provider from a bad answer
+function analysisError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Ask the provider within the time budget and validate the answer. Throws
+// with code "timeout", "invalid" or "provider".
+export async function analyzeWithProvider(provider, { updateText, carrier, location }, { timeoutMs }) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(analysisError("timeout", `${provider.name} took longer than ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  const prompt = buildAnalysisPrompt({ updateText, carrier, location });
+  let response;
+  try {
+    response = await Promise.race([
+      provider.analyze({ prompt, updateText, carrier, location, signal: controller.signal }),
+      timeout,
+    ]);
+  } catch (error) {
+    throw error.code === "timeout" ? error : analysisError("provider", `${provider.name} failed: ${error.message}`);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const validation = validateAnalysis(response.analysis);
+  if (!validation.valid) {
+    throw analysisError("invalid", `${provider.name} returned an invalid analysis: ${validation.errors.join("; ")}`);
+  }
+  return { analysis: validation.analysis, usage: response.usage };
+}
+
+export { createGeminiProvider, createOpenAIProvider, createStubProvider };
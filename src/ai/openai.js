@@ -0,0 +1,32 @@
+import OpenAI from "openai";
+import { ANALYSIS_SCHEMA } from "./schema.js";
+
+// OpenAI chat completions with a strict json_schema response format. baseUrl
+// also lets this talk to OpenAI-compatible servers (Azure, local models).
+export function createOpenAIProvider({ apiKey, model = "gpt-4o-mini", baseUrl }) {
+  const client = new OpenAI({ apiKey, baseURL: baseUrl || undefined, maxRetries: 0 });
+
+  async function analyze({ prompt, signal }) {
+    const completion = await client.chat.completions.create({
+      model,
+      temperature: 0,
+      messages: [
+        { role: "system", content: "You classify shipment tracking updates for a logistics team." },
+        { role: "user", content: prompt },
+      ],
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "shipment_issue_analysis", strict: true, schema: ANALYSIS_SCHEMA },
+      },
+    }, { signal });
+
+    const message = completion.choices[0]?.message;
+    if (message?.refusal) throw new Error(`OpenAI refused: ${message.refusal}`);
+    return {
+      analysis: JSON.parse(message?.content || "null"),
+      usage: { inputTokens: completion.usage?.prompt_tokens || 0, outputTokens: completion.usage?.completion_tokens || 0 },
+    };
+  }
+
+  return { name: "openai", model, analyze };
+}
@@ -0,0 +1,65 @@
+// The one answer shape every AI provider must return for a tracking update,
+// as a JSON schema (handed to the provider for structured output) plus a
+// validator, because a provider honouring the schema is not the same as the
+// answer being usable.
+
+export const ISSUE_TYPES = ["customs_hold", "delivery_failure", "exception", "delay", "damage", "lost", "address_issue", "none"];
+export const SEVERITIES = ["low", "medium", "high"];
+
+export const ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    hasIssue: { type: "boolean" },
+    issueType: { type: "string", enum: ISSUE_TYPES },
+    severity: { type: "string", enum: SEVERITIES },
+    reason: { type: "string", description: "brief explanation" },
+    requiresAction: { type: "boolean" },
+  },
+  required: ["hasIssue", "issueType", "severity", "reason", "requiresAction"],
+  additionalProperties: false,
+};
+
+// Returns { valid: true, analysis } or { valid: false, errors }
+export function validateAnalysis(value) {
+  const errors = [];
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { valid: false, errors: ["analysis is not an object"] };
+  }
+  for (const key of ["hasIssue", "requiresAction"]) {
+    if (typeof value[key] !== "boolean") errors.push(`${key} must be a boolean`);
+  }
+  if (!ISSUE_TYPES.includes(value.issueType)) errors.push(`issueType "${value.issueType}" is not one of ${ISSUE_TYPES.join(", ")}`);
+  if (!SEVERITIES.includes(value.severity)) errors.push(`severity "${value.severity}" is not one of ${SEVERITIES.join(", ")}`);
+  if (typeof value.reason !== "string" || !value.reason.trim()) errors.push("reason must be a non-empty string");
+  if (value.hasIssue && value.issueType === "none") errors.push('hasIssue is true but issueType is "none"');
+  if (errors.length) return { valid: false, errors };
+
+  const { hasIssue, issueType, severity, reason, requiresAction } = value;
+  return { valid: true, analysis: { hasIssue, issueType, severity, reason: reason.trim(), requiresAction } };
+}
+
+export function buildAnalysisPrompt({ updateText, carrier, location }) {
+  return `Analyze this shipping/logistics update and determine if it indicates a problem that requires human attention.
+
+UPDATE: "${updateText}"
+CARRIER: ${carrier}
+LOCATION: ${location || "Unknown"}
+
+Consider these as NORMAL (NOT issues):
+- "shipment information received/sent"
+- "electronic information received"
+- "label created"
+- "package received"
+- "origin scan", "departure scan", "arrival scan"
+- "in transit", "out for delivery"
+- "departed facility"
+- "delivered" (unless delivery attempted)
+
+Consider these as ISSUES requiring action:
+- Customs holds, clearance problems, document requirements
+- Failed delivery attempts, recipient issues, address problems
+- Exceptions, holds, delays, damage, lost packages
+- Anything requiring customer or logistics team action
+
+Normal tracking updates are NOT issues: answer hasIssue false with issueType "none".`;
+}
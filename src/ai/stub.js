@@ -0,0 +1,36 @@
+import fs from "fs";
+
+// Offline provider for development and evaluation runs. Answers from a file of
+// recorded responses keyed by update text (case and spacing ignored); anything
+// not recorded gets a "no issue" answer. Never touches the network.
+
+const normalizeKey = (text) => String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+const NO_RECORDING = {
+  hasIssue: false,
+  issueType: "none",
+  severity: "low",
+  reason: "No recorded response for this update (stub provider)",
+  requiresAction: false,
+};
+
+export function createStubProvider({ responsesPath = null, responses = null, delayMs = 0 } = {}) {
+  const recorded = new Map();
+  const source = responses || (responsesPath && fs.existsSync(responsesPath) ? JSON.parse(fs.readFileSync(responsesPath, "utf8")) : {});
+  for (const [text, analysis] of Object.entries(source)) recorded.set(normalizeKey(text), analysis);
+
+  async function analyze({ updateText, signal }) {
+    if (delayMs) {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delayMs);
+        signal?.addEventListener("abort", () => {
+          clearTimeout(timer);
+          reject(new Error("aborted"));
+        });
+      });
+    }
+    return { analysis: recorded.get(normalizeKey(updateText)) || NO_RECORDING, usage: { inputTokens: 0, outputTokens: 0 } };
+  }
+
+  return { name: "stub", model: responsesPath || "inline", analyze, recordedCount: () => recorded.size };
+}
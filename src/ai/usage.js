@@ -0,0 +1,76 @@
+// Per-provider, per-day AI accounting: calls against the daily limit, tokens,
+// estimated spend, and how many updates never needed a call (cache hits and
+// confident rule-based answers).
+
+// USD per million tokens. AI_PRICING can override or extend this, e.g.
+// {"gpt-4o": {"input": 2.5, "output": 10}}
+export const DEFAULT_PRICING = {
+  "gemini-1.5-flash": { input: 0.075, output: 0.3 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+};
+
+const COUNTERS = ["calls", "failures", "timeouts", "cacheHits", "bypassed", "limited"];
+
+const dayOf = (now) => new Date(now).toISOString().slice(0, 10);
+
+export function createAiUsageTracker({ days, dailyCallLimit = 0, pricing = DEFAULT_PRICING }) {
+  const keyFor = (provider, now) => `${dayOf(now)}:${provider}`;
+
+  function today(provider, now = Date.now()) {
+    return days.get(keyFor(provider, now)) || {
+      date: dayOf(now),
+      provider,
+      ...Object.fromEntries(COUNTERS.map((counter) => [counter, 0])),
+      inputTokens: 0,
+      outputTokens: 0,
+      costUsd: 0,
+    };
+  }
+
+  // 0 means no limit
+  function canCall(provider, now = Date.now()) {
+    return !dailyCallLimit || today(provider, now).calls < dailyCallLimit;
+  }
+
+  function costOf(model, usage) {
+    const price = pricing[model];
+    if (!price || !usage) return 0;
+    return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1e6;
+  }
+
+  // count is one of COUNTERS; usage/model are given for completed calls
+  function record(provider, count, { model = null, usage = null, now = Date.now() } = {}) {
+    const day = today(provider, now);
+    day[count] = (day[count] || 0) + 1;
+    if (usage) {
+      day.inputTokens += usage.inputTokens || 0;
+      day.outputTokens += usage.outputTokens || 0;
+      day.costUsd = Number((day.costUsd + costOf(model, usage)).toFixed(6));
+    }
+    days.set(keyFor(provider, now), day);
+    return day;
+  }
+
+  function stats({ lastDays = 30, now = Date.now() } = {}) {
+    const since = dayOf(now - (lastDays - 1) * 24 * 60 * 60 * 1000);
+    const rows = [...days.values()].filter((day) => day.date >= since).sort((a, b) => b.date.localeCompare(a.date));
+    const totals = { calls: 0, failures: 0, timeouts: 0, cacheHits: 0, bypassed: 0, limited: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    for (const day of rows) {
+      for (const key of Object.keys(totals)) totals[key] += day[key] || 0;
+    }
+    totals.costUsd = Number(totals.costUsd.toFixed(6));
+    // Share of AI-eligible updates answered from the cache instead of a call
+    const lookups = totals.cacheHits + totals.calls;
+    return {
+      since,
+      dailyCallLimit: dailyCallLimit || null,
+      totals,
+      cacheHitRate: lookups ? Number((totals.cacheHits / lookups).toFixed(4)) : null,
+      days: rows,
+    };
+  }
+
+  return { today, canCall, record, stats, costOf };
+}
@@ -0,0 +1,96 @@
+// Alert de-duplication: one Slack alert per item, board, shipment leg and
+// issue type inside the cooldown window. Repeats are recorded on the history
+// entry instead of being posted; a higher severity than the last posted alert
+// breaks through. The issue type is the issueType shared by the rules and the
+// AI schema ("customs_hold"), not the display label, so the same problem
+// shares one cooldown whichever classifier reported it.
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+const MAX_RECORDED_REPEATS = 20;
+
+export function getAlertKey(itemId, boardId, issueType, trackingNumber = null) {
+  return trackingNumber ? `${boardId}:${itemId}:${trackingNumber}:${issueType}` : `${boardId}:${itemId}:${issueType}`;
+}
+
+// Entries written before the cooldown were keyed "boardId:itemId" and held
+// only the last alert's type; later ones were keyed on the display label.
+// issueTypeOf maps a label to its issueType. Re-key them so the cooldown still
+// sees those alerts; where a current entry already exists the old one is just
+// dropped. Returns how many entries were migrated.
+export function migrateAlertHistory(history, issueTypeOf = (label) => label) {
+  let migrated = 0;
+  for (const [key, entry] of [...history.entries()]) {
+    const label = entry.issueType || entry.lastIssueType;
+    if (!label) continue;
+    const issueType = issueTypeOf(label);
+    const newKey = getAlertKey(entry.itemId, entry.boardId, issueType, entry.issueType ? entry.trackingNumber : null);
+    if (newKey === key) continue;
+    if (!history.has(newKey)) {
+      history.set(newKey, entry.issueType ? { ...entry, issueType } : {
+        itemId: String(entry.itemId),
+        boardId: String(entry.boardId),
+        issueType,
+        trackingNumber: null,
+        lastAlertAt: entry.lastAlertAt,
+        lastSeverity: entry.lastSeverity,
+        lastUpdateText: null,
+        count: entry.count || 1,
+        suppressedCount: 0,
+        suppressed: [],
+      });
+    }
+    history.delete(key);
+    migrated += 1;
+  }
+  return migrated;
+}
+
+export function createAlertCooldown({ history, cooldownMs, bypass = false }) {
+  function evaluate({ itemId, boardId, issue, now = Date.now() }) {
+    const key = getAlertKey(itemId, boardId, issue.issueType, issue.trackingNumber);
+    const previous = history.get(key);
+
+    if (bypass) return { post: true, key, reason: "cooldown bypassed" };
+    if (!previous) return { post: true, key, reason: "first alert" };
+
+    const sinceLastAlert = now - previous.lastAlertAt;
+    if (sinceLastAlert >= cooldownMs) return { post: true, key, reason: "cooldown expired" };
+
+    const newRank = SEVERITY_RANK[issue.severity] || 0;
+    const lastRank = SEVERITY_RANK[previous.lastSeverity] || 0;
+    if (newRank > lastRank) {
+      return { post: true, key, reason: `severity escalated ${previous.lastSeverity} -> ${issue.severity}` };
+    }
+
+    const remainingMinutes = Math.ceil((cooldownMs - sinceLastAlert) / (60 * 1000));
+    return { post: false, key, reason: `in cooldown for another ${remainingMinutes} min` };
+  }
+
+  function recordPosted({ key, itemId, boardId, issue, updateText, now = Date.now() }) {
+    const previous = history.get(key);
+    history.set(key, {
+      itemId: String(itemId),
+      boardId: String(boardId),
+      issueType: issue.issueType,
+      trackingNumber: issue.trackingNumber || null,
+      lastAlertAt: now,
+      lastSeverity: issue.severity,
+      lastUpdateText: updateText,
+      count: (previous?.count || 0) + 1,
+      suppressedCount: 0,
+      suppressed: [],
+    });
+  }
+
+  function recordSuppressed({ key, issue, updateText, now = Date.now() }) {
+    const previous = history.get(key);
+    const suppressed = [...(previous.suppressed || []), { at: now, severity: issue.severity, updateText }];
+    history.set(key, {
+      ...previous,
+      suppressedCount: (previous.suppressedCount || 0) + 1,
+      suppressed: suppressed.slice(-MAX_RECORDED_REPEATS),
+    });
+  }
+
+  return { evaluate, recordPosted, recordSuppressed };
+}
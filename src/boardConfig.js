@@ -0,0 +1,163 @@
+import fs from "fs";
+
+// Declarative board configuration (config/boards.json). Every supplier board
+// lists its column IDs, coordinator, default carrier and route here, so adding
+// a board is a config change rather than a code change.
+//
+// String values may reference environment variables as ${NAME}; they are
+// resolved at load time so Slack IDs and the like can stay in .env.
+
+const REQUIRED_COLUMNS = ["tracking", "location"];
+// carrierStatus, lastCheckpoint and eta are written by the carrier poller;
+// status is the shipment status/update column the backfill reads, falling
+// back to location on boards without one
+const OPTIONAL_COLUMNS = ["duplicateTracking", "partNumber", "contact", "company", "status", "carrierStatus", "lastCheckpoint", "eta"];
+// Monday column types the watcher writes differently; anything else is text
+const COLUMN_TYPES = ["text", "status", "date"];
+const KNOWN_CARRIERS = ["DHL", "UPS", "FedEx"];
+const SECRET_KEY_PATTERN = /(secret|token|pass(word)?|api_?key|private)/i;
+
+function interpolate(value, vars, path, errors) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+      if (vars[name] === undefined || vars[name] === "") {
+        errors.push(`${path}: environment variable ${name} is not set`);
+        return "";
+      }
+      return vars[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map((entry, i) => interpolate(entry, vars, `${path}[${i}]`, errors));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, entry]) => [key, interpolate(entry, vars, `${path}.${key}`, errors)])
+    );
+  }
+  return value;
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+function validate(config, errors) {
+  if (!config || typeof config !== "object") {
+    errors.push("config must be a JSON object");
+    return;
+  }
+
+  const coordinators = config.coordinators || {};
+  if (typeof coordinators !== "object" || !Object.keys(coordinators).length) {
+    errors.push("coordinators: at least one coordinator is required");
+  }
+  for (const [key, coordinator] of Object.entries(coordinators)) {
+    if (!isNonEmptyString(coordinator?.name)) errors.push(`coordinators.${key}.name is required`);
+    if (!isNonEmptyString(coordinator?.slackUserId)) errors.push(`coordinators.${key}.slackUserId is required`);
+    for (const field of ["routes", "carriers"]) {
+      if (coordinator?.[field] !== undefined && !Array.isArray(coordinator[field])) {
+        errors.push(`coordinators.${key}.${field} must be an array`);
+      }
+    }
+  }
+  if (!coordinators[config.defaultCoordinator]) {
+    errors.push(`defaultCoordinator "${config.defaultCoordinator}" is not a defined coordinator`);
+  }
+
+  if (!Array.isArray(config.boards) || !config.boards.length) {
+    errors.push("boards: at least one board is required");
+    return;
+  }
+
+  const seenIds = new Set();
+  config.boards.forEach((board, i) => {
+    const where = `boards[${i}]${board?.name ? ` (${board.name})` : ""}`;
+    if (!/^\d+$/.test(String(board?.id ?? ""))) errors.push(`${where}.id must be a numeric Monday board ID`);
+    else if (seenIds.has(String(board.id))) errors.push(`${where}.id ${board.id} is listed more than once`);
+    seenIds.add(String(board?.id));
+
+    if (!isNonEmptyString(board?.name)) errors.push(`${where}.name is required`);
+    if (board?.coordinator != null && !coordinators[board.coordinator]) {
+      errors.push(`${where}.coordinator "${board.coordinator}" is not a defined coordinator`);
+    }
+    if (board?.defaultCarrier != null && !KNOWN_CARRIERS.includes(board.defaultCarrier)) {
+      errors.push(`${where}.defaultCarrier must be one of ${KNOWN_CARRIERS.join(", ")} or null`);
+    }
+    if (board?.route != null && !isNonEmptyString(board.route)) errors.push(`${where}.route must be a string or null`);
+
+    const columns = board?.columns || {};
+    for (const column of REQUIRED_COLUMNS) {
+      if (!isNonEmptyString(columns[column])) errors.push(`${where}.columns.${column} is required`);
+    }
+    for (const column of OPTIONAL_COLUMNS) {
+      if (columns[column] != null && !isNonEmptyString(columns[column])) {
+        errors.push(`${where}.columns.${column} must be a column ID or null`);
+      }
+    }
+
+    const columnTypes = board?.columnTypes ?? {};
+    if (typeof columnTypes !== "object" || Array.isArray(columnTypes)) {
+      errors.push(`${where}.columnTypes must be an object`);
+      return;
+    }
+    for (const [column, type] of Object.entries(columnTypes)) {
+      if (![...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS].includes(column)) errors.push(`${where}.columnTypes.${column} is not a known column`);
+      else if (!COLUMN_TYPES.includes(type)) errors.push(`${where}.columnTypes.${column} must be one of ${COLUMN_TYPES.join(", ")}`);
+    }
+  });
+}
+
+export function loadBoardConfig(configPath, vars = process.env) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read board config ${configPath}: ${error.message}`);
+  }
+
+  const errors = [];
+  const config = interpolate(raw, vars, "config", errors);
+  validate(config, errors);
+  if (errors.length) {
+    throw new Error(`Invalid board config ${configPath}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const boards = config.boards.map((board) => ({
+    id: String(board.id),
+    name: board.name,
+    coordinator: board.coordinator || null,
+    defaultCarrier: board.defaultCarrier || null,
+    route: board.route || null,
+    columns: {
+      tracking: board.columns.tracking,
+      duplicateTracking: board.columns.duplicateTracking || null,
+      location: board.columns.location,
+      partNumber: board.columns.partNumber || null,
+      contact: board.columns.contact || null,
+      company: board.columns.company || null,
+      status: board.columns.status || null,
+      carrierStatus: board.columns.carrierStatus || null,
+      lastCheckpoint: board.columns.lastCheckpoint || null,
+      eta: board.columns.eta || null,
+    },
+    // Columns not listed are text
+    columnTypes: { ...board.columnTypes },
+  }));
+
+  return {
+    path: configPath,
+    loadedAt: new Date().toISOString(),
+    coordinators: config.coordinators,
+    defaultCoordinator: config.defaultCoordinator,
+    boards,
+    boardsById: new Map(boards.map((board) => [board.id, board])),
+  };
+}
+
+// Deep copy with anything that looks like a credential masked
+export function redactSecrets(value, key = "") {
+  if (SECRET_KEY_PATTERN.test(key) && value != null && value !== "") return "***redacted***";
+  if (Array.isArray(value)) return value.map((entry) => redactSecrets(entry));
+  if (value instanceof Map) return redactSecrets(Object.fromEntries(value), key);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, k)]));
+  }
+  return value;
+}
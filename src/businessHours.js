@@ -0,0 +1,86 @@
+// Business-hours arithmetic for stuck-shipment thresholds. A country calendar
+// ({ timezone, workdays, hours, holidays }) says when customs and carriers
+// are actually working there; time outside it does not count towards a
+// business-hours threshold.
+//
+// Time is walked in 15-minute steps aligned to the quarter hour, which keeps
+// half-hour timezones such as India's exact without date arithmetic per
+// timezone: working time can only start or stop on a step boundary.
+
+const STEP_MS = 15 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatters = new Map();
+
+function localParts(timestamp, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-GB", {
+      timeZone: timezone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(timestamp).map((part) => [part.type, part.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    hour: Number(parts.hour) + Number(parts.minute) / 60,
+  };
+}
+
+export function isBusinessTime(timestamp, calendar) {
+  const local = localParts(timestamp, calendar.timezone);
+  if (!calendar.workdays.includes(local.weekday)) return false;
+  if (calendar.holidays.includes(local.date)) return false;
+  if (!calendar.hours) return true;
+  return local.hour >= calendar.hours[0] && local.hour < calendar.hours[1];
+}
+
+// Hours between two timestamps that are working time in every given calendar
+export function businessHoursBetween(from, to, calendars) {
+  const isOpen = (t) => calendars.every((calendar) => isBusinessTime(t, calendar));
+  // The stretch up to the first quarter hour is counted on its own
+  const firstStep = Math.min(Math.ceil(from / STEP_MS) * STEP_MS, to);
+  let counted = from < firstStep && isOpen(from) ? firstStep - from : 0;
+  for (let t = firstStep; t < to; t += STEP_MS) {
+    if (isOpen(t)) counted += Math.min(STEP_MS, to - t);
+  }
+  return counted / (60 * 60 * 1000);
+}
+
+// Calendar config errors, in the same "path: problem" form as the other loaders
+export function validateCalendar(calendar, where, errors) {
+  if (!calendar || typeof calendar !== "object") {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: calendar.timezone });
+  } catch (_) {
+    errors.push(`${where}.timezone "${calendar.timezone}" is not a valid IANA timezone`);
+  }
+  if (calendar.workdays !== undefined && (!Array.isArray(calendar.workdays) || !calendar.workdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push(`${where}.workdays must list weekdays as 0 (Sunday) to 6 (Saturday)`);
+  }
+  const { hours } = calendar;
+  if (hours != null && !(Array.isArray(hours) && hours.length === 2 && hours[0] >= 0 && hours[0] < hours[1] && hours[1] <= 24)) {
+    errors.push(`${where}.hours must be [startHour, endHour] within 0-24`);
+  }
+  if (calendar.holidays !== undefined && (!Array.isArray(calendar.holidays) || !calendar.holidays.every((day) => /^\d{4}-\d{2}-\d{2}$/.test(day)))) {
+    errors.push(`${where}.holidays must be a list of YYYY-MM-DD dates`);
+  }
+}
+
+export function normalizeCalendar(calendar) {
+  return {
+    timezone: calendar.timezone,
+    workdays: calendar.workdays || [1, 2, 3, 4, 5],
+    hours: calendar.hours || null,
+    holidays: calendar.holidays || [],
+  };
+}
@@ -0,0 +1,51 @@
+// Shared plumbing for the carrier tracking adapters. Every adapter returns
+// { carrier, trackingNumber, events, estimatedDelivery } (or null when the
+// carrier doesn't know the number) with events normalised to
+// { code, description, location, timestamp } and sorted oldest first.
+
+export async function requestJson(fetch, url, options, label) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (error) {
+    data = null;
+  }
+  if (!response.ok) {
+    const detail = data?.detail || data?.message || data?.errors?.[0]?.message || data?.response?.errors?.[0]?.message || text;
+    const error = new Error(`${label} ${options?.method || "GET"} ${url} failed (${response.status}): ${detail}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+}
+
+// OAuth client-credentials token, fetched on first use and reused until
+// shortly before it expires
+export function createTokenProvider({ label, fetch, url, headers = {}, body }) {
+  let cached = null;
+  return async function getToken() {
+    if (cached && cached.expiresAt > Date.now()) return cached.token;
+    const data = await requestJson(fetch, url, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+      body: new URLSearchParams(body).toString(),
+    }, `${label} OAuth`);
+    const expiresInMs = (Number(data.expires_in) || 3600) * 1000;
+    cached = { token: data.access_token, expiresAt: Date.now() + expiresInMs - 60 * 1000 };
+    return cached.token;
+  };
+}
+
+export const formatLocation = (parts) => parts.filter(Boolean).join(", ") || null;
+
+export function toIsoTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export const sortEvents = (events) => events
+  .filter((event) => event.timestamp)
+  .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
@@ -0,0 +1,42 @@
+import { requestJson, formatLocation, toIsoTimestamp, sortEvents } from "./common.js";
+
+// DHL Shipment Tracking - Unified API. Covers Express, Parcel and eCommerce
+// numbers with one API key. code is DHL's coarse status (pre-transit,
+// transit, delivered, failure, unknown).
+
+// Shared with DHL push notifications, which carry the same shipment object
+export function normalizeDhlShipment(shipment, trackingNumber = shipment.id) {
+  const events = (shipment.events || []).map((event) => {
+    const address = event.location?.address || {};
+    return {
+      code: event.statusCode || "unknown",
+      description: event.description || event.status || "",
+      location: formatLocation([address.addressLocality, address.countryCode]),
+      timestamp: toIsoTimestamp(event.timestamp),
+    };
+  });
+  return {
+    carrier: "DHL",
+    trackingNumber,
+    events: sortEvents(events),
+    estimatedDelivery: toIsoTimestamp(shipment.estimatedTimeOfDelivery),
+  };
+}
+
+export function createDhlAdapter({ apiKey, baseUrl = "https://api-eu.dhl.com", fetch = globalThis.fetch }) {
+  async function track(trackingNumber) {
+    let data;
+    try {
+      data = await requestJson(fetch, `${baseUrl}/track/shipments?trackingNumber=${encodeURIComponent(trackingNumber)}`, {
+        headers: { "DHL-API-Key": apiKey, Accept: "application/json" },
+      }, "DHL");
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+
+    return data?.shipments?.[0] ? normalizeDhlShipment(data.shipments[0], trackingNumber) : null;
+  }
+
+  return { carrier: "DHL", track };
+}
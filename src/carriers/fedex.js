@@ -0,0 +1,53 @@
+import { requestJson, createTokenProvider, formatLocation, toIsoTimestamp, sortEvents } from "./common.js";
+
+// FedEx Track API (OAuth client credentials). code is the FedEx scan event
+// type, e.g. PU picked up, IT in transit, CC customs cleared, DE delivery
+// exception, OD out for delivery, DL delivered.
+
+// Shared with FedEx webhook notifications, which carry track results too
+export function normalizeFedExResult(result, trackingNumber = result.trackingNumberInfo?.trackingNumber) {
+  const events = (result.scanEvents || []).map((scan) => {
+    const address = scan.scanLocation || {};
+    return {
+      code: scan.eventType || "unknown",
+      description: scan.eventDescription || "",
+      location: formatLocation([address.city, address.stateOrProvinceCode, address.countryCode]),
+      timestamp: toIsoTimestamp(scan.date),
+    };
+  });
+  const estimate = result.estimatedDeliveryTimeWindow?.window?.ends
+    || (result.dateAndTimes || []).find((entry) => entry.type === "ESTIMATED_DELIVERY")?.dateTime;
+  return {
+    carrier: "FedEx",
+    trackingNumber,
+    events: sortEvents(events),
+    estimatedDelivery: toIsoTimestamp(estimate),
+  };
+}
+
+export function createFedExAdapter({ clientId, clientSecret, baseUrl = "https://apis.fedex.com", fetch = globalThis.fetch }) {
+  const getToken = createTokenProvider({
+    label: "FedEx",
+    fetch,
+    url: `${baseUrl}/oauth/token`,
+    body: { grant_type: "client_credentials", client_id: clientId, client_secret: clientSecret },
+  });
+
+  async function track(trackingNumber) {
+    const data = await requestJson(fetch, `${baseUrl}/track/v1/trackingnumbers`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${await getToken()}`, "Content-Type": "application/json" },
+      body: JSON.stringify({
+        includeDetailedScans: true,
+        trackingInfo: [{ trackingNumberInfo: { trackingNumber } }],
+      }),
+    }, "FedEx");
+
+    const result = data?.output?.completeTrackResults?.[0]?.trackResults?.[0];
+    // Unknown numbers come back as 200 with an error on the result
+    if (!result || result.error) return null;
+    return normalizeFedExResult(result, trackingNumber);
+  }
+
+  return { carrier: "FedEx", track };
+}
@@ -0,0 +1,33 @@
+import { createDhlAdapter } from "./dhl.js";
+import { createUpsAdapter } from "./ups.js";
+import { createFedExAdapter } from "./fedex.js";
+
+// Adapters for the carriers that have credentials configured, keyed by the
+// carrier name the tracking parser uses. Base URLs can point at the local
+// mock (scripts/carrier-mock.js).
+export function createCarrierAdapters(config, { fetch = globalThis.fetch } = {}) {
+  const adapters = {};
+  if (config.DHL_API_KEY) {
+    adapters.DHL = createDhlAdapter({ apiKey: config.DHL_API_KEY, baseUrl: config.DHL_API_BASE_URL || undefined, fetch });
+  }
+  if (config.UPS_CLIENT_ID && config.UPS_CLIENT_SECRET) {
+    adapters.UPS = createUpsAdapter({
+      clientId: config.UPS_CLIENT_ID,
+      clientSecret: config.UPS_CLIENT_SECRET,
+      baseUrl: config.UPS_API_BASE_URL || undefined,
+      fetch,
+    });
+  }
+  if (config.FEDEX_CLIENT_ID && config.FEDEX_CLIENT_SECRET) {
+    adapters.FedEx = createFedExAdapter({
+      clientId: config.FEDEX_CLIENT_ID,
+      clientSecret: config.FEDEX_CLIENT_SECRET,
+      baseUrl: config.FEDEX_API_BASE_URL || undefined,
+      fetch,
+    });
+  }
+  return adapters;
+}
+
+export { createDhlAdapter, createUpsAdapter, createFedExAdapter };
+export { createPushSources, PUSH_SOURCES } from "./push.js";
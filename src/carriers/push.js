@@ -0,0 +1,139 @@
+import { normalizeDhlShipment } from "./dhl.js";
+import { toUpsTimestamp } from "./ups.js";
+import { normalizeFedExResult } from "./fedex.js";
+import { formatLocation, toIsoTimestamp, sortEvents } from "./common.js";
+import { verifySharedSecret, verifyHmacSignature, verifySeventeenTrackSignature } from "../signatures.js";
+import { parseTrackingNumber } from "../trackingParser.js";
+
+// Push notifications from carriers and tracking aggregators. Each source has
+// a signature check and a payload adapter that turns its body into the same
+// { carrier, trackingNumber, events, estimatedDelivery } shape the polling
+// adapters return, so pushed and polled events share one pipeline.
+//
+// Every update names the status code table its events use (codeSet):
+// aggregators keep their own codes, carriers push their own. The watcher
+// decides a delivery from that code, never from the description or the
+// carrier we guessed for the leg.
+
+const AFTERSHIP_SLUGS = { dhl: "DHL", "dhl-global-mail": "DHL", "dhl-ecommerce": "DHL", ups: "UPS", fedex: "FedEx" };
+const SEVENTEENTRACK_CARRIERS = { 100001: "DHL", 100002: "UPS", 100003: "FedEx" };
+
+const carrierFromNumber = (trackingNumber) => parseTrackingNumber(trackingNumber)?.carrier || "unknown";
+const asArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+// DHL push: the tracking API's shipment object, one or more per notification
+function parseDhl(body) {
+  const shipments = body?.shipments || (body?.id ? [body] : []);
+  return shipments.map((shipment) => ({ ...normalizeDhlShipment(shipment), codeSet: "DHL" }));
+}
+
+// UPS Track Alert: one activity per notification
+function parseUps(body) {
+  return asArray(body).filter((alert) => alert?.trackingNumber).map((alert) => {
+    const location = alert.activityLocation || {};
+    return {
+      carrier: "UPS",
+      codeSet: "UPS",
+      trackingNumber: alert.trackingNumber,
+      events: sortEvents([{
+        code: alert.activityStatus?.type || "unknown",
+        description: alert.activityStatus?.description?.trim() || "",
+        location: formatLocation([location.city, location.stateProvince, location.countryCode]),
+        timestamp: toUpsTimestamp(alert.localActivityDate, alert.localActivityTime),
+      }]),
+      estimatedDelivery: toUpsTimestamp(alert.scheduledDeliveryDate),
+    };
+  });
+}
+
+// FedEx webhook: track results in the Track API's shape
+function parseFedEx(body) {
+  const complete = body?.output?.completeTrackResults || body?.completeTrackResults || [];
+  return complete
+    .flatMap((entry) => entry.trackResults || [])
+    .filter((result) => !result.error)
+    .map((result) => ({ ...normalizeFedExResult(result), codeSet: "FedEx" }));
+}
+
+function parseAfterShip(body) {
+  const tracking = body?.msg;
+  if (!tracking?.tracking_number) return [];
+  return [{
+    carrier: AFTERSHIP_SLUGS[tracking.slug] || carrierFromNumber(tracking.tracking_number),
+    codeSet: "AfterShip",
+    trackingNumber: tracking.tracking_number,
+    events: sortEvents((tracking.checkpoints || []).map((checkpoint) => ({
+      code: checkpoint.tag || "unknown",
+      description: checkpoint.message || "",
+      location: checkpoint.location || formatLocation([checkpoint.city, checkpoint.country_iso3]),
+      timestamp: toIsoTimestamp(checkpoint.checkpoint_time),
+    }))),
+    estimatedDelivery: toIsoTimestamp(tracking.expected_delivery),
+  }];
+}
+
+function parseSeventeenTrack(body) {
+  const data = body?.data;
+  if (body?.event !== "TRACKING_UPDATED" || !data?.number) return [];
+  const providers = data.track_info?.tracking?.providers || [];
+  return [{
+    carrier: SEVENTEENTRACK_CARRIERS[data.carrier] || carrierFromNumber(data.number),
+    codeSet: "17TRACK",
+    trackingNumber: data.number,
+    events: sortEvents(providers.flatMap((provider) => provider.events || []).map((event) => ({
+      // sub_status is "<status>_<detail>", e.g. Delivered_Other
+      code: event.stage || event.sub_status?.split("_")[0] || "unknown",
+      description: event.description || "",
+      location: event.location || null,
+      timestamp: toIsoTimestamp(event.time_iso || event.time_utc),
+    }))),
+    estimatedDelivery: toIsoTimestamp(data.track_info?.time_metrics?.estimated_delivery_date?.to),
+  }];
+}
+
+const SOURCES = {
+  dhl: {
+    secretVar: "DHL_PUSH_SECRET",
+    verify: ({ secret, header }) => verifySharedSecret({ secret, provided: header("X-Webhook-Secret"), name: "DHL push secret" }),
+    parse: parseDhl,
+  },
+  ups: {
+    secretVar: "UPS_PUSH_CREDENTIAL",
+    // The credential registered with the Track Alert subscription comes back as a header
+    verify: ({ secret, header }) => verifySharedSecret({ secret, provided: header("credential"), name: "UPS Track Alert credential" }),
+    parse: parseUps,
+  },
+  fedex: {
+    secretVar: "FEDEX_WEBHOOK_SECRET",
+    verify: ({ secret, header, rawBody }) => verifyHmacSignature({ secret, rawBody, signature: header("x-fedex-signature"), name: "FedEx signature" }),
+    parse: parseFedEx,
+  },
+  aftership: {
+    secretVar: "AFTERSHIP_WEBHOOK_SECRET",
+    verify: ({ secret, header, rawBody }) => verifyHmacSignature({ secret, rawBody, signature: header("aftership-hmac-sha256"), encoding: "base64", name: "AfterShip signature" }),
+    parse: parseAfterShip,
+  },
+  "17track": {
+    secretVar: "SEVENTEENTRACK_API_KEY",
+    verify: ({ secret, header, rawBody }) => verifySeventeenTrackSignature({ apiKey: secret, rawBody, signature: header("sign") }),
+    parse: parseSeventeenTrack,
+  },
+};
+
+export const PUSH_SOURCES = Object.keys(SOURCES);
+
+// Push sources that have a secret configured, keyed by the URL segment
+// (/carrier-webhooks/:source). A source without a secret is not accepted.
+export function createPushSources(config) {
+  const sources = {};
+  for (const [name, source] of Object.entries(SOURCES)) {
+    const secret = config[source.secretVar];
+    if (!secret) continue;
+    sources[name] = {
+      source: name,
+      verify: ({ header, rawBody }) => source.verify({ secret, header, rawBody }),
+      parse: (body) => source.parse(body).filter((tracking) => tracking?.trackingNumber),
+    };
+  }
+  return sources;
+}
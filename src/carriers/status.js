@@ -0,0 +1,32 @@
+// Coarse shipment status written back to Monday, derived from the carrier's
+// own event code with the description as a tie-breaker for customs holds.
+
+export const STATUS_CATEGORIES = ["in transit", "customs", "exception", "delivered"];
+
+const CODE_CATEGORIES = {
+  DHL: { delivered: "delivered", failure: "exception" },
+  UPS: { D: "delivered", X: "exception", RS: "exception" },
+  FedEx: { DL: "delivered", DE: "exception", SE: "exception", CD: "customs", RS: "exception" },
+  // Aggregator pushes (src/carriers/push.js) keep the aggregator's own codes
+  AfterShip: { Delivered: "delivered", Exception: "exception", AttemptFail: "exception", Expired: "exception" },
+  "17TRACK": { Delivered: "delivered", Exception: "exception", DeliveryFailure: "exception", Expired: "exception" },
+};
+
+const CUSTOMS_HOLD = /customs|clearance|import dut(y|ies)|held by (the )?authorit/i;
+const CUSTOMS_DONE = /(clearance|customs)[^.]*\b(complete|completed|processed)\b|\bcleared\b|\breleased\b/i;
+
+export function categorizeCarrierEvent(carrier, event) {
+  if (!event) return null;
+  const byCode = CODE_CATEGORIES[carrier]?.[event.code];
+  if (byCode === "delivered") return "delivered";
+  // A customs hold is more useful to see than a generic exception
+  if (CUSTOMS_HOLD.test(event.description) && !CUSTOMS_DONE.test(event.description)) return "customs";
+  return byCode || "in transit";
+}
+
+// Whether a carrier event is the delivery, from its status code alone. null
+// when the event has no code, so the caller can fall back to the text.
+export function isDeliveredEvent(carrier, event) {
+  if (!event?.code || event.code === "unknown") return null;
+  return CODE_CATEGORIES[carrier]?.[event.code] === "delivered";
+}
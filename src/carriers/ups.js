@@ -0,0 +1,63 @@
+import crypto from "crypto";
+import { requestJson, createTokenProvider, formatLocation, toIsoTimestamp, sortEvents } from "./common.js";
+
+// UPS Tracking API (OAuth client credentials). code is the UPS activity type:
+// M manifest, P pickup, I in transit, X exception, D delivered, RS returned.
+
+// "20251014" + "093000" -> "2025-10-14T09:30:00"
+export function toUpsTimestamp(date, time = "000000") {
+  if (!/^\d{8}$/.test(date || "")) return null;
+  const t = String(time || "000000").padEnd(6, "0");
+  return toIsoTimestamp(`${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}`);
+}
+
+function normalizeUpsPackage(pkg, trackingNumber = pkg.trackingNumber) {
+  const events = (pkg.activity || []).map((activity) => {
+    const address = activity.location?.address || {};
+    return {
+      code: activity.status?.type || "unknown",
+      description: activity.status?.description?.trim() || "",
+      location: formatLocation([address.city, address.stateProvince, address.countryCode]),
+      timestamp: toUpsTimestamp(activity.date, activity.time),
+    };
+  });
+  const estimate = (pkg.deliveryDate || []).find((entry) => entry.type !== "DEL");
+  return {
+    carrier: "UPS",
+    trackingNumber,
+    events: sortEvents(events),
+    estimatedDelivery: estimate ? toUpsTimestamp(estimate.date, pkg.deliveryTime?.endTime) : null,
+  };
+}
+
+export function createUpsAdapter({ clientId, clientSecret, baseUrl = "https://onlinetools.ups.com", fetch = globalThis.fetch }) {
+  const getToken = createTokenProvider({
+    label: "UPS",
+    fetch,
+    url: `${baseUrl}/security/v1/oauth/token`,
+    headers: { Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString("base64")}` },
+    body: { grant_type: "client_credentials" },
+  });
+
+  async function track(trackingNumber) {
+    let data;
+    try {
+      data = await requestJson(fetch, `${baseUrl}/api/track/v1/details/${encodeURIComponent(trackingNumber)}?locale=en_GB`, {
+        headers: {
+          Authorization: `Bearer ${await getToken()}`,
+          transId: crypto.randomUUID(),
+          transactionSrc: "logistics-watcher",
+          Accept: "application/json",
+        },
+      }, "UPS");
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+
+    const pkg = data?.trackResponse?.shipment?.[0]?.package?.[0];
+    return pkg ? normalizeUpsPackage(pkg, trackingNumber) : null;
+  }
+
+  return { carrier: "UPS", track };
+}
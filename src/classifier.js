@@ -0,0 +1,68 @@
+import { matchRule } from "./rules.js";
+
+// Rule-based classification of carrier update text: issue detection, the
+// customer notification decision and mapping AI answers onto the watcher's
+// issue shape. Pure functions of the loaded rules, so the evaluation harness
+// (scripts/eval-classifier.js) can run them without starting the server.
+
+export const routeFor = (carrier) => (carrier === "UPS" ? "India-UK" : "China-UK");
+
+// "delivered" as a whole word that isn't negated: "could not be delivered",
+// "not yet delivered" and "undelivered" are failures, not deliveries
+const NEGATED_DELIVERED = /(?:\bnot|\bnever|n't|\bfailed to|\bunable to)\s+(?:(?:be|been|yet|being)\s+)*delivered\b/g;
+
+export function isDeliveredUpdate(updateText) {
+  const text = (updateText || "").toLowerCase();
+  if (text.includes("delivery attempted")) return false;
+  return /\bdelivered\b/.test(text.replace(NEGATED_DELIVERED, ""));
+}
+
+export function getCustomerAction(reason) {
+  const actions = {
+    premisesClosed: "Please arrange to be available during business hours or provide alternative delivery instructions.",
+    consigneeUnavailable: "Please ensure someone is available to receive the package or arrange alternative delivery.",
+    refusedDelivery: "Please contact the carrier if you wish to arrange redelivery.",
+    incorrectAddress: "Please verify and provide the correct delivery address.",
+    deliveryAttempt: "Please arrange to be available or provide alternative delivery instructions.",
+  };
+  return actions[reason] || "Please contact the carrier to resolve this delivery issue.";
+}
+
+// The customer email reason comes from the rule that matched the update
+export function shouldNotifyCustomer(updateText, { rules, carrier = "unknown", boardId = null }) {
+  const reason = matchRule(rules, { text: updateText, carrier, boardId })?.rule.notify;
+  if (!reason) return { shouldNotify: false };
+  return { shouldNotify: true, reason, actionRequired: getCustomerAction(reason) };
+}
+
+// Rule-based classification (src/rules.js). confident is true when the rule
+// says its wording is specific enough that asking the AI would not change the
+// answer, such as a known-normal scan, a customs hold or a failed delivery
+// attempt. issueType uses the AI schema's enum.
+export function classifyIssueBasic(updateText, carrier = "unknown", { rules, boardId = null }) {
+  const match = matchRule(rules, { text: updateText, carrier, boardId });
+  if (!match) return { issue: null, issueType: "none", confident: false, rule: null };
+
+  const { rule } = match;
+  const issue = rule.issueType === "none"
+    ? null
+    : { type: rule.label, issueType: rule.issueType, severity: rule.severity, reason: rule.description, carrier, route: routeFor(carrier), rule: rule.id };
+  return { issue, issueType: rule.issueType, confident: rule.confident, rule: rule.id };
+}
+
+// A validated AI analysis as a watcher issue, or null when no action is needed.
+// type is the display label; issueType stays the schema value so the alert
+// cooldown treats it like a rule-based alert of the same type.
+export function toAiIssue(analysis, carrier, provider) {
+  if (!analysis.hasIssue || !analysis.requiresAction) return null;
+  return {
+    type: analysis.issueType.replace(/_/g, " "),
+    issueType: analysis.issueType,
+    severity: analysis.severity,
+    reason: `AI Analysis: ${analysis.reason}`,
+    carrier,
+    route: routeFor(carrier),
+    aiAnalysis: true,
+    aiProvider: provider,
+  };
+}
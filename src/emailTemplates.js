@@ -0,0 +1,77 @@
+import fs from "fs";
+import path from "path";
+
+// Customer notification templates (templates/email). Each language folder has
+// one HTML and one text template per notification reason, plus strings.json
+// with the subjects and field labels. Both variants are wrapped in the shared
+// branded layout. Placeholders: {{name}} is escaped in HTML, {{{name}}} is not.
+
+export const escapeHtml = (value) => String(value ?? "")
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Single pass, so placeholders inside substituted values are left alone
+function fill(template, vars, { html }) {
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawKey, key) => {
+    if (rawKey) return String(vars[rawKey] ?? "");
+    return html ? escapeHtml(vars[key]) : String(vars[key] ?? "");
+  });
+}
+
+// "de-DE", "de_de" and "DE" all mean "de"
+export function normalizeLanguage(language) {
+  return String(language || "").toLowerCase().split(/[-_]/)[0] || null;
+}
+
+export function createEmailRenderer({ templatesDir, defaultLanguage = "en" }) {
+  const cache = new Map();
+  const read = (file) => {
+    if (!cache.has(file)) cache.set(file, fs.readFileSync(path.join(templatesDir, file), "utf8"));
+    return cache.get(file);
+  };
+  const brand = JSON.parse(read("brand.json"));
+
+  const languages = fs.readdirSync(templatesDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+
+  function resolveLanguage(language) {
+    const wanted = normalizeLanguage(language);
+    return languages.includes(wanted) ? wanted : defaultLanguage;
+  }
+
+  function render({ reason, language, vars }) {
+    const lang = resolveLanguage(language);
+    const strings = JSON.parse(read(`${lang}/strings.json`));
+    const hasTemplate = /^\w+$/.test(reason || "") && fs.existsSync(path.join(templatesDir, lang, `${reason}.html`));
+    const templateName = hasTemplate ? reason : "default";
+
+    const allVars = {
+      ...brand,
+      ...strings.labels,
+      ...vars,
+      carrier: vars.carrier && vars.carrier !== "unknown" ? vars.carrier : strings.labels.carrierFallback,
+      trackingLink: vars.trackingLink || brand.website,
+      language: lang,
+    };
+    const subject = fill(strings.subjects[templateName] || strings.subjects.default, allVars, { html: false });
+    const withSubject = { ...allVars, subject };
+
+    const htmlContent = fill(read(`${lang}/${templateName}.html`), withSubject, { html: true });
+    const textContent = fill(read(`${lang}/${templateName}.txt`), withSubject, { html: false });
+
+    return {
+      reason,
+      template: templateName,
+      language: lang,
+      subject,
+      html: fill(read("layout.html"), { ...withSubject, content: htmlContent }, { html: true }),
+      text: fill(read("layout.txt"), { ...withSubject, content: textContent.trim() }, { html: false }),
+    };
+  }
+
+  return { render, resolveLanguage, languages: () => [...languages] };
+}
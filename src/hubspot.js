@@ -0,0 +1,156 @@
+// Small HubSpot CRM client: finds the customer contact for a Monday item
+// (company from text3, contact name from text1) and logs outreach as an email
+// engagement on the contact and company. baseUrl can point at the local mock
+// server (scripts/hubspot-mock.js).
+
+const CONTACT_PROPERTIES = ["email", "firstname", "lastname", "company", "hs_language"];
+
+// HubSpot-defined association type IDs for email engagements
+const EMAIL_TO_CONTACT = 198;
+const EMAIL_TO_COMPANY = 186;
+
+const normalize = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9 ]/g, " ").replace(/\s+/g, " ").trim();
+
+// Company names compared without their legal form, so "Acme Robotics" on
+// Monday matches "Acme Robotics Ltd" in HubSpot
+const LEGAL_FORMS = /\b(?:ltd|limited|plc|llc|inc|incorporated|corp|corporation|co|company|gmbh|ag|bv|sa|sas|srl|pty)\b/g;
+export const normalizeCompany = (value) => normalize(value).replace(LEGAL_FORMS, " ").replace(/\s+/g, " ").trim();
+
+// Below this a contact is too weak a match to email: the company alone (20)
+// is not enough, it also needs the surname or the first name
+export const MIN_CONTACT_SCORE = 50;
+
+function toContact(record) {
+  const p = record.properties || {};
+  return {
+    id: String(record.id),
+    email: p.email || null,
+    firstName: p.firstname || "",
+    lastName: p.lastname || "",
+    company: p.company || "",
+    language: p.hs_language || null,
+  };
+}
+
+// How well a contact matches the Monday contact name and company (0-100+)
+// companyMatched: the contact is associated with the matched HubSpot company
+export function scoreContact(contact, { name, company, companyMatched = false }) {
+  if (!contact.email) return -1;
+  let score = 0;
+  const wanted = normalize(name);
+  const first = normalize(contact.firstName);
+  const last = normalize(contact.lastName);
+  const full = normalize(`${contact.firstName} ${contact.lastName}`);
+
+  if (wanted) {
+    if (full && full === wanted) score += 100;
+    else {
+      const tokens = wanted.split(" ");
+      if (last && tokens.includes(last)) score += 50;
+      if (first && tokens.includes(first)) score += 30;
+    }
+  }
+  if (companyMatched || (company && normalizeCompany(contact.company) === normalizeCompany(company))) score += 20;
+  return score;
+}
+
+export function createHubSpotClient({ apiKey, baseUrl = "https://api.hubapi.com", fetch = globalThis.fetch, minContactScore = MIN_CONTACT_SCORE }) {
+  async function request(method, path, body) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { Authorization: `Bearer ${apiKey}`, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+      const error = new Error(`HubSpot ${method} ${path} failed (${response.status}): ${data?.message || text}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  async function searchCompanies(name) {
+    const data = await request("POST", "/crm/v3/objects/companies/search", {
+      filterGroups: [{ filters: [{ propertyName: "name", operator: "CONTAINS_TOKEN", value: name }] }],
+      properties: ["name", "domain"],
+      limit: 10,
+    });
+    return (data?.results || []).map((record) => ({
+      id: String(record.id),
+      name: record.properties?.name || "",
+      domain: record.properties?.domain || null,
+    }));
+  }
+
+  async function getCompanyContacts(companyId) {
+    const associations = await request("GET", `/crm/v4/objects/companies/${companyId}/associations/contacts?limit=100`);
+    const ids = (associations?.results || []).map((result) => String(result.toObjectId));
+    if (!ids.length) return [];
+    const data = await request("POST", "/crm/v3/objects/contacts/batch/read", {
+      inputs: ids.map((id) => ({ id })),
+      properties: CONTACT_PROPERTIES,
+    });
+    return (data?.results || []).map(toContact);
+  }
+
+  async function searchContactsByCompany(company) {
+    const data = await request("POST", "/crm/v3/objects/contacts/search", {
+      filterGroups: [{ filters: [{ propertyName: "company", operator: "EQ", value: company }] }],
+      properties: CONTACT_PROPERTIES,
+      limit: 50,
+    });
+    return (data?.results || []).map(toContact);
+  }
+
+  // Best contact for a company/name pair. Only contacts of a company whose name
+  // matches (ignoring case, punctuation and legal form) are considered, and the
+  // best one must score at least minContactScore; otherwise null, and no email
+  // goes out rather than one to the wrong person.
+  async function findBestContact({ company, name }) {
+    if (!company) return null;
+    const wanted = normalizeCompany(company);
+
+    const companies = await searchCompanies(company);
+    const matchedCompany = companies.find((c) => normalizeCompany(c.name) === wanted) || null;
+
+    const candidates = new Map();
+    if (matchedCompany) {
+      for (const contact of await getCompanyContacts(matchedCompany.id)) candidates.set(contact.id, { contact, companyMatched: true });
+    }
+    for (const contact of await searchContactsByCompany(company)) {
+      if (!candidates.has(contact.id) && normalizeCompany(contact.company) === wanted) candidates.set(contact.id, { contact, companyMatched: false });
+    }
+
+    let best = null;
+    for (const { contact, companyMatched } of candidates.values()) {
+      const score = scoreContact(contact, { name, company, companyMatched });
+      if (score >= minContactScore && (!best || score > best.score)) best = { contact, score };
+    }
+    if (!best) return null;
+    return { contact: best.contact, company: matchedCompany, score: best.score };
+  }
+
+  async function logEmailEngagement({ contactId, companyId, subject, text, html, timestamp = new Date() }) {
+    const associations = [
+      { to: { id: contactId }, types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: EMAIL_TO_CONTACT }] },
+    ];
+    if (companyId) {
+      associations.push({ to: { id: companyId }, types: [{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: EMAIL_TO_COMPANY }] });
+    }
+    return request("POST", "/crm/v3/objects/emails", {
+      properties: {
+        hs_timestamp: timestamp.toISOString(),
+        hs_email_direction: "EMAIL",
+        hs_email_status: "SENT",
+        hs_email_subject: subject,
+        hs_email_text: text,
+        ...(html ? { hs_email_html: html } : {}),
+      },
+      associations,
+    });
+  }
+
+  return { searchCompanies, getCompanyContacts, searchContactsByCompany, findBestContact, logEmailEngagement };
+}
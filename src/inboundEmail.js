@@ -0,0 +1,130 @@
+// Customer replies to our notification emails. The webhook takes either a
+// parsed message as JSON ({ messageId, inReplyTo, references, from, subject,
+// text }) or the raw RFC 822 source as { raw }, which is what a local SMTP or
+// IMAP stand-in (scripts/inbound-email.js) posts.
+
+import { escapeHtml } from "./emailTemplates.js";
+
+const parseAddress = (value) => {
+  if (!value) return { address: null, name: null };
+  if (typeof value === "object") return { address: value.address || null, name: value.name || null };
+  const match = String(value).match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (match) return { address: match[2].trim(), name: match[1].trim() || null };
+  return { address: String(value).trim(), name: null };
+};
+
+// "<a@x> <b@y>" or ["<a@x>", ...] -> ["a@x", "b@y"]
+export function parseMessageIds(value) {
+  const list = Array.isArray(value) ? value.join(" ") : String(value || "");
+  const ids = list.match(/<[^>]+>/g)?.map((id) => id.slice(1, -1)) || list.split(/\s+/).filter(Boolean);
+  return ids.map((id) => id.trim().toLowerCase());
+}
+
+function parseHeaders(block) {
+  const headers = {};
+  // Folded header lines continue with leading whitespace
+  for (const line of block.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const index = line.indexOf(":");
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  }
+  return headers;
+}
+
+function decodeBody(body, encoding = "") {
+  const enc = encoding.toLowerCase();
+  if (enc === "base64") return Buffer.from(body.replace(/\s+/g, ""), "base64").toString("utf8");
+  if (enc === "quoted-printable") {
+    const bytes = body.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, "latin1").toString("utf8");
+  }
+  return body;
+}
+
+function splitMessage(source) {
+  const index = source.search(/\r?\n\r?\n/);
+  if (index === -1) return { headers: parseHeaders(source), body: "" };
+  return { headers: parseHeaders(source.slice(0, index)), body: source.slice(index).replace(/^\r?\n\r?\n/, "") };
+}
+
+// Plain text of a message, walking multipart bodies for the text/plain part
+function extractText({ headers, body }) {
+  const contentType = headers["content-type"] || "text/plain";
+  const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+  if (/^multipart\//i.test(contentType) && boundary) {
+    const parts = body.split(`--${boundary}`).slice(1).filter((part) => !part.startsWith("--"));
+    for (const part of parts) {
+      const text = extractText(splitMessage(part.replace(/^\r?\n/, "")));
+      if (text !== null) return text;
+    }
+    return null;
+  }
+  if (!/^text\/plain/i.test(contentType)) return null;
+  return decodeBody(body, headers["content-transfer-encoding"]);
+}
+
+export function parseRawEmail(raw) {
+  const message = splitMessage(String(raw));
+  const { headers } = message;
+  return {
+    messageId: headers["message-id"] || null,
+    inReplyTo: headers["in-reply-to"] || null,
+    references: headers.references || null,
+    from: headers.from || null,
+    to: headers.to || null,
+    subject: headers.subject || "",
+    date: headers.date || null,
+    text: extractText(message) || "",
+  };
+}
+
+// Either accepted body shape -> one normalised message
+export function normalizeInboundEmail(body) {
+  const email = body?.raw ? parseRawEmail(body.raw) : body || {};
+  const from = parseAddress(email.from);
+  const messageId = parseMessageIds(email.messageId)[0] || null;
+  return {
+    messageId,
+    referencedIds: [...new Set([...parseMessageIds(email.inReplyTo), ...parseMessageIds(email.references)])],
+    from,
+    to: email.to ? parseAddress(email.to).address : null,
+    subject: String(email.subject || "").trim(),
+    date: email.date || null,
+    text: String(email.text || "").replace(/\r\n/g, "\n"),
+  };
+}
+
+// The customer's own words: drop the quoted original and the signature
+export function extractReplyText(text) {
+  const lines = String(text || "").split("\n");
+  const kept = [];
+  for (const line of lines) {
+    if (/^\s*On .+wrote:\s*$/i.test(line) || /^\s*Am .+schrieb.*:\s*$/i.test(line)) break;
+    if (/^-{2,}\s*Original Message\s*-{2,}/i.test(line) || /^\s*From: .+/i.test(line)) break;
+    if (/^--\s*$/.test(line)) break;
+    if (/^\s*>/.test(line)) continue;
+    kept.push(line);
+  }
+  return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+// PO number from "(PO 12345)" style subjects, falling back to the body. PO
+// must be a word of its own ("Position", "Policy" are not) and the number
+// must contain a digit ("PO Box" is not one).
+export function extractPoNumber(subject, text = "") {
+  for (const source of [subject, text]) {
+    const match = String(source || "").match(/\bPO\b\s*(?:number|no\.?)?\s*[:#]?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{2,})/i);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+// Monday update body (HTML) for a customer reply
+export function formatReplyUpdate({ from, subject, reply }) {
+  const sender = from.name ? `${from.name} <${from.address}>` : from.address;
+  return [
+    `📧 <b>Customer reply from ${escapeHtml(sender)}</b>`,
+    `Subject: ${escapeHtml(subject)}`,
+    "",
+    escapeHtml(reply),
+  ].join("\n").replace(/\n/g, "<br>");
+}
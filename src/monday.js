@@ -0,0 +1,271 @@
+// Monday GraphQL client. Every call goes through request(), which retries
+// rate-limit and complexity-budget errors after the wait Monday asks for
+// (server errors too, but only for queries), and keeps track of the complexity budget so a burst of calls pauses before it
+// runs the budget dry instead of after. apiUrl can point at the local mock
+// (scripts/monday-mock.js).
+//
+// Items come back as { id, name, boardId, columnMap, poNumber }, columnMap
+// being column ID -> display text.
+
+const RETRYABLE_CODES = [
+  "ComplexityException",
+  "COMPLEXITY_BUDGET_EXHAUSTED",
+  "RATE_LIMIT_EXCEEDED",
+  "IP_RATE_LIMIT_EXCEEDED",
+  "maxConcurrencyExceeded",
+  "MAX_CONCURRENCY_EXCEEDED",
+];
+const MAX_ITEMS_PER_QUERY = 100;
+
+const ITEM_FIELDS = "id name board { id } column_values { id text }";
+
+// Errors carry the HTTP status, Monday's error code and the raw errors
+function mondayError(message, { status = null, code = null, errors = null } = {}) {
+  return Object.assign(new Error(message), { status, code, errors });
+}
+
+export function toItem(item) {
+  const columnMap = {};
+  for (const column of item.column_values || []) columnMap[column.id] = column.text || "";
+  return { id: String(item.id), name: item.name, boardId: item.board?.id ? String(item.board.id) : null, columnMap, poNumber: item.name };
+}
+
+const chunk = (list, size) => Array.from({ length: Math.ceil(list.length / size) }, (_, i) => list.slice(i * size, (i + 1) * size));
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Seconds Monday wants us to wait, from the error extensions or its message
+function retryDelaySeconds(error) {
+  const seconds = error?.extensions?.retry_in_seconds ?? error?.retry_in_seconds;
+  if (Number.isFinite(Number(seconds))) return Number(seconds);
+  const match = String(error?.message || error?.error_message || "").match(/reset in (\d+) seconds?/i);
+  return match ? Number(match[1]) : null;
+}
+
+const errorCode = (error) => error?.extensions?.code || error?.error_code || null;
+
+// The first operation's type ("query" for the { ... } shorthand) and the index
+// just past the "{" that opens its top-level selection set, or -1. Fragment
+// definitions are passed over, and so are the operation's variable
+// definitions, whose default values may hold braces. Strings and comments are
+// skipped so braces inside them don't count.
+function scanOperation(query) {
+  let depth = 0;
+  let parens = 0;
+  let inFragment = false;
+  let type = null;
+  for (let i = 0; i < query.length; i++) {
+    const char = query[i];
+    if (char === "#") {
+      const end = query.indexOf("\n", i);
+      i = end === -1 ? query.length : end;
+    } else if (query.startsWith('"""', i)) {
+      const end = query.indexOf('"""', i + 3);
+      i = end === -1 ? query.length : end + 2;
+    } else if (char === '"') {
+      for (i++; i < query.length && query[i] !== '"'; i++) if (query[i] === "\\") i++;
+    } else if (char === "(") {
+      parens += 1;
+    } else if (char === ")") {
+      parens -= 1;
+    } else if (parens > 0) {
+      continue;
+    } else if (char === "{") {
+      if (depth === 0 && !inFragment) return { type: type || "query", start: i + 1 };
+      depth += 1;
+    } else if (char === "}") {
+      depth -= 1;
+      if (depth === 0) inFragment = false;
+    } else if (depth === 0 && /[A-Za-z_]/.test(char)) {
+      const word = query.slice(i).match(/^\w+/)[0];
+      if (word === "fragment") inFragment = true;
+      else if (!inFragment && !type && ["query", "mutation", "subscription"].includes(word)) type = word;
+      i += word.length - 1;
+    }
+  }
+  return { type: type || "query", start: -1 };
+}
+
+// Adds the complexity field to the operation's top-level selection set, so
+// every response reports the budget left
+export function withComplexity(query) {
+  const { start } = scanOperation(query);
+  if (start === -1) return query;
+  return `${query.slice(0, start)} complexity { after reset_in_x_seconds }${query.slice(start)}`;
+}
+
+export function createMondayClient({
+  token,
+  apiUrl = "https://api.monday.com/v2",
+  apiVersion = "2024-10",
+  fetch = globalThis.fetch,
+  maxRetries = 5,
+  retryBaseMs = 1000,
+  // Pause before a call when fewer complexity points than this are left
+  minComplexityBudget = 50000,
+  sleep = defaultSleep,
+}) {
+  const budget = { remaining: null, resetAt: null };
+  const stats = { requests: 0, retries: 0, budgetWaits: 0 };
+
+  async function waitForBudget() {
+    if (budget.remaining === null || budget.remaining >= minComplexityBudget) return;
+    const waitMs = budget.resetAt - Date.now();
+    if (waitMs > 0) {
+      stats.budgetWaits += 1;
+      console.log(`⏳ Monday complexity budget low (${budget.remaining} left), waiting ${Math.ceil(waitMs / 1000)}s`);
+      await sleep(waitMs);
+    }
+    budget.remaining = null;
+  }
+
+  async function request(query, variables = {}) {
+    // A server error may come after Monday has applied a mutation; retrying
+    // it would post the update or write the columns twice
+    const retriesServerErrors = scanOperation(query).type !== "mutation";
+    for (let attempt = 0; ; attempt++) {
+      await waitForBudget();
+      stats.requests += 1;
+      const response = await fetch(apiUrl, {
+        method: "POST",
+        headers: { Authorization: token, "API-Version": apiVersion, "Content-Type": "application/json" },
+        body: JSON.stringify({ query: withComplexity(query), variables }),
+      });
+      const text = await response.text();
+      let body = null;
+      try {
+        body = text ? JSON.parse(text) : null;
+      } catch (_) {}
+
+      const errors = body?.errors || (body?.error_code ? [body] : null);
+      const retryable = response.status === 429 || (response.status >= 500 && retriesServerErrors) || errors?.some((error) => RETRYABLE_CODES.includes(errorCode(error)));
+      if (retryable && attempt < maxRetries) {
+        const asked = errors?.map(retryDelaySeconds).find((seconds) => seconds !== null) ?? Number(response.headers.get("retry-after") || NaN);
+        const waitMs = Number.isFinite(asked) ? asked * 1000 : retryBaseMs * 2 ** attempt;
+        stats.retries += 1;
+        console.log(`⏳ Monday ${errors ? errorCode(errors[0]) || "error" : `HTTP ${response.status}`}, retrying in ${Math.ceil(waitMs / 1000)}s (${attempt + 1}/${maxRetries})`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      if (!response.ok || errors) {
+        const message = errors?.map((error) => error.message || error.error_message).join("; ") || text || `HTTP ${response.status}`;
+        throw mondayError(`Monday API request failed (${response.status}): ${message}`, {
+          status: response.status,
+          code: errors ? errorCode(errors[0]) : null,
+          errors,
+        });
+      }
+
+      // An empty or non-JSON 200 answer
+      if (!body?.data) {
+        throw mondayError(`Monday API request failed (${response.status}): no data in the response${text ? `: ${text.slice(0, 200)}` : ""}`, { status: response.status });
+      }
+
+      const { complexity, ...data } = body.data;
+      if (complexity) {
+        budget.remaining = complexity.after;
+        budget.resetAt = Date.now() + complexity.reset_in_x_seconds * 1000;
+      }
+      return data;
+    }
+  }
+
+  async function me() {
+    return (await request("query { me { id name email } }")).me;
+  }
+
+  // Items by ID, MAX_ITEMS_PER_QUERY per request, in the order asked for.
+  // IDs Monday doesn't return (deleted, no access) are left out.
+  async function getItems(itemIds) {
+    const ids = [...new Set(itemIds.map(String))];
+    const found = new Map();
+    for (const batch of chunk(ids, MAX_ITEMS_PER_QUERY)) {
+      const data = await request(`query($itemIds: [ID!], $limit: Int) {
+        items(ids: $itemIds, limit: $limit) { ${ITEM_FIELDS} }
+      }`, { itemIds: batch, limit: batch.length });
+      for (const item of data.items || []) found.set(String(item.id), toItem(item));
+    }
+    return ids.map((id) => found.get(id)).filter(Boolean);
+  }
+
+  async function getItem(itemId) {
+    return (await getItems([itemId]))[0] || null;
+  }
+
+  // One page of a board's items. Pass the cursor from the previous page to
+  // continue; cursor is null on the last page. rules filters with
+  // items_page query_params, e.g. [{ column_id: "name", compare_value: ["10452"] }].
+  async function getItemsPage(boardId, { cursor = null, limit = 100, rules = null } = {}) {
+    if (cursor) {
+      const data = await request(`query($cursor: String!, $limit: Int!) {
+        next_items_page(cursor: $cursor, limit: $limit) { cursor items { ${ITEM_FIELDS} } }
+      }`, { cursor, limit });
+      const page = data.next_items_page;
+      return { cursor: page.cursor || null, items: page.items.map(toItem) };
+    }
+    const data = await request(`query($boardId: ID!, $limit: Int!, $queryParams: ItemsQuery) {
+      boards(ids: [$boardId]) { items_page(limit: $limit, query_params: $queryParams) { cursor items { ${ITEM_FIELDS} } } }
+    }`, { boardId: String(boardId), limit, queryParams: rules ? { rules } : null });
+    const page = data.boards?.[0]?.items_page;
+    if (!page) throw mondayError(`Board ${boardId} not found`, { code: "BOARD_NOT_FOUND" });
+    return { cursor: page.cursor || null, items: page.items.map(toItem) };
+  }
+
+  // Every page of a board, following the cursor. Yields { cursor, items }
+  // where cursor is what resumes after this page.
+  async function* paginateItems(boardId, { cursor = null, limit = 100, rules = null } = {}) {
+    let next = cursor;
+    do {
+      const page = await getItemsPage(boardId, { cursor: next, limit, rules });
+      next = page.cursor;
+      yield page;
+    } while (next);
+  }
+
+  // First item on any of the boards whose name is exactly itemName
+  async function findItemByName(boardIds, itemName) {
+    for (const boardId of boardIds) {
+      for await (const page of paginateItems(boardId, { rules: [{ column_id: "name", compare_value: [itemName], operator: "any_of" }] })) {
+        const item = page.items.find((candidate) => candidate.name === itemName);
+        if (item) return item;
+      }
+    }
+    return null;
+  }
+
+  async function changeColumnValue({ itemId, boardId, columnId, value }) {
+    const data = await request(`mutation($itemId: ID!, $boardId: ID!, $columnId: String!, $value: String!) {
+      change_simple_column_value(item_id: $itemId, board_id: $boardId, column_id: $columnId, value: $value) { id }
+    }`, { itemId: String(itemId), boardId: String(boardId), columnId, value: value == null ? "" : String(value) });
+    return data.change_simple_column_value;
+  }
+
+  // columnValues is column ID -> value in Monday's JSON column format
+  async function changeColumnValues({ itemId, boardId, columnValues }) {
+    const data = await request(`mutation($itemId: ID!, $boardId: ID!, $columnValues: JSON!) {
+      change_multiple_column_values(item_id: $itemId, board_id: $boardId, column_values: $columnValues) { id }
+    }`, { itemId: String(itemId), boardId: String(boardId), columnValues: JSON.stringify(columnValues) });
+    return data.change_multiple_column_values;
+  }
+
+  async function createUpdate(itemId, body) {
+    const data = await request(`mutation($itemId: ID!, $body: String!) {
+      create_update(item_id: $itemId, body: $body) { id }
+    }`, { itemId: String(itemId), body });
+    return data.create_update;
+  }
+
+  return {
+    request,
+    me,
+    getItem,
+    getItems,
+    getItemsPage,
+    paginateItems,
+    findItemByName,
+    changeColumnValue,
+    changeColumnValues,
+    createUpdate,
+    stats: () => ({ ...stats, complexityRemaining: budget.remaining, complexityResetAt: budget.resetAt ? new Date(budget.resetAt).toISOString() : null }),
+  };
+}
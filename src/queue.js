@@ -0,0 +1,154 @@
+import crypto from "crypto";
+
+// Durable work queue on top of a store collection. Jobs survive restarts,
+// failed attempts are retried with exponential backoff, and jobs that run out
+// of attempts are parked as "failed" until someone retries them.
+//
+// A dedupeKey makes enqueue idempotent: a second job with the same key is not
+// created, whatever state the first one is in. With retainCompletedMs set,
+// completed jobs (and so their dedupe keys) are dropped after that long.
+//
+// Job statuses: pending -> processing -> completed | failed
+
+export function createQueue({
+  name,
+  jobs,
+  handler,
+  maxAttempts = 5,
+  backoffBaseMs = 60 * 1000,
+  maxBackoffMs = 60 * 60 * 1000,
+  pollIntervalMs = 15 * 1000,
+  retainCompletedMs = null,
+}) {
+  let timer = null;
+  let draining = false;
+
+  // Anything left "processing" was interrupted by a restart; run it again
+  for (const [id, job] of jobs.entries()) {
+    if (job.status === "processing") jobs.set(id, { ...job, status: "pending", nextAttemptAt: Date.now() });
+  }
+
+  const findByDedupeKey = (dedupeKey) => [...jobs.values()].find((job) => job.dedupeKey === dedupeKey) || null;
+
+  function enqueue(payload, { dedupeKey = null } = {}) {
+    if (dedupeKey) {
+      const existing = findByDedupeKey(dedupeKey);
+      if (existing) return { job: existing, duplicate: true };
+    }
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      dedupeKey,
+      payload,
+      status: "pending",
+      attempts: 0,
+      lastError: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+    };
+    jobs.set(job.id, job);
+    setImmediate(drain);
+    return { job, duplicate: false };
+  }
+
+  function backoff(attempts) {
+    return Math.min(backoffBaseMs * 2 ** (attempts - 1), maxBackoffMs);
+  }
+
+  async function runJob(job) {
+    const attempts = job.attempts + 1;
+    jobs.set(job.id, { ...job, status: "processing", attempts, updatedAt: Date.now() });
+    try {
+      const result = await handler(job.payload, { ...job, attempts });
+      jobs.set(job.id, { ...jobs.get(job.id), status: "completed", result: result ?? null, lastError: null, completedAt: Date.now(), updatedAt: Date.now() });
+    } catch (error) {
+      const exhausted = attempts >= maxAttempts;
+      const retryInMs = backoff(attempts);
+      jobs.set(job.id, {
+        ...jobs.get(job.id),
+        status: exhausted ? "failed" : "pending",
+        lastError: error.message,
+        nextAttemptAt: exhausted ? null : Date.now() + retryInMs,
+        updatedAt: Date.now(),
+      });
+      console.error(
+        `❌ ${name}: job ${job.id} attempt ${attempts}/${maxAttempts} failed: ${error.message}`
+          + (exhausted ? " - giving up" : ` - retrying in ${Math.round(retryInMs / 1000)}s`)
+      );
+    }
+  }
+
+  function pruneCompleted(now) {
+    if (!retainCompletedMs) return;
+    for (const [id, job] of jobs.entries()) {
+      if (job.status === "completed" && job.completedAt < now - retainCompletedMs) jobs.delete(id);
+    }
+  }
+
+  // Run every due job, one at a time
+  async function drain() {
+    if (draining) return;
+    draining = true;
+    try {
+      const now = Date.now();
+      pruneCompleted(now);
+      const due = [...jobs.values()]
+        .filter((job) => job.status === "pending" && job.nextAttemptAt <= now)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      for (const job of due) await runJob(job);
+    } finally {
+      draining = false;
+    }
+  }
+
+  // Put a failed job back in the queue with a fresh set of attempts
+  function retry(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status !== "failed") throw new Error(`Job ${id} is ${job.status}, only failed jobs can be retried`);
+    const retried = {
+      ...job,
+      status: "pending",
+      attempts: 0,
+      retries: (job.retries || 0) + 1,
+      nextAttemptAt: Date.now(),
+      updatedAt: Date.now(),
+    };
+    jobs.set(id, retried);
+    setImmediate(drain);
+    return retried;
+  }
+
+  function list({ status } = {}) {
+    return [...jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  function stats() {
+    const counts = { pending: 0, processing: 0, completed: 0, failed: 0 };
+    for (const job of jobs.values()) counts[job.status] = (counts[job.status] || 0) + 1;
+    return counts;
+  }
+
+  return {
+    name,
+    enqueue,
+    retry,
+    list,
+    stats,
+    get: (id) => jobs.get(id) || null,
+    drain,
+    start() {
+      if (timer) return;
+      timer = setInterval(drain, pollIntervalMs);
+      setImmediate(drain);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+  };
+}
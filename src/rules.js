@@ -0,0 +1,314 @@
+import fs from "fs";
+import { ISSUE_TYPES, SEVERITIES } from "./ai/schema.js";
+import { validateCalendar, normalizeCalendar } from "./businessHours.js";
+
+// Issue detection rules (config/rules.json). One ordered list replaces the
+// keyword checks, the ambiguous-status thresholds and the customer
+// notification patterns: the first rule that matches an update decides its
+// issue type, severity, customer email reason and stuck-hours threshold.
+//
+// A pattern is a case-insensitive substring, or a regular expression written
+// as "/source/flags". carriers and boards narrow a rule to those carriers or
+// Monday board IDs; leave them out to match everywhere.
+//
+// A rule's stuckHours is its default threshold. stuckThresholds entries
+// override it for a carrier, board and/or route (the most specific entry
+// wins) and can switch to counting business hours only, using the calendar
+// of the route's origin and/or destination country (routes, calendars).
+
+const THRESHOLD_FIELDS = ["rule", "carrier", "board", "route", "stuckHours", "businessHours", "calendar"];
+const CALENDAR_MODES = ["origin", "destination", "both"];
+const RULE_FIELDS = ["id", "description", "patterns", "excludePatterns", "carriers", "boards", "issueType", "label", "severity", "notify", "stuckHours", "confident"];
+
+function compilePattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const compiled = new RegExp(regex[1], regex[2].includes("i") ? regex[2] : `${regex[2]}i`);
+    return (text) => compiled.test(text);
+  }
+  const needle = pattern.toLowerCase();
+  return (text) => text.toLowerCase().includes(needle);
+}
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim() !== "";
+
+function validateRule(rule, where, errors, seenIds) {
+  if (!rule || typeof rule !== "object") {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const key of Object.keys(rule)) {
+    if (!RULE_FIELDS.includes(key)) errors.push(`${where}.${key} is not a rule field`);
+  }
+  if (!isNonEmptyString(rule.id)) errors.push(`${where}.id is required`);
+  else if (seenIds.has(rule.id)) errors.push(`${where}.id "${rule.id}" is used more than once`);
+  seenIds.add(rule.id);
+
+  for (const field of ["patterns", "excludePatterns", "carriers", "boards"]) {
+    const value = rule[field];
+    if (value === undefined && field !== "patterns") continue;
+    // Board IDs may be written as numbers
+    const valid = field === "boards" ? (entry) => /^\d+$/.test(String(entry)) : isNonEmptyString;
+    if (!Array.isArray(value) || !value.every(valid)) {
+      errors.push(`${where}.${field} must be an array of ${field === "boards" ? "Monday board IDs" : "strings"}`);
+      continue;
+    }
+    if (field === "patterns" && !value.length) errors.push(`${where}.patterns needs at least one pattern`);
+    if (field === "patterns" || field === "excludePatterns") {
+      for (const pattern of value) {
+        try {
+          compilePattern(pattern);
+        } catch (error) {
+          errors.push(`${where}.${field}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (!ISSUE_TYPES.includes(rule.issueType)) errors.push(`${where}.issueType must be one of ${ISSUE_TYPES.join(", ")}`);
+  if (rule.issueType && rule.issueType !== "none") {
+    if (!isNonEmptyString(rule.label)) errors.push(`${where}.label is required when issueType is not "none"`);
+    if (!SEVERITIES.includes(rule.severity)) errors.push(`${where}.severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  if (rule.notify != null && !/^[A-Za-z]\w*$/.test(rule.notify)) errors.push(`${where}.notify must be a notification reason name`);
+  if (rule.stuckHours != null && !(typeof rule.stuckHours === "number" && rule.stuckHours > 0)) {
+    errors.push(`${where}.stuckHours must be a positive number of hours`);
+  }
+  if (rule.confident != null && typeof rule.confident !== "boolean") errors.push(`${where}.confident must be true or false`);
+}
+
+function compileRule(rule) {
+  const hasIssue = rule.issueType !== "none";
+  return {
+    id: rule.id,
+    description: rule.description || rule.id,
+    patterns: rule.patterns,
+    excludePatterns: rule.excludePatterns || [],
+    carriers: rule.carriers?.map((carrier) => carrier.toLowerCase()) || null,
+    boards: rule.boards?.map(String) || null,
+    issueType: rule.issueType,
+    label: hasIssue ? rule.label : null,
+    severity: hasIssue ? rule.severity : null,
+    notify: rule.notify || null,
+    stuckHours: rule.stuckHours || null,
+    confident: Boolean(rule.confident),
+    matchers: rule.patterns.map((pattern) => ({ pattern, test: compilePattern(pattern) })),
+    excluders: (rule.excludePatterns || []).map((pattern) => ({ pattern, test: compilePattern(pattern) })),
+  };
+}
+
+function validateThresholds(raw, ruleIds, errors) {
+  const routes = raw.routes || {};
+  const calendars = raw.calendars || {};
+  for (const [code, calendar] of Object.entries(calendars)) validateCalendar(calendar, `calendars.${code}`, errors);
+  for (const [name, route] of Object.entries(routes)) {
+    for (const end of ["origin", "destination"]) {
+      if (!calendars[route?.[end]]) errors.push(`routes.${name}.${end} "${route?.[end]}" has no entry in calendars`);
+    }
+  }
+
+  const defaults = raw.businessHours || {};
+  if (defaults.enabled !== undefined && typeof defaults.enabled !== "boolean") errors.push("businessHours.enabled must be true or false");
+  if (defaults.calendar !== undefined && !CALENDAR_MODES.includes(defaults.calendar)) {
+    errors.push(`businessHours.calendar must be one of ${CALENDAR_MODES.join(", ")}`);
+  }
+
+  if (raw.stuckThresholds !== undefined && !Array.isArray(raw.stuckThresholds)) {
+    errors.push("stuckThresholds must be an array");
+    return;
+  }
+  (raw.stuckThresholds || []).forEach((entry, i) => {
+    const where = `stuckThresholds[${i}]`;
+    for (const key of Object.keys(entry || {})) {
+      if (!THRESHOLD_FIELDS.includes(key)) errors.push(`${where}.${key} is not a threshold field`);
+    }
+    if (entry?.rule !== undefined && !ruleIds.has(entry.rule)) errors.push(`${where}.rule "${entry.rule}" is not a defined rule`);
+    if (entry?.route !== undefined && !routes[entry.route]) errors.push(`${where}.route "${entry.route}" is not a defined route`);
+    if (entry?.carrier !== undefined && !isNonEmptyString(entry.carrier)) errors.push(`${where}.carrier must be a carrier name`);
+    if (entry?.board !== undefined && !/^\d+$/.test(String(entry.board))) errors.push(`${where}.board must be a Monday board ID`);
+    if (entry?.stuckHours !== undefined && !(typeof entry.stuckHours === "number" && entry.stuckHours > 0)) {
+      errors.push(`${where}.stuckHours must be a positive number of hours`);
+    }
+    if (entry?.businessHours !== undefined && typeof entry.businessHours !== "boolean") errors.push(`${where}.businessHours must be true or false`);
+    if (entry?.calendar !== undefined && !CALENDAR_MODES.includes(entry.calendar)) {
+      errors.push(`${where}.calendar must be one of ${CALENDAR_MODES.join(", ")}`);
+    }
+  });
+}
+
+export function loadRules(rulesPath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read rules ${rulesPath}: ${error.message}`);
+  }
+
+  const errors = [];
+  if (!Array.isArray(raw?.rules) || !raw.rules.length) errors.push("rules: at least one rule is required");
+  const seenIds = new Set();
+  (raw?.rules || []).forEach((rule, i) => validateRule(rule, `rules[${i}]${rule?.id ? ` (${rule.id})` : ""}`, errors, seenIds));
+  if (raw && typeof raw === "object") validateThresholds(raw, seenIds, errors);
+  if (errors.length) {
+    throw new Error(`Invalid rules ${rulesPath}:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return {
+    path: rulesPath,
+    loadedAt: new Date().toISOString(),
+    rules: raw.rules.map(compileRule),
+    stuckThresholds: (raw.stuckThresholds || []).map((entry) => ({ ...entry, board: entry.board == null ? undefined : String(entry.board) })),
+    businessHours: { enabled: Boolean(raw.businessHours?.enabled), calendar: raw.businessHours?.calendar || "destination" },
+    routes: raw.routes || {},
+    calendars: Object.fromEntries(Object.entries(raw.calendars || {}).map(([code, calendar]) => [code, normalizeCalendar(calendar)])),
+  };
+}
+
+// Stuck threshold for a matched rule on one carrier, board and route: the
+// rule's stuckHours, overridden by every applicable stuckThresholds entry from
+// least to most specific. hours is null when the status is not tracked.
+export function resolveStuckThreshold(loaded, { rule, carrier = "unknown", boardId = null, route = null }) {
+  const applies = (entry) => (entry.rule === undefined || entry.rule === rule.id)
+    && (entry.carrier === undefined || entry.carrier.toLowerCase() === String(carrier || "").toLowerCase())
+    && (entry.board === undefined || entry.board === String(boardId))
+    && (entry.route === undefined || entry.route === route);
+  const specificity = (entry) => ["rule", "carrier", "board", "route"].filter((field) => entry[field] !== undefined).length;
+  const overrides = loaded.stuckThresholds
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => applies(entry))
+    .sort((a, b) => specificity(a.entry) - specificity(b.entry) || b.index - a.index);
+
+  let threshold = { hours: rule.stuckHours, businessHours: loaded.businessHours.enabled, calendar: loaded.businessHours.calendar };
+  for (const { entry } of overrides) {
+    threshold = {
+      hours: entry.stuckHours ?? threshold.hours,
+      businessHours: entry.businessHours ?? threshold.businessHours,
+      calendar: entry.calendar ?? threshold.calendar,
+    };
+  }
+
+  // Business hours need a route with known countries; otherwise count wall-clock time
+  const ends = loaded.routes[route];
+  const countries = !threshold.businessHours || !ends
+    ? []
+    : threshold.calendar === "both" ? [ends.origin, ends.destination] : [ends[threshold.calendar]];
+  return {
+    hours: threshold.hours || null,
+    businessHours: countries.length > 0,
+    countries,
+    route,
+    overrides: overrides.map(({ index }) => index),
+  };
+}
+
+// Why a rule does or does not apply to an update
+function evaluateRule(rule, { text, carrier, boardId }) {
+  if (rule.carriers && !rule.carriers.includes(String(carrier || "").toLowerCase())) {
+    return { result: "skipped", reason: `carrier ${carrier || "unknown"} is out of scope` };
+  }
+  if (rule.boards && !rule.boards.includes(String(boardId))) {
+    return { result: "skipped", reason: `board ${boardId ?? "unknown"} is out of scope` };
+  }
+  const matched = rule.matchers.find((matcher) => matcher.test(text));
+  if (!matched) return { result: "no match" };
+  const excluded = rule.excluders.find((matcher) => matcher.test(text));
+  if (excluded) return { result: "excluded", pattern: excluded.pattern };
+  return { result: "matched", pattern: matched.pattern };
+}
+
+// First matching rule for an update, with the pattern that matched
+export function matchRule(rules, { text, carrier = "unknown", boardId = null }) {
+  const update = { text: String(text || ""), carrier, boardId };
+  for (const rule of rules) {
+    const evaluation = evaluateRule(rule, update);
+    if (evaluation.result === "matched") return { rule, pattern: evaluation.pattern };
+  }
+  return null;
+}
+
+// The rule without its compiled matchers, as the endpoints show it
+export function describeRule(rule) {
+  const { matchers, excluders, ...described } = rule;
+  return described;
+}
+
+// Every rule up to and including the one that matched, with the reason each
+// earlier rule was passed over
+export function explainRules(rules, { text, carrier = "unknown", boardId = null }) {
+  const update = { text: String(text || ""), carrier, boardId };
+  const evaluated = [];
+  for (const rule of rules) {
+    const evaluation = evaluateRule(rule, update);
+    evaluated.push({ id: rule.id, ...evaluation });
+    if (evaluation.result === "matched") {
+      return { matched: { ...describeRule(rule), pattern: evaluation.pattern }, evaluated };
+    }
+  }
+  return { matched: null, evaluated };
+}
+
+// Keeps the loaded rules current: the file is re-read when it changes on
+// disk, and a broken edit is reported while the last good rules stay active.
+export function createRuleEngine({ path: rulesPath, watchIntervalMs = 2000 }) {
+  let loaded = loadRules(rulesPath);
+  let lastError = null;
+  let watching = false;
+
+  function reload() {
+    try {
+      loaded = loadRules(rulesPath);
+      lastError = null;
+      console.log(`📐 Reloaded ${loaded.rules.length} rules from ${rulesPath}`);
+    } catch (error) {
+      lastError = { message: error.message, at: new Date().toISOString() };
+      console.error(`❌ Keeping the previous rules: ${error.message}`);
+      throw error;
+    }
+    return loaded;
+  }
+
+  const onChange = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      reload();
+    } catch (_) {}
+  };
+
+  return {
+    get rules() {
+      return loaded.rules;
+    },
+    match: (update) => matchRule(loaded.rules, update),
+    explain: (update) => explainRules(loaded.rules, update),
+    threshold: (context) => resolveStuckThreshold(loaded, context),
+    thresholdSettings: () => ({
+      businessHours: loaded.businessHours,
+      stuckThresholds: loaded.stuckThresholds,
+      routes: loaded.routes,
+      calendars: loaded.calendars,
+    }),
+    // Calendars are looked up when time is counted, so holiday edits apply to
+    // statuses already being tracked
+    calendarsFor: (countries) => countries.map((code) => loaded.calendars[code]).filter(Boolean),
+    reload,
+    watch() {
+      if (watching) return;
+      fs.watchFile(rulesPath, { interval: watchIntervalMs, persistent: false }, onChange);
+      watching = true;
+    },
+    unwatch() {
+      fs.unwatchFile(rulesPath, onChange);
+      watching = false;
+    },
+    status: () => ({
+      path: loaded.path,
+      loadedAt: loaded.loadedAt,
+      watching,
+      count: loaded.rules.length,
+      stuckThresholds: loaded.stuckThresholds.length,
+      businessHours: loaded.businessHours,
+      calendars: Object.keys(loaded.calendars),
+      lastError,
+    }),
+  };
+}
@@ -0,0 +1,67 @@
+// Minimal interval scheduler for background jobs (stuck-shipment sweeps, ...).
+// Runs never overlap: if a run is still in progress when the timer fires, the
+// tick is skipped. status() is what the HTTP endpoints expose.
+export function createScheduler({ name, intervalMs, task, enabled = true }) {
+  if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+    throw new Error(`Scheduler "${name}" needs a positive interval (got ${intervalMs})`);
+  }
+
+  let timer = null;
+  const state = {
+    name,
+    enabled,
+    intervalMs,
+    running: false,
+    runCount: 0,
+    startedAt: null,
+    lastRunAt: null,
+    lastRunDurationMs: null,
+    lastResult: null,
+    lastError: null,
+    nextRunAt: null,
+  };
+
+  async function runNow() {
+    if (state.running) {
+      console.log(`⏭️ ${name}: previous run still in progress, skipping`);
+      return null;
+    }
+    state.running = true;
+    const started = Date.now();
+    try {
+      state.lastResult = await task();
+      state.lastError = null;
+    } catch (error) {
+      console.error(`❌ ${name} run failed:`, error);
+      state.lastError = error.message;
+    } finally {
+      state.running = false;
+      state.runCount += 1;
+      state.lastRunAt = new Date(started).toISOString();
+      state.lastRunDurationMs = Date.now() - started;
+    }
+    return state.lastResult;
+  }
+
+  function tick() {
+    state.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+    return runNow();
+  }
+
+  return {
+    start() {
+      if (!state.enabled || timer) return;
+      timer = setInterval(tick, intervalMs);
+      state.startedAt = new Date().toISOString();
+      state.nextRunAt = new Date(Date.now() + intervalMs).toISOString();
+      console.log(`⏰ ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      state.nextRunAt = null;
+    },
+    runNow,
+    status: () => ({ ...state }),
+  };
+}
@@ -0,0 +1,86 @@
+import crypto from "crypto";
+
+// Request signature checks for inbound webhooks. Each verifier returns
+// { valid: true } or { valid: false, reason } so handlers can log why a request
+// was rejected without leaking it to the caller.
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Slack: v0=HMAC-SHA256(signing secret, "v0:{timestamp}:{raw body}")
+export function verifySlackSignature({ signingSecret, timestamp, signature, rawBody, toleranceSeconds = 300, now = Date.now() }) {
+  if (!signingSecret) return { valid: false, reason: "SLACK_SIGNING_SECRET not configured" };
+  if (!timestamp || !signature) return { valid: false, reason: "missing Slack signature headers" };
+  if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return { valid: false, reason: "Slack request timestamp outside the allowed window" };
+  }
+
+  const expected = "v0=" + crypto
+    .createHmac("sha256", signingSecret)
+    .update(`v0:${timestamp}:${rawBody || ""}`)
+    .digest("hex");
+
+  return safeEqual(expected, signature) ? { valid: true } : { valid: false, reason: "Slack signature mismatch" };
+}
+
+// Monday: Authorization header carries an HS256 JWT signed with the app's
+// signing secret. Tokens older than the replay window (by iat) are rejected.
+export function verifyMondayJwt({ signingSecret, authorization, maxAgeSeconds = 300, now = Date.now() }) {
+  if (!signingSecret) return { valid: false, reason: "MONDAY_SIGNING_SECRET not configured" };
+  if (!authorization) return { valid: false, reason: "missing Authorization header" };
+
+  const token = authorization.replace(/^Bearer\s+/i, "").trim();
+  const parts = token.split(".");
+  if (parts.length !== 3) return { valid: false, reason: "Authorization header is not a JWT" };
+
+  let header;
+  let claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+    claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+  } catch (error) {
+    return { valid: false, reason: "malformed JWT" };
+  }
+  if (header.alg !== "HS256") return { valid: false, reason: `unsupported JWT algorithm ${header.alg}` };
+
+  const expected = crypto
+    .createHmac("sha256", signingSecret)
+    .update(`${parts[0]}.${parts[1]}`)
+    .digest("base64url");
+  if (!safeEqual(expected, parts[2])) return { valid: false, reason: "JWT signature mismatch" };
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (claims.exp && nowSeconds > claims.exp) return { valid: false, reason: "JWT expired" };
+  if (claims.iat && nowSeconds - claims.iat > maxAgeSeconds) {
+    return { valid: false, reason: `JWT issued ${nowSeconds - claims.iat}s ago, outside the replay window` };
+  }
+
+  return { valid: true, claims };
+}
+
+// Inbound email forwarder: a shared secret in the X-Inbound-Secret header
+export function verifySharedSecret({ secret, provided, name = "shared secret" }) {
+  if (!secret) return { valid: false, reason: `${name} not configured` };
+  if (!provided) return { valid: false, reason: `missing ${name}` };
+  return safeEqual(secret, provided) ? { valid: true } : { valid: false, reason: `${name} mismatch` };
+}
+
+// Carrier and aggregator pushes: HMAC of the raw body with the webhook secret,
+// hex (FedEx) or base64 (AfterShip) encoded
+export function verifyHmacSignature({ secret, rawBody, signature, encoding = "hex", name = "webhook signature" }) {
+  if (!secret) return { valid: false, reason: `${name} secret not configured` };
+  if (!signature) return { valid: false, reason: `missing ${name}` };
+  const expected = crypto.createHmac("sha256", secret).update(rawBody || "").digest(encoding);
+  return safeEqual(expected, signature) ? { valid: true } : { valid: false, reason: `${name} mismatch` };
+}
+
+// 17TRACK: sign header is SHA-256("{raw body}/{api key}") in hex
+export function verifySeventeenTrackSignature({ apiKey, rawBody, signature }) {
+  if (!apiKey) return { valid: false, reason: "17TRACK API key not configured" };
+  if (!signature) return { valid: false, reason: "missing 17TRACK sign header" };
+  const expected = crypto.createHash("sha256").update(`${rawBody || ""}/${apiKey}`).digest("hex");
+  return safeEqual(expected, signature.toLowerCase()) ? { valid: true } : { valid: false, reason: "17TRACK signature mismatch" };
+}
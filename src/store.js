@@ -0,0 +1,196 @@
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+// Persistent key/value store for watcher state (ambiguous-status timers, alert
+// history, extracted tracking numbers, ...). Values are grouped into named
+// collections that behave like a Map, so callers can keep their Map-style code.
+//
+// Drivers:
+//   sqlite - better-sqlite3 database (optional dependency); the default when it
+//            is installed and there is no JSON state file to carry on from
+//   file   - single JSON file, rewritten atomically. Changes are batched into
+//            one write at most every flushDelayMs; close() writes what is left.
+//   memory - nothing persisted, useful for local experiments
+
+const DEFAULT_FILE_PATH = "./data/watcher-state.json";
+const DEFAULT_SQLITE_PATH = "./data/watcher-state.db";
+
+function createMemoryBackend() {
+  return {
+    load: () => ({}),
+    put: () => {},
+    remove: () => {},
+    clear: () => {},
+    close: () => {},
+  };
+}
+
+function createFileBackend(filePath, { flushDelayMs = 1000 } = {}) {
+  let data = {};
+  if (fs.existsSync(filePath)) {
+    const raw = fs.readFileSync(filePath, "utf8");
+    try {
+      data = raw.trim() ? JSON.parse(raw) : {};
+    } catch (error) {
+      throw new Error(`State file ${filePath} is not valid JSON: ${error.message}`);
+    }
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  };
+  // The first change after a write starts the clock; later ones ride along
+  const scheduleFlush = () => {
+    if (flushDelayMs <= 0) return flush();
+    if (timer) return;
+    timer = setTimeout(() => {
+      try {
+        flush();
+      } catch (error) {
+        console.error(`❌ Failed to write state file ${filePath}:`, error.message);
+      }
+    }, flushDelayMs);
+    timer.unref();
+  };
+
+  return {
+    load: (namespace) => data[namespace] || {},
+    put(namespace, key, value) {
+      data[namespace] = data[namespace] || {};
+      data[namespace][key] = value;
+      scheduleFlush();
+    },
+    remove(namespace, key) {
+      if (!data[namespace] || !(key in data[namespace])) return;
+      delete data[namespace][key];
+      scheduleFlush();
+    },
+    clear(namespace) {
+      delete data[namespace];
+      scheduleFlush();
+    },
+    close: () => {
+      if (timer) flush();
+    },
+  };
+}
+
+function loadSqlite() {
+  try {
+    return require("better-sqlite3");
+  } catch (error) {
+    return null;
+  }
+}
+
+function createSqliteBackend(filePath) {
+  const Database = loadSqlite();
+  if (!Database) throw new Error('STORE_DRIVER=sqlite requires the "better-sqlite3" package');
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (namespace, key)
+  )`);
+
+  const selectAll = db.prepare("SELECT key, value FROM kv WHERE namespace = ?");
+  const upsert = db.prepare(
+    "INSERT INTO kv (namespace, key, value) VALUES (?, ?, ?) ON CONFLICT(namespace, key) DO UPDATE SET value = excluded.value"
+  );
+  const deleteOne = db.prepare("DELETE FROM kv WHERE namespace = ? AND key = ?");
+  const deleteAll = db.prepare("DELETE FROM kv WHERE namespace = ?");
+
+  return {
+    load(namespace) {
+      const rows = {};
+      for (const row of selectAll.all(namespace)) {
+        rows[row.key] = JSON.parse(row.value);
+      }
+      return rows;
+    },
+    put: (namespace, key, value) => upsert.run(namespace, key, JSON.stringify(value)),
+    remove: (namespace, key) => deleteOne.run(namespace, key),
+    clear: (namespace) => deleteAll.run(namespace),
+    close: () => db.close(),
+  };
+}
+
+function createCollection(backend, namespace) {
+  const cache = new Map(Object.entries(backend.load(namespace)));
+
+  return {
+    get: (key) => cache.get(String(key)),
+    has: (key) => cache.has(String(key)),
+    set(key, value) {
+      cache.set(String(key), value);
+      backend.put(namespace, String(key), value);
+      return this;
+    },
+    delete(key) {
+      const existed = cache.delete(String(key));
+      if (existed) backend.remove(namespace, String(key));
+      return existed;
+    },
+    clear() {
+      cache.clear();
+      backend.clear(namespace);
+    },
+    keys: () => cache.keys(),
+    values: () => cache.values(),
+    entries: () => cache.entries(),
+    [Symbol.iterator]: () => cache.entries(),
+    get size() {
+      return cache.size;
+    },
+  };
+}
+
+// No driver configured: sqlite when it is installed, unless a JSON state file
+// is already there (switching would silently start from empty state)
+function pickDriver(storePath) {
+  const keepJson = storePath ? storePath.endsWith(".json") : fs.existsSync(DEFAULT_FILE_PATH);
+  return keepJson || !loadSqlite() ? "file" : "sqlite";
+}
+
+export function createStore({ driver, path: storePath, flushDelayMs } = {}) {
+  driver = driver || pickDriver(storePath);
+  let backend;
+  switch (driver) {
+    case "memory":
+      backend = createMemoryBackend();
+      break;
+    case "sqlite":
+      backend = createSqliteBackend(storePath || DEFAULT_SQLITE_PATH);
+      break;
+    case "file":
+      backend = createFileBackend(storePath || DEFAULT_FILE_PATH, { flushDelayMs });
+      break;
+    default:
+      throw new Error(`Unknown STORE_DRIVER "${driver}" (expected file, sqlite or memory)`);
+  }
+
+  const collections = new Map();
+
+  return {
+    driver,
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createCollection(backend, name));
+      return collections.get(name);
+    },
+    close: () => backend.close(),
+  };
+}
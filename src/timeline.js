@@ -0,0 +1,110 @@
+// Shipment timeline: everything the watcher saw and did for an item, oldest
+// first - Monday and carrier updates with their classification, Slack alerts
+// (posted or held back), customer emails, customer replies and coordinator
+// actions from Slack. One record per item; past maxEvents the oldest events
+// are dropped.
+//
+// Each record also carries the item's current state so /shipments can filter
+// on it. status is "in_transit", "issue", "resolved" or "delivered"; the
+// caller passes the new status with the event that changes it.
+//
+// prune() drops delivered and resolved items once they have been quiet for
+// closedRetentionMs, and any item quiet for maxAgeMs (null keeps them).
+
+export const TIMELINE_EVENT_TYPES = ["update", "tracking", "alert", "email", "reply", "action"];
+export const SHIPMENT_STATUSES = ["in_transit", "issue", "resolved", "delivered"];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// offset/limit from query strings, clamped
+export function toPage({ offset, limit } = {}) {
+  const start = Math.max(0, Number.parseInt(offset, 10) || 0);
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+  return { offset: start, limit: size };
+}
+
+const addUnique = (list, value) => (value && !list.includes(value) ? [...list, value] : list);
+
+const CLOSED_STATUSES = ["delivered", "resolved"];
+
+export function createShipmentTimeline({ records, maxEvents = 500, closedRetentionMs = null, maxAgeMs = null }) {
+  function record({ itemId, boardId = null, name = null, status = null, type, ...details }, now = Date.now()) {
+    const key = String(itemId);
+    const previous = records.get(key) || {
+      itemId: key,
+      boardId: null,
+      name: null,
+      status: "in_transit",
+      carriers: [],
+      trackingNumbers: [],
+      lastUpdateText: null,
+      lastIssue: null,
+      firstSeenAt: now,
+      events: [],
+    };
+    const event = { at: now, type, ...details };
+    const trackingNumbers = [...(details.trackingNumbers || []), details.trackingNumber].reduce(addUnique, previous.trackingNumbers);
+    const issue = type === "update" ? details.classification?.issueType : type === "alert" ? details.issueType : null;
+
+    records.set(key, {
+      ...previous,
+      boardId: boardId ? String(boardId) : previous.boardId,
+      name: name || previous.name,
+      status: status || previous.status,
+      carriers: details.carrier && details.carrier !== "unknown" ? addUnique(previous.carriers, details.carrier) : previous.carriers,
+      trackingNumbers,
+      lastUpdateText: type === "update" ? details.text : previous.lastUpdateText,
+      lastIssue: issue ? { type: issue, severity: details.classification?.severity || details.severity || null, at: now } : previous.lastIssue,
+      lastEventAt: now,
+      eventCount: (previous.eventCount || 0) + 1,
+      events: [...previous.events, event].slice(-maxEvents),
+    });
+    return event;
+  }
+
+  function get(itemId) {
+    return records.get(String(itemId)) || null;
+  }
+
+  // Events of one item, oldest first, optionally only some types
+  function events(itemId, { types = null, offset, limit } = {}) {
+    const entry = get(itemId);
+    if (!entry) return null;
+    const matching = types?.length ? entry.events.filter((event) => types.includes(event.type)) : entry.events;
+    const page = toPage({ offset, limit });
+    return { total: matching.length, ...page, events: matching.slice(page.offset, page.offset + page.limit) };
+  }
+
+  // Item summaries, most recently active first
+  function list({ board = null, status = null, carrier = null, offset, limit } = {}) {
+    const carrierName = carrier ? carrier.toLowerCase() : null;
+    const matching = [...records.values()]
+      .filter((entry) => !board || entry.boardId === String(board))
+      .filter((entry) => !status || entry.status === status)
+      .filter((entry) => !carrierName || entry.carriers.some((name) => name.toLowerCase() === carrierName))
+      .sort((a, b) => b.lastEventAt - a.lastEventAt);
+    const page = toPage({ offset, limit });
+    return { total: matching.length, ...page, shipments: matching.slice(page.offset, page.offset + page.limit).map(summarize) };
+  }
+
+  function summarize({ events: itemEvents, ...summary }) {
+    return summary;
+  }
+
+  // Returns how many items went
+  function prune(now = Date.now()) {
+    let removed = 0;
+    for (const [key, entry] of [...records.entries()]) {
+      const quietMs = now - entry.lastEventAt;
+      const closed = CLOSED_STATUSES.includes(entry.status);
+      if ((closed && closedRetentionMs != null && quietMs > closedRetentionMs) || (maxAgeMs != null && quietMs > maxAgeMs)) {
+        records.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  return { record, get, events, list, summarize, prune };
+}
@@ -0,0 +1,170 @@
+// Carrier-aware tracking number parser. Recognises the common carrier formats,
+// validates their check digits and pulls numbers out of free text and the
+// carrier tracking URLs we see pasted into Monday.
+//
+// Every result has the shape { carrier, trackingNumber, confidence } plus the
+// matched format name and whether the check digit validated.
+
+// GS1 / USPS mod 10: weights 3,1,3,1... from the rightmost data digit
+function gs1Mod10(digits) {
+  const data = digits.slice(0, -1);
+  let total = 0;
+  for (let i = 0; i < data.length; i++) {
+    const weight = (data.length - 1 - i) % 2 === 0 ? 3 : 1;
+    total += Number(data[i]) * weight;
+  }
+  return (10 - (total % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+// UPS 1Z: letters map to (charCode - 63) % 10, every second character doubled
+function upsCheck(number) {
+  const data = number.slice(2, 17);
+  let total = 0;
+  for (let i = 0; i < data.length; i++) {
+    let value = /\d/.test(data[i]) ? Number(data[i]) : (data.charCodeAt(i) - 63) % 10;
+    if (i % 2 === 1) value *= 2;
+    total += value;
+  }
+  const remainder = total % 10;
+  return (remainder === 0 ? 0 : 10 - remainder) === Number(number[17]);
+}
+
+// FedEx Express 12-digit: weights 3,1,7 repeating, mod 11 then mod 10
+function fedexExpressCheck(digits) {
+  const weights = [3, 1, 7];
+  let total = 0;
+  for (let i = 0; i < 11; i++) total += Number(digits[i]) * weights[i % 3];
+  return (total % 11) % 10 === Number(digits[11]);
+}
+
+// DHL Express 10-digit waybill: first nine digits mod 7
+function dhlExpressCheck(digits) {
+  return Number(digits.slice(0, 9)) % 7 === Number(digits[9]);
+}
+
+// UPU S10 international postal items (e.g. RR123456785GB)
+function s10Check(number) {
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  let total = 0;
+  for (let i = 0; i < 8; i++) total += Number(number[2 + i]) * weights[i];
+  let check = 11 - (total % 11);
+  if (check === 10) check = 0;
+  if (check === 11) check = 5;
+  return check === Number(number[10]);
+}
+
+// Ordered from most to least specific; the first validating format wins
+const FORMATS = [
+  { name: "UPS 1Z", carrier: "UPS", pattern: /^1Z[0-9A-Z]{16}$/, validate: upsCheck, confidence: 0.99 },
+  { name: "FedEx Ground 96", carrier: "FedEx", pattern: /^96\d{20}$/, validate: (n) => gs1Mod10(n.slice(-15)), confidence: 0.95 },
+  { name: "USPS IMpb", carrier: "USPS", pattern: /^9[2-5]\d{20}$/, validate: gs1Mod10, confidence: 0.9 },
+  { name: "FedEx SmartPost", carrier: "FedEx", pattern: /^\d{20}$/, validate: (n) => gs1Mod10(n) || gs1Mod10(n.slice(-15)), confidence: 0.8 },
+  { name: "FedEx Ground", carrier: "FedEx", pattern: /^\d{15}$/, validate: gs1Mod10, confidence: 0.85 },
+  { name: "FedEx Express", carrier: "FedEx", pattern: /^\d{12}$/, validate: fedexExpressCheck, confidence: 0.9 },
+  { name: "DHL Express", carrier: "DHL", pattern: /^\d{10}$/, validate: dhlExpressCheck, confidence: 0.75 },
+  { name: "UPU S10", carrier: "Postal", pattern: /^[A-Z]{2}\d{9}[A-Z]{2}$/, validate: s10Check, confidence: 0.9 },
+  { name: "DHL eCommerce", carrier: "DHL", pattern: /^(JJD\d{10,20}|JVGL\d{10,20}|GM\d{16,18})$/, validate: null, confidence: 0.7 },
+];
+
+// Query parameters used by carrier tracking pages, with the carrier they imply
+const URL_PARAMETERS = [
+  { pattern: /tracking-id=([A-Z0-9]+)/i, carrier: "DHL" },
+  { pattern: /tracknum=([A-Z0-9]+)/i, carrier: "UPS" },
+  { pattern: /TrackingNumber=([A-Z0-9]+)/i, carrier: "UPS" },
+  { pattern: /tracknumbers?=([A-Z0-9]+)/i, carrier: "FedEx" },
+  { pattern: /trknbr=([A-Z0-9]+)/i, carrier: "FedEx" },
+  { pattern: /(?:tracking|track|trk)(?:_?(?:id|num|number))?=([A-Z0-9]+)/i, carrier: null },
+];
+
+const URL_DOMAINS = [
+  { pattern: /dhl\./i, carrier: "DHL" },
+  { pattern: /ups\.com/i, carrier: "UPS" },
+  { pattern: /fedex\.com/i, carrier: "FedEx" },
+  { pattern: /usps\.com/i, carrier: "USPS" },
+];
+
+const CANDIDATE_PATTERN = /\b(1Z[0-9A-Z]{16}|[A-Z]{2}\d{9}[A-Z]{2}|JJD\d{10,20}|JVGL\d{10,20}|GM\d{16,18}|\d{10,22})\b/gi;
+const URL_PATTERN = /https?:\/\/[^\s,;"'<>]+/gi;
+
+// Classify a single bare tracking number. Returns null when it matches no
+// known format or fails its check digit.
+export function identifyTrackingNumber(value, { carrierHint = null } = {}) {
+  const trackingNumber = String(value || "").replace(/[\s-]/g, "").toUpperCase();
+  if (!trackingNumber) return null;
+
+  for (const format of FORMATS) {
+    if (!format.pattern.test(trackingNumber)) continue;
+    if (format.validate && !format.validate(trackingNumber)) continue;
+    // A carrier hint from the URL or board confirms an otherwise ambiguous match
+    const confirmed = carrierHint && carrierHint === format.carrier;
+    return {
+      carrier: format.carrier,
+      trackingNumber,
+      confidence: confirmed ? Math.max(format.confidence, 0.98) : format.confidence,
+      format: format.name,
+      checksumValid: Boolean(format.validate),
+    };
+  }
+  return null;
+}
+
+function parseUrl(url) {
+  const domainCarrier = URL_DOMAINS.find((domain) => domain.pattern.test(url))?.carrier || null;
+  for (const param of URL_PARAMETERS) {
+    const match = url.match(param.pattern);
+    if (!match) continue;
+    const carrierHint = param.carrier || domainCarrier;
+    const identified = identifyTrackingNumber(match[1], { carrierHint });
+    if (identified) return identified;
+    // The carrier's own tracking link vouches for the number even when we
+    // don't know its check digit scheme
+    if (carrierHint) {
+      return {
+        carrier: carrierHint,
+        trackingNumber: match[1].toUpperCase(),
+        confidence: 0.6,
+        format: `${carrierHint} tracking URL`,
+        checksumValid: false,
+      };
+    }
+  }
+  return null;
+}
+
+// All tracking numbers found in the text, in order of appearance, de-duplicated
+export function parseTrackingNumbers(text) {
+  if (!text) return [];
+  const found = new Map();
+  const add = (result) => {
+    if (result && !found.has(result.trackingNumber)) found.set(result.trackingNumber, result);
+  };
+
+  for (const url of text.match(URL_PATTERN) || []) add(parseUrl(url));
+
+  const withoutUrls = text.replace(URL_PATTERN, " ");
+  for (const candidate of withoutUrls.match(CANDIDATE_PATTERN) || []) add(identifyTrackingNumber(candidate));
+
+  // Numbers pasted with spaces, e.g. "1Z 999 AA1 01 2345 678 4"
+  if (!found.size) add(identifyTrackingNumber(withoutUrls.trim()));
+
+  return [...found.values()];
+}
+
+// The single most likely tracking number in the text
+export function parseTrackingNumber(text) {
+  const results = parseTrackingNumbers(text);
+  if (!results.length) return null;
+  return results.reduce((best, result) => (result.confidence > best.confidence ? result : best));
+}
+
+const TRACKING_URLS = {
+  DHL: (number) => `https://www.dhl.com/gb-en/home/tracking/tracking-express.html?submit=1&tracking-id=${number}`,
+  UPS: (number) => `https://www.ups.com/track?loc=en_GB&tracknum=${number}`,
+  FedEx: (number) => `https://www.fedex.com/fedextrack/?trknbr=${number}`,
+  USPS: (number) => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${number}`,
+};
+
+// Public tracking page for a number, or null for carriers without one
+export function buildTrackingUrl(carrier, trackingNumber) {
+  return TRACKING_URLS[carrier] ? TRACKING_URLS[carrier](encodeURIComponent(trackingNumber)) : null;
+}
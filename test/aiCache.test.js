@@ -0,0 +1,32 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createClassificationCache, normalizeUpdateText } from "../src/ai/cache.js";
+
+const HOUR = 60 * 60 * 1000;
+const answer = { analysis: { hasIssue: false, reason: "in transit" }, provider: "openai", model: "gpt" };
+
+test("normalizeUpdateText shares one entry across parcels, dates and times", () => {
+  assert.equal(
+    normalizeUpdateText("Clearance event 2024-05-01 10:15 JJD0123456789  "),
+    normalizeUpdateText("clearance event 2024-06-12 08:40 JJD9876543210."),
+  );
+});
+
+test("entries are keyed by carrier and location as well as the text", () => {
+  const cache = createClassificationCache({ entries: new Map(), ttlMs: HOUR });
+  cache.set({ text: "Held at facility", carrier: "DHL", location: "Leipzig, DE" }, answer, 0);
+
+  assert.equal(cache.get({ text: "held at facility.", carrier: "DHL", location: "leipzig,  DE" }, 1).provider, "openai");
+  assert.equal(cache.get({ text: "Held at facility", carrier: "UPS", location: "Leipzig, DE" }, 1), null);
+  assert.equal(cache.get({ text: "Held at facility", carrier: "DHL", location: "Stansted, GB" }, 1), null);
+  assert.equal(cache.get({ text: "Held at facility", carrier: "DHL" }, 1), null);
+});
+
+test("expired entries miss and are pruned", () => {
+  const cache = createClassificationCache({ entries: new Map(), ttlMs: HOUR });
+  cache.set({ text: "a", carrier: "DHL", location: "X" }, answer, 0);
+  cache.set({ text: "b", carrier: "DHL", location: "X" }, answer, 2 * HOUR);
+  assert.equal(cache.prune(2 * HOUR), 1);
+  assert.equal(cache.get({ text: "b", carrier: "DHL", location: "X" }, 4 * HOUR), null);
+  assert.equal(cache.size(), 0);
+});
@@ -0,0 +1,133 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createAiProvider, analyzeWithProvider, createStubProvider } from "../src/ai/index.js";
+import { validateAnalysis } from "../src/ai/schema.js";
+
+// Provider selection, the guarded call and answer validation. The Gemini and
+// OpenAI SDKs go through the global fetch, which each test stubs.
+
+const update = { updateText: "Held for customs - documents required", carrier: "DHL", location: "Leipzig, DE" };
+const customsHold = { hasIssue: true, issueType: "customs_hold", severity: "high", reason: " Documents missing ", requiresAction: true };
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+const geminiReply = (text) => json({ candidates: [{ content: { role: "model", parts: [{ text }] }, finishReason: "STOP" }], usageMetadata: { promptTokenCount: 120, candidatesTokenCount: 30 } });
+const openAiReply = (message) => json({
+  id: "chatcmpl-1",
+  object: "chat.completion",
+  created: 0,
+  model: "gpt-4o-mini",
+  choices: [{ index: 0, message: { role: "assistant", refusal: null, ...message }, finish_reason: "stop" }],
+  usage: { prompt_tokens: 90, completion_tokens: 25, total_tokens: 115 },
+});
+
+// Replaces the global fetch for one test; returns the requests it saw
+function stubFetch(t, respond) {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, options = {}) => {
+    requests.push({ url: String(url), options });
+    return respond(String(url), options);
+  });
+  return requests;
+}
+
+test("createAiProvider picks the configured provider, else whichever has a key", () => {
+  assert.equal(createAiProvider({}), null);
+  assert.equal(createAiProvider({ AI_PROVIDER: "none", GEMINI_API_KEY: "g" }), null);
+  assert.equal(createAiProvider({ GEMINI_API_KEY: "g", OPENAI_API_KEY: "o" }).name, "gemini");
+  assert.equal(createAiProvider({ OPENAI_API_KEY: "o" }).name, "openai");
+  assert.equal(createAiProvider({ AI_PROVIDER: "OpenAI", GEMINI_API_KEY: "g", OPENAI_API_KEY: "o", OPENAI_MODEL: "gpt-x" }).model, "gpt-x");
+  assert.equal(createAiProvider({ AI_PROVIDER: "stub" }).name, "stub");
+  assert.throws(() => createAiProvider({ AI_PROVIDER: "gemini" }), /needs GEMINI_API_KEY/);
+  assert.throws(() => createAiProvider({ AI_PROVIDER: "openai", GEMINI_API_KEY: "g" }), /needs OPENAI_API_KEY/);
+  assert.throws(() => createAiProvider({ AI_PROVIDER: "claude" }), /Unknown AI_PROVIDER "claude"/);
+});
+
+test("Gemini answers are parsed, validated and report token usage", async (t) => {
+  const requests = stubFetch(t, () => geminiReply(JSON.stringify(customsHold)));
+  const provider = createAiProvider({ GEMINI_API_KEY: "g-key" });
+  const { analysis, usage } = await analyzeWithProvider(provider, update, { timeoutMs: 1000 });
+
+  assert.deepEqual(analysis, { ...customsHold, reason: "Documents missing" });
+  assert.deepEqual(usage, { inputTokens: 120, outputTokens: 30 });
+  assert.match(requests[0].url, /models\/gemini-1\.5-flash:generateContent/);
+  assert.match(JSON.parse(requests[0].options.body).contents[0].parts[0].text, /UPDATE: "Held for customs - documents required"/);
+});
+
+test("Gemini text that is not JSON is a provider error", async (t) => {
+  stubFetch(t, () => geminiReply("The shipment is held in customs."));
+  await assert.rejects(
+    analyzeWithProvider(createAiProvider({ GEMINI_API_KEY: "g-key" }), update, { timeoutMs: 1000 }),
+    (error) => error.code === "provider" && /^gemini failed: /.test(error.message),
+  );
+});
+
+test("OpenAI answers are parsed and validated against the schema enums", async (t) => {
+  const requests = stubFetch(t, () => openAiReply({ content: JSON.stringify(customsHold) }));
+  const provider = createAiProvider({ OPENAI_API_KEY: "o-key", OPENAI_BASE_URL: "http://openai.test/v1" });
+  const { analysis, usage } = await analyzeWithProvider(provider, update, { timeoutMs: 1000 });
+
+  assert.equal(analysis.issueType, "customs_hold");
+  assert.deepEqual(usage, { inputTokens: 90, outputTokens: 25 });
+  assert.equal(requests[0].url, "http://openai.test/v1/chat/completions");
+  assert.equal(JSON.parse(requests[0].options.body).response_format.json_schema.strict, true);
+});
+
+test("an OpenAI answer with values outside the enums is rejected as invalid", async (t) => {
+  stubFetch(t, () => openAiReply({ content: JSON.stringify({ ...customsHold, issueType: "weather", severity: "critical" }) }));
+  await assert.rejects(
+    analyzeWithProvider(createAiProvider({ OPENAI_API_KEY: "o-key" }), update, { timeoutMs: 1000 }),
+    (error) => error.code === "invalid" && /issueType "weather"/.test(error.message) && /severity "critical"/.test(error.message),
+  );
+});
+
+test("OpenAI refusals, malformed content and HTTP errors are provider errors", async (t) => {
+  const replies = [
+    openAiReply({ content: null, refusal: "I can't help with that" }),
+    openAiReply({ content: "{\"hasIssue\": tru" }),
+    json({ error: { message: "Incorrect API key provided", type: "invalid_request_error" } }, 401),
+  ];
+  stubFetch(t, () => replies.shift());
+  const provider = createAiProvider({ OPENAI_API_KEY: "o-key" });
+  for (const pattern of [/OpenAI refused: I can't help with that/, /openai failed: /, /Incorrect API key provided/]) {
+    await assert.rejects(analyzeWithProvider(provider, update, { timeoutMs: 1000 }), (error) => error.code === "provider" && pattern.test(error.message));
+  }
+});
+
+test("a provider that outlives the time budget is aborted and reported as a timeout", async (t) => {
+  let aborted = false;
+  stubFetch(t, (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener("abort", () => {
+      aborted = true;
+      reject(signal.reason);
+    });
+  }));
+  const started = Date.now();
+  await assert.rejects(
+    analyzeWithProvider(createAiProvider({ OPENAI_API_KEY: "o-key" }), update, { timeoutMs: 50 }),
+    { code: "timeout", message: "openai took longer than 50ms" },
+  );
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(aborted, true);
+
+  const slowStub = createStubProvider({ responses: {}, delayMs: 5000 });
+  await assert.rejects(analyzeWithProvider(slowStub, update, { timeoutMs: 20 }), { code: "timeout" });
+});
+
+test("validateAnalysis rejects bad types, unknown enum values and contradictions", () => {
+  assert.deepEqual(validateAnalysis(null), { valid: false, errors: ["analysis is not an object"] });
+  assert.deepEqual(validateAnalysis([customsHold]), { valid: false, errors: ["analysis is not an object"] });
+
+  const { errors } = validateAnalysis({ hasIssue: "yes", issueType: "Customs Hold", severity: "urgent", reason: " ", requiresAction: 1 });
+  assert.deepEqual(errors, [
+    "hasIssue must be a boolean",
+    "requiresAction must be a boolean",
+    'issueType "Customs Hold" is not one of customs_hold, delivery_failure, exception, delay, damage, lost, address_issue, none',
+    'severity "urgent" is not one of low, medium, high',
+    "reason must be a non-empty string",
+  ]);
+  assert.deepEqual(validateAnalysis({ ...customsHold, issueType: "none" }).errors, ['hasIssue is true but issueType is "none"']);
+
+  const valid = validateAnalysis({ ...customsHold, extra: "dropped" });
+  assert.equal(valid.valid, true);
+  assert.equal("extra" in valid.analysis, false);
+});
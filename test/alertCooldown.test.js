@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createAlertCooldown, migrateAlertHistory, getAlertKey } from "../src/alertCooldown.js";
+import { classifyIssueBasic, toAiIssue } from "../src/classifier.js";
+import { loadRules } from "../src/rules.js";
+
+const HOUR = 60 * 60 * 1000;
+const issue = (severity = "medium", issueType = "delivery_failure") => ({ type: "experiencing delivery failure", issueType, severity, trackingNumber: null });
+const { rules } = loadRules(new URL("../config/rules.json", import.meta.url));
+
+test("posts the first alert, holds repeats inside the cooldown and lets escalations through", () => {
+  const history = new Map();
+  const cooldown = createAlertCooldown({ history, cooldownMs: 4 * HOUR });
+  const first = cooldown.evaluate({ itemId: 1, boardId: 2, issue: issue(), now: 0 });
+  assert.equal(first.post, true);
+  cooldown.recordPosted({ key: first.key, itemId: 1, boardId: 2, issue: issue(), updateText: "x", now: 0 });
+
+  const repeat = cooldown.evaluate({ itemId: 1, boardId: 2, issue: issue(), now: HOUR });
+  assert.equal(repeat.post, false);
+  cooldown.recordSuppressed({ key: repeat.key, issue: issue(), updateText: "y", now: HOUR });
+  assert.equal(history.get(repeat.key).suppressedCount, 1);
+
+  assert.equal(cooldown.evaluate({ itemId: 1, boardId: 2, issue: issue("high"), now: HOUR }).post, true);
+  assert.equal(cooldown.evaluate({ itemId: 1, boardId: 2, issue: issue(), now: 5 * HOUR }).post, true);
+});
+
+test("migrates entries keyed boardId:itemId to per-issue keys", () => {
+  const history = new Map([
+    ["2:1", { itemId: "1", boardId: "2", lastAlertAt: 100, lastIssueType: "experiencing delivery failure", lastSeverity: "high", count: 3 }],
+  ]);
+  assert.equal(migrateAlertHistory(history, (label) => (label === "experiencing delivery failure" ? "delivery_failure" : label)), 1);
+  assert.equal(history.has("2:1"), false);
+
+  const key = getAlertKey("1", "2", "delivery_failure");
+  assert.equal(history.get(key).lastAlertAt, 100);
+  assert.equal(history.get(key).count, 3);
+
+  const cooldown = createAlertCooldown({ history, cooldownMs: 4 * HOUR });
+  assert.equal(cooldown.evaluate({ itemId: 1, boardId: 2, issue: issue("high"), now: 200 }).post, false);
+  assert.equal(migrateAlertHistory(history), 0);
+});
+
+test("drops a legacy entry when a current one already exists", () => {
+  const key = getAlertKey("1", "2", "lost");
+  const current = { itemId: "1", boardId: "2", issueType: "lost", lastAlertAt: 500, lastSeverity: "high", count: 1 };
+  const history = new Map([
+    ["2:1", { itemId: "1", boardId: "2", lastAlertAt: 100, lastIssueType: "lost", lastSeverity: "high", count: 1 }],
+    [key, current],
+  ]);
+  migrateAlertHistory(history);
+  assert.deepEqual([...history.keys()], [key]);
+  assert.equal(history.get(key), current);
+});
+
+test("an AI alert and a rule alert of the same issue type share one cooldown", () => {
+  const history = new Map();
+  const cooldown = createAlertCooldown({ history, cooldownMs: 4 * HOUR });
+  const ruleIssue = classifyIssueBasic("Held for customs - documents required", "DHL", { rules }).issue;
+  const aiIssue = toAiIssue({ hasIssue: true, requiresAction: true, issueType: "customs_hold", severity: "high", reason: "Duties unpaid" }, "DHL", "openai");
+  assert.notEqual(ruleIssue.type, aiIssue.type);
+
+  const first = cooldown.evaluate({ itemId: 1, boardId: 2, issue: aiIssue, now: 0 });
+  cooldown.recordPosted({ key: first.key, itemId: 1, boardId: 2, issue: aiIssue, updateText: "x", now: 0 });
+  const repeat = cooldown.evaluate({ itemId: 1, boardId: 2, issue: ruleIssue, now: HOUR });
+  assert.equal(repeat.post, false);
+  assert.equal(repeat.key, first.key);
+  assert.equal(history.get(first.key).issueType, "customs_hold");
+});
+
+test("re-keys entries stored under a display label onto the issueType", () => {
+  const labelKey = getAlertKey("1", "2", "held in customs", "1Z999AA10123456784");
+  const history = new Map([
+    [labelKey, { itemId: "1", boardId: "2", issueType: "held in customs", trackingNumber: "1Z999AA10123456784", lastAlertAt: 100, lastSeverity: "high", count: 2 }],
+  ]);
+  assert.equal(migrateAlertHistory(history, (label) => (label === "held in customs" ? "customs_hold" : label)), 1);
+  const key = getAlertKey("1", "2", "customs_hold", "1Z999AA10123456784");
+  assert.deepEqual([...history.keys()], [key]);
+  assert.equal(history.get(key).issueType, "customs_hold");
+  assert.equal(history.get(key).count, 2);
+});
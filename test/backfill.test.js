@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startMondayMock } from "../scripts/monday-mock.js";
+import { startSlack, startWatcher, waitFor } from "./helpers/watcher.js";
+
+// A backfill through the real server against the Monday mock. None of the
+// shipped boards maps a status column, so stuck timers are seeded from the
+// location column's latest update text.
+
+test("a backfill seeds stuck timers from the location column and counts what it skipped", { timeout: 30000 }, async () => {
+  const mondayMock = await startMondayMock({ port: 0 });
+  const slack = await startSlack();
+  const watcher = await startWatcher({ mondayPort: mondayMock.address().port, slackUrl: slack.url });
+
+  try {
+    const started = await watcher.post("/backfill", { boards: ["162479257", "9371034380"] });
+    const run = await waitFor(async () => {
+      const report = await watcher.json(`/backfill/${started.run.id}`);
+      return ["completed", "failed"].includes(report.status) ? report : null;
+    });
+    assert.equal(run.status, "completed", run.lastError);
+
+    // 5001 "Shipment information received - Shenzhen, CN" has a 48 hour rule
+    const main = run.boards.find((board) => board.id === "162479257");
+    assert.equal(main.items, 5);
+    assert.equal(main.seeded, 1);
+    assert.equal(main.notSeeded.noStuckRule, 4);
+    assert.equal(main.notSeeded.noStatusColumn, 0);
+
+    // 6002 has nothing in its location column to seed from
+    const china = run.boards.find((board) => board.id === "9371034380");
+    assert.equal(china.notSeeded.noStatusColumn, 1);
+    assert.equal(run.totals.notSeeded.noStatusColumn, 1);
+
+    const { tracked } = await watcher.json("/sweeper");
+    const seeded = tracked.find((entry) => String(entry.itemId) === "5001");
+    assert.ok(seeded, JSON.stringify(tracked));
+    assert.equal(seeded.rule, "shipment-information-received");
+    assert.equal(seeded.lastUpdateText, "Shipment information received - Shenzhen, CN");
+    assert.equal(tracked.length, run.totals.seeded);
+    assert.equal(slack.posts().length, 0);
+
+    // A second run keeps the timers it started
+    const again = await watcher.post("/backfill", { boards: ["162479257"] });
+    const rerun = await waitFor(async () => {
+      const report = await watcher.json(`/backfill/${again.run.id}`);
+      return ["completed", "failed"].includes(report.status) ? report : null;
+    });
+    assert.equal(rerun.totals.seeded, 0);
+    assert.equal(rerun.totals.notSeeded.alreadyTracked, 1);
+  } finally {
+    await watcher.stop();
+    slack.server.close();
+    mondayMock.close();
+  }
+});
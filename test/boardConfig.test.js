@@ -0,0 +1,45 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadBoardConfig } from "../src/boardConfig.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "boards-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+let written = 0;
+
+const VARS = { RACHEL_USER_ID: "U1", HARITHA_USER_ID: "U2" };
+
+function writeConfig(change) {
+  const config = JSON.parse(fs.readFileSync(new URL("../config/boards.json", import.meta.url), "utf8"));
+  change(config.boards[0]);
+  const file = path.join(TMP, `boards-${++written}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test("loads the shipped board config", () => {
+  const config = loadBoardConfig(new URL("../config/boards.json", import.meta.url), VARS);
+  assert.equal(config.boards.length, 3);
+  assert.equal(config.boardsById.get("9371038978").columnTypes.eta, "text");
+});
+
+test("keeps the configured column types", () => {
+  const file = writeConfig((board) => {
+    board.columns.carrierStatus = "status";
+    board.columns.eta = "date4";
+    board.columnTypes = { carrierStatus: "status", eta: "date" };
+  });
+  assert.deepEqual(loadBoardConfig(file, VARS).boards[0].columnTypes, { carrierStatus: "status", eta: "date" });
+});
+
+test("rejects unknown columns and column types", () => {
+  const file = writeConfig((board) => {
+    board.columnTypes = { eta: "timeline", nope: "text" };
+  });
+  assert.throws(() => loadBoardConfig(file, VARS), (error) => (
+    error.message.includes("columnTypes.eta must be one of text, status, date")
+      && error.message.includes("columnTypes.nope is not a known column")
+  ));
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isBusinessTime, businessHoursBetween, validateCalendar, normalizeCalendar } from "../src/businessHours.js";
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => Date.parse(iso);
+
+const GB = normalizeCalendar({ timezone: "Europe/London", holidays: ["2026-12-25"] });
+const IN = normalizeCalendar({ timezone: "Asia/Kolkata", hours: [9, 18] });
+
+test("isBusinessTime follows the local workdays, hours and holidays", () => {
+  assert.equal(isBusinessTime(at("2026-10-19T12:00:00Z"), GB), true); // Monday
+  assert.equal(isBusinessTime(at("2026-10-18T12:00:00Z"), GB), false); // Sunday
+  assert.equal(isBusinessTime(at("2026-12-25T12:00:00Z"), GB), false); // holiday
+  // 09:00 in Kolkata is 03:30 UTC
+  assert.equal(isBusinessTime(at("2026-10-19T03:15:00Z"), IN), false);
+  assert.equal(isBusinessTime(at("2026-10-19T03:30:00Z"), IN), true);
+  assert.equal(isBusinessTime(at("2026-10-19T12:30:00Z"), IN), false);
+});
+
+test("businessHoursBetween skips the weekend", () => {
+  // Friday 12:00 to Monday 12:00 London time, no working hours set
+  assert.equal(businessHoursBetween(at("2026-10-16T11:00:00Z"), at("2026-10-19T11:00:00Z"), [GB]), 24);
+});
+
+test("businessHoursBetween counts only time open in every calendar", () => {
+  // Monday: Kolkata is open 03:30-12:30 UTC; London counts all of Monday
+  const from = at("2026-10-19T00:00:00Z");
+  assert.equal(businessHoursBetween(from, from + 24 * HOUR, [IN]), 9);
+  assert.equal(businessHoursBetween(from, from + 24 * HOUR, [IN, GB]), 9);
+  assert.equal(businessHoursBetween(from, from + 30 * 60 * 1000, [GB]), 0.5);
+  assert.equal(businessHoursBetween(from, from, [GB]), 0);
+});
+
+test("businessHoursBetween counts the minutes up to the first quarter hour exactly", () => {
+  const MINUTE = 60 * 1000;
+  // 08:50 to 09:37 in Kolkata: open from 09:00
+  assert.equal(businessHoursBetween(at("2026-10-19T03:20:00Z"), at("2026-10-19T04:07:00Z"), [IN]) * 60, 37);
+  // 17:35 to 18:30 in Kolkata: closes at 18:00
+  assert.equal(businessHoursBetween(at("2026-10-19T12:05:00Z"), at("2026-10-19T13:00:00Z"), [IN]) * 60, 25);
+  // Christmas Eve 23:52 into the holiday in London
+  assert.equal(businessHoursBetween(at("2026-12-24T23:52:00Z"), at("2026-12-25T01:00:00Z"), [GB]) * 60, 8);
+  // Both ends inside one quarter hour
+  const from = at("2026-10-19T10:03:00Z");
+  assert.equal(businessHoursBetween(from, from + 7 * MINUTE, [GB]) * 60, 7);
+  assert.equal(businessHoursBetween(from + 7 * MINUTE, from + 19 * MINUTE, [GB]) * 60, 12);
+});
+
+test("validateCalendar reports each problem", () => {
+  const errors = [];
+  validateCalendar({ timezone: "Mars/Olympus", workdays: [7], hours: [18, 9], holidays: ["25/12/2026"] }, "calendars.XX", errors);
+  assert.deepEqual(errors, [
+    "calendars.XX.timezone \"Mars/Olympus\" is not a valid IANA timezone",
+    "calendars.XX.workdays must list weekdays as 0 (Sunday) to 6 (Saturday)",
+    "calendars.XX.hours must be [startHour, endHour] within 0-24",
+    "calendars.XX.holidays must be a list of YYYY-MM-DD dates",
+  ]);
+
+  const valid = [];
+  validateCalendar({ timezone: "Europe/London" }, "calendars.GB", valid);
+  assert.deepEqual(valid, []);
+  assert.deepEqual(normalizeCalendar({ timezone: "Europe/London" }), { timezone: "Europe/London", workdays: [1, 2, 3, 4, 5], hours: null, holidays: [] });
+});
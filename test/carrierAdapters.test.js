@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createDhlAdapter } from "../src/carriers/dhl.js";
+import { createUpsAdapter, toUpsTimestamp } from "../src/carriers/ups.js";
+import { createFedExAdapter } from "../src/carriers/fedex.js";
+
+// The polling adapters against the recorded API bodies in fixtures/carriers
+// (the same ones scripts/carrier-mock.js serves)
+
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`../fixtures/carriers/${name}.json`, import.meta.url), "utf8"));
+// Carrier times without an offset are local to the machine running the test
+const local = (value) => new Date(value).toISOString();
+
+// fetch stand-in: OAuth token requests get a token, everything else the
+// queued { status, body } reply; requests keeps what was asked
+function fakeFetch(reply) {
+  const requests = [];
+  const fetch = async (url, options = {}) => {
+    requests.push({ url, ...options });
+    if (url.includes("oauth")) return new Response(JSON.stringify({ access_token: "token-1", expires_in: 3600 }));
+    const { status = 200, body } = reply;
+    return new Response(typeof body === "string" ? body : JSON.stringify(body), { status });
+  };
+  return { fetch, requests };
+}
+
+test("DHL shipments map to events sorted oldest first", async () => {
+  const { fetch, requests } = fakeFetch({ body: fixture("dhl")["1234567891"] });
+  const tracking = await createDhlAdapter({ apiKey: "key", fetch }).track("1234567891");
+
+  assert.equal(requests[0].url, "https://api-eu.dhl.com/track/shipments?trackingNumber=1234567891");
+  assert.equal(requests[0].headers["DHL-API-Key"], "key");
+  assert.equal(tracking.carrier, "DHL");
+  assert.equal(tracking.trackingNumber, "1234567891");
+  assert.equal(tracking.estimatedDelivery, local("2025-10-15T18:00:00"));
+  assert.deepEqual(tracking.events.map((event) => event.code), ["transit", "transit", "transit", "failure"]);
+  assert.deepEqual(tracking.events.at(-1), {
+    code: "failure",
+    description: "Delivery attempted; recipient's premises closed",
+    location: "LONDON - UK, GB",
+    timestamp: local("2025-10-14T10:42:00"),
+  });
+});
+
+test("DHL answers null for unknown numbers and throws other errors", async () => {
+  const notFound = fakeFetch({ status: 404, body: { status: 404, title: "No result found", detail: "No shipment with given tracking number found." } });
+  assert.equal(await createDhlAdapter({ apiKey: "key", fetch: notFound.fetch }).track("0000000000"), null);
+
+  const empty = fakeFetch({ body: { shipments: [] } });
+  assert.equal(await createDhlAdapter({ apiKey: "key", fetch: empty.fetch }).track("1234567891"), null);
+
+  const limited = fakeFetch({ status: 429, body: { detail: "Too many requests" } });
+  await assert.rejects(createDhlAdapter({ apiKey: "key", fetch: limited.fetch }).track("1234567891"), (error) => error.status === 429 && /Too many requests/.test(error.message));
+});
+
+test("UPS packages map activity types, trimmed descriptions and the delivery estimate", async () => {
+  const { fetch, requests } = fakeFetch({ body: fixture("ups")["1Z999AA10123456784"] });
+  const tracking = await createUpsAdapter({ clientId: "id", clientSecret: "secret", fetch }).track("1Z999AA10123456784");
+
+  assert.equal(requests[0].url, "https://onlinetools.ups.com/security/v1/oauth/token");
+  assert.equal(requests[1].headers.Authorization, "Bearer token-1");
+  assert.equal(tracking.estimatedDelivery, local("2025-10-16T23:00:00"));
+  assert.deepEqual(tracking.events, [
+    { code: "P", description: "Pickup Scan", location: "Mumbai, MH, IN", timestamp: local("2025-10-11T14:10:00") },
+    { code: "I", description: "Departed from Facility", location: "Koeln, DE", timestamp: local("2025-10-13T22:30:00") },
+    { code: "X", description: "The package is being held for customs clearance", location: "Stansted, GB", timestamp: local("2025-10-14T08:15:00") },
+  ]);
+  assert.equal(toUpsTimestamp("2025-10-14"), null);
+});
+
+test("UPS answers null for unknown numbers and empty results, and throws other errors", async () => {
+  const adapter = (reply) => createUpsAdapter({ clientId: "id", clientSecret: "secret", fetch: fakeFetch(reply).fetch });
+  assert.equal(await adapter({ status: 404, body: { response: { errors: [{ code: "TW0001", message: "Tracking Information Not Found" }] } } }).track("1Z0"), null);
+  assert.equal(await adapter({ body: { trackResponse: { shipment: [{ package: [] }] } } }).track("1Z0"), null);
+  await assert.rejects(
+    adapter({ status: 401, body: { response: { errors: [{ code: "250002", message: "Invalid Authentication Information." }] } } }).track("1Z0"),
+    (error) => error.status === 401 && /Invalid Authentication Information/.test(error.message),
+  );
+});
+
+test("FedEx track results map scan events and the delivery window", async () => {
+  const { fetch, requests } = fakeFetch({ body: fixture("fedex")["798765432104"] });
+  const tracking = await createFedExAdapter({ clientId: "id", clientSecret: "secret", fetch }).track("798765432104");
+
+  assert.deepEqual(JSON.parse(requests[1].body).trackingInfo, [{ trackingNumberInfo: { trackingNumber: "798765432104" } }]);
+  assert.equal(tracking.estimatedDelivery, "2025-10-15T17:00:00.000Z");
+  assert.deepEqual(tracking.events, [
+    { code: "PU", description: "Picked up", location: "GUANGZHOU, CN", timestamp: "2025-10-12T11:40:00.000Z" },
+    { code: "OD", description: "On FedEx vehicle for delivery", location: "BIRMINGHAM, GB", timestamp: "2025-10-14T07:12:00.000Z" },
+    { code: "DE", description: "Delivery exception - Incorrect address", location: "BIRMINGHAM, GB", timestamp: "2025-10-14T11:03:00.000Z" },
+  ]);
+});
+
+test("FedEx answers null for a result that carries an error, and throws HTTP errors", async () => {
+  const adapter = (reply) => createFedExAdapter({ clientId: "id", clientSecret: "secret", fetch: fakeFetch(reply).fetch });
+  const unknown = { output: { completeTrackResults: [{ trackingNumber: "000", trackResults: [{ error: { code: "TRACKING.TRACKINGNUMBER.NOTFOUND", message: "Tracking number cannot be found." } }] }] } };
+  assert.equal(await adapter({ body: unknown }).track("000"), null);
+  assert.equal(await adapter({ body: { output: { completeTrackResults: [] } } }).track("000"), null);
+  await assert.rejects(adapter({ status: 503, body: "upstream unavailable" }).track("000"), (error) => error.status === 503 && /upstream unavailable/.test(error.message));
+});
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { createPushSources } from "../src/carriers/push.js";
+import { isDeliveredEvent } from "../src/carriers/status.js";
+
+const sources = createPushSources({
+  DHL_PUSH_SECRET: "s",
+  UPS_PUSH_CREDENTIAL: "s",
+  FEDEX_WEBHOOK_SECRET: "s",
+  AFTERSHIP_WEBHOOK_SECRET: "s",
+  SEVENTEENTRACK_API_KEY: "s",
+});
+const fixture = (name) => JSON.parse(fs.readFileSync(new URL(`../fixtures/carrier-push/${name}.json`, import.meta.url), "utf8"));
+const latest = (tracking) => tracking.events[tracking.events.length - 1];
+const delivered = (tracking) => isDeliveredEvent(tracking.codeSet, latest(tracking));
+
+test("every push source names the code table of its events", () => {
+  const codeSets = Object.fromEntries(["dhl", "ups", "fedex", "aftership", "17track"].map((name) => [name, sources[name].parse(fixture(name))[0].codeSet]));
+  assert.deepEqual(codeSets, { dhl: "DHL", ups: "UPS", fedex: "FedEx", aftership: "AfterShip", "17track": "17TRACK" });
+});
+
+test("pushed deliveries are recognised from the status code", () => {
+  const dhl = fixture("dhl");
+  Object.assign(dhl.shipments[0].events[0], { statusCode: "delivered", description: "Delivered - signed for by: SMITH" });
+  assert.equal(delivered(sources.dhl.parse(dhl)[0]), true);
+
+  const ups = { ...fixture("ups"), activityStatus: { type: "D", description: "DELIVERED" } };
+  assert.equal(delivered(sources.ups.parse(ups)[0]), true);
+
+  const seventeen = fixture("17track");
+  const [event] = seventeen.data.track_info.tracking.providers[0].events;
+  Object.assign(event, { stage: undefined, sub_status: "Delivered_Other", description: "Delivered" });
+  assert.equal(delivered(sources["17track"].parse(seventeen)[0]), true);
+});
+
+test("a failed delivery is not a delivery, whatever its description says", () => {
+  const dhl = fixture("dhl");
+  Object.assign(dhl.shipments[0].events[0], { statusCode: "failure", description: "Shipment could not be delivered - consignee not available" });
+  assert.equal(delivered(sources.dhl.parse(dhl)[0]), false);
+
+  const fedex = fixture("fedex");
+  assert.equal(delivered(sources.fedex.parse(fedex)[0]), false);
+
+  const aftership = fixture("aftership");
+  Object.assign(aftership.msg.checkpoints[0], { tag: "AttemptFail", message: "Not delivered - recipient not available" });
+  assert.equal(delivered(sources.aftership.parse(aftership)[0]), false);
+});
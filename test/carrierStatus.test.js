@@ -0,0 +1,25 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { categorizeCarrierEvent, isDeliveredEvent } from "../src/carriers/status.js";
+
+test("isDeliveredEvent reads the carrier's status code, not the description", () => {
+  assert.equal(isDeliveredEvent("UPS", { code: "D", description: "DELIVERED" }), true);
+  assert.equal(isDeliveredEvent("FedEx", { code: "DL", description: "Delivered" }), true);
+  assert.equal(isDeliveredEvent("DHL", { code: "delivered", description: "Delivered - signed for by: SMITH" }), true);
+  assert.equal(isDeliveredEvent("DHL", { code: "failure", description: "Shipment could not be delivered - consignee not available" }), false);
+  assert.equal(isDeliveredEvent("UPS", { code: "X", description: "The receiver was not available. Delivered to a UPS Access Point tomorrow" }), false);
+});
+
+test("isDeliveredEvent leaves events without a code to the caller", () => {
+  assert.equal(isDeliveredEvent("UPS", { code: "unknown", description: "Delivered" }), null);
+  assert.equal(isDeliveredEvent("DHL", { description: "Delivered" }), null);
+  assert.equal(isDeliveredEvent("UPS", null), null);
+});
+
+test("categorizeCarrierEvent prefers delivered, then customs holds, then the code", () => {
+  assert.equal(categorizeCarrierEvent("FedEx", { code: "DL", description: "Delivered after customs clearance" }), "delivered");
+  assert.equal(categorizeCarrierEvent("DHL", { code: "failure", description: "Held by customs" }), "customs");
+  assert.equal(categorizeCarrierEvent("DHL", { code: "transit", description: "Customs clearance completed" }), "in transit");
+  assert.equal(categorizeCarrierEvent("UPS", { code: "X", description: "Receiver not available" }), "exception");
+  assert.equal(categorizeCarrierEvent("UPS", null), null);
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isDeliveredUpdate, shouldNotifyCustomer, classifyIssueBasic, toAiIssue, getCustomerAction, routeFor } from "../src/classifier.js";
+import { loadRules } from "../src/rules.js";
+
+const { rules } = loadRules(new URL("../config/rules.json", import.meta.url));
+
+test("isDeliveredUpdate accepts plain delivery updates", () => {
+  for (const text of ["Delivered", "Package delivered to front door", "DELIVERED - signed by J SMITH", "Your parcel has been delivered."]) {
+    assert.equal(isDeliveredUpdate(text), true, text);
+  }
+});
+
+test("isDeliveredUpdate rejects undelivered and negated phrases", () => {
+  for (const text of [
+    "Undelivered",
+    "Package not delivered",
+    "Shipment could not be delivered - consignee not available",
+    "Parcel was not yet delivered",
+    "Couldn't be delivered, premises closed",
+    "Driver was unable to be delivered",
+    "Delivery attempted - customer not home",
+    "Out for delivery",
+    "",
+    null,
+  ]) {
+    assert.equal(isDeliveredUpdate(text), false, String(text));
+  }
+});
+
+test("isDeliveredUpdate still sees a delivery after an earlier failed attempt", () => {
+  assert.equal(isDeliveredUpdate("Could not be delivered yesterday. Delivered today, left with neighbour"), true);
+});
+
+test("classifyIssueBasic maps the matched rule onto an issue", () => {
+  assert.deepEqual(classifyIssueBasic("Delivery attempted - consignee premises closed", "DHL", { rules }), {
+    issue: { type: "experiencing delivery failure", issueType: "delivery_failure", severity: "high", reason: rules.find((rule) => rule.id === "premises-closed").description, carrier: "DHL", route: "China-UK", rule: "premises-closed" },
+    issueType: "delivery_failure",
+    confident: true,
+    rule: "premises-closed",
+  });
+  assert.equal(classifyIssueBasic("Shipment could not be delivered - consignee not available", "UPS", { rules }).issue.route, "India-UK");
+});
+
+test("classifyIssueBasic treats normal scans as no issue and unknown wording as unsure", () => {
+  assert.deepEqual(classifyIssueBasic("Departure scan - Leipzig", "DHL", { rules }), { issue: null, issueType: "none", confident: true, rule: "departure-scan" });
+  assert.deepEqual(classifyIssueBasic("Processing at sort facility", "DHL", { rules }), { issue: null, issueType: "none", confident: false, rule: "processing" });
+  assert.deepEqual(classifyIssueBasic("Something unusual happened", "DHL", { rules }), { issue: null, issueType: "none", confident: false, rule: null });
+});
+
+test("shouldNotifyCustomer asks the customer to act only for rules with a reason", () => {
+  assert.deepEqual(shouldNotifyCustomer("Incorrect address - contact sender", { rules, carrier: "UPS" }), {
+    shouldNotify: true,
+    reason: "incorrectAddress",
+    actionRequired: getCustomerAction("incorrectAddress"),
+  });
+  assert.deepEqual(shouldNotifyCustomer("Held by customs", { rules }), { shouldNotify: false });
+  assert.deepEqual(shouldNotifyCustomer("Undelivered", { rules }), { shouldNotify: false });
+});
+
+test("getCustomerAction has a generic fallback", () => {
+  assert.match(getCustomerAction("premisesClosed"), /business hours/);
+  assert.equal(getCustomerAction("other"), "Please contact the carrier to resolve this delivery issue.");
+});
+
+test("toAiIssue keeps only analyses that need action", () => {
+  const analysis = { hasIssue: true, requiresAction: true, issueType: "customs_hold", severity: "high", reason: "Duties unpaid" };
+  assert.deepEqual(toAiIssue(analysis, "UPS", "openai"), {
+    type: "customs hold",
+    issueType: "customs_hold",
+    severity: "high",
+    reason: "AI Analysis: Duties unpaid",
+    carrier: "UPS",
+    route: routeFor("UPS"),
+    aiAnalysis: true,
+    aiProvider: "openai",
+  });
+  assert.equal(toAiIssue({ ...analysis, requiresAction: false }, "UPS", "openai"), null);
+  assert.equal(toAiIssue({ ...analysis, hasIssue: false }, "UPS", "openai"), null);
+  assert.equal(toAiIssue({ ...analysis, issueType: "address_issue" }, "UPS", "openai").type, "address issue");
+});
@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startMondayMock } from "../scripts/monday-mock.js";
+import { startSlack, startWatcher } from "./helpers/watcher.js";
+
+// Customer replies through the real server: when the Slack notification fails
+// the forwarder retries the message, and the retry must not post the reply on
+// the Monday item a second time.
+
+const SECRET = "inbound-secret";
+const reply = {
+  messageId: "<reply-1@customer.example>",
+  from: "Jane Doe <jane@acme.example>",
+  subject: "Re: Delivery attempted – premises closed (PO 10450)",
+  text: "We are open from 9am tomorrow.\n\nOn Mon, 19 Oct 2026 Geomiq wrote:\n> Dear Jane",
+};
+
+test("a reply retried after a Slack failure is posted on Monday once", { timeout: 30000 }, async () => {
+  const mondayMock = await startMondayMock({ port: 0 });
+  let slackDown = true;
+  const slack = await startSlack((method, params) => (slackDown
+    ? { ok: false, error: "service_unavailable" }
+    : { ok: true, channel: params.channel, ts: "1700000000.000200" }));
+  const watcher = await startWatcher({ mondayPort: mondayMock.address().port, slackUrl: slack.url, env: { INBOUND_EMAIL_SECRET: SECRET } });
+  const send = () => fetch(`${watcher.base}/inbound-email`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Inbound-Secret": SECRET },
+    body: JSON.stringify(reply),
+  });
+  const mondayUpdates = () => fetch(`http://localhost:${mondayMock.address().port}/__updates`).then((res) => res.json());
+
+  try {
+    const failed = await send();
+    assert.equal(failed.status, 500);
+    assert.equal((await mondayUpdates()).length, 1);
+
+    slackDown = false;
+    const retried = await send();
+    assert.equal(retried.status, 200);
+    const record = await retried.json();
+    assert.equal(record.status, "matched");
+    assert.equal(record.itemId, "5001");
+    assert.equal((await mondayUpdates()).length, 1);
+    assert.match(slack.posts().at(-1).params.text, /replied about 10450/);
+
+    const duplicate = await send().then((res) => res.json());
+    assert.equal(duplicate.duplicate, true);
+    assert.equal((await mondayUpdates()).length, 1);
+    assert.equal(slack.posts().length, 2);
+  } catch (error) {
+    error.message += `\n--- watcher output ---\n${watcher.output()}`;
+    throw error;
+  } finally {
+    await watcher.stop();
+    slack.server.close();
+    mondayMock.close();
+  }
+});
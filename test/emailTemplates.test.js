@@ -0,0 +1,89 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createEmailRenderer, escapeHtml, normalizeLanguage } from "../src/emailTemplates.js";
+
+const TEMPLATES = fileURLToPath(new URL("../templates/email", import.meta.url));
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "email-templates-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+const renderer = createEmailRenderer({ templatesDir: TEMPLATES });
+const vars = { customerName: "Jane Doe", poNumber: "10450", partNumber: "GQ-1180", location: "Bristol, GB", carrierUpdate: "Premises closed", carrier: "DHL" };
+
+// A minimal template set: one language, a layout and a template that uses a
+// value both escaped and raw
+function writeTemplates() {
+  const dir = path.join(TMP, "templates");
+  fs.mkdirSync(path.join(dir, "en"), { recursive: true });
+  fs.writeFileSync(path.join(dir, "brand.json"), JSON.stringify({ brandName: "Geomiq" }));
+  fs.writeFileSync(path.join(dir, "layout.html"), "<main>{{{content}}}</main>");
+  fs.writeFileSync(path.join(dir, "layout.txt"), "{{{content}}}");
+  fs.writeFileSync(path.join(dir, "en", "strings.json"), JSON.stringify({ subjects: { default: "About {{note}}" }, labels: { carrierFallback: "The carrier" } }));
+  fs.writeFileSync(path.join(dir, "en", "default.html"), "<p>{{note}}</p><div>{{{note}}}</div><span>{{ missing }}</span>");
+  fs.writeFileSync(path.join(dir, "en", "default.txt"), "{{note}} / {{{note}}}");
+  return dir;
+}
+
+test("escapeHtml escapes markup and quote characters", () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), "&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;");
+  assert.equal(escapeHtml(null), "");
+});
+
+test("{{x}} is escaped in HTML, {{{x}}} is inserted as is, and text is never escaped", () => {
+  const custom = createEmailRenderer({ templatesDir: writeTemplates() });
+  const note = `<img src=x onerror="alert(1)"> & {{brandName}}`;
+  const email = custom.render({ reason: "default", language: "en", vars: { note } });
+
+  assert.equal(email.html, `<main><p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; {{brandName}}</p><div>${note}</div><span></span></main>`);
+  assert.equal(email.text, `${note} / ${note}`);
+  assert.equal(email.subject, `About ${note}`);
+});
+
+test("customer values in the shipped templates are escaped in the HTML", () => {
+  const email = renderer.render({ reason: "premisesClosed", language: "en", vars: { ...vars, customerName: "<script>steal()</script>", location: `"Bristol" <GB>` } });
+  assert.equal(email.html.includes("<script>"), false);
+  assert.ok(email.html.includes("Dear &lt;script&gt;steal()&lt;/script&gt;,"));
+  assert.ok(email.html.includes("&quot;Bristol&quot; &lt;GB&gt;"));
+  // The reason template itself is inserted into the layout unescaped
+  assert.ok(email.html.includes(`<p style="margin:0 0 16px;">Dear `));
+  assert.ok(email.text.startsWith("Dear <script>steal()</script>,"));
+});
+
+test("renders the reason's template in the English set", () => {
+  const email = renderer.render({ reason: "premisesClosed", language: "en", vars });
+  assert.equal(email.template, "premisesClosed");
+  assert.equal(email.language, "en");
+  assert.equal(email.subject, "Delivery attempted – premises closed (PO 10450)");
+  assert.ok(email.html.includes(`<html lang="en">`));
+  assert.ok(email.html.includes("DHL tried to deliver your parts for order 10450"));
+  assert.ok(email.text.includes("Part number: GQ-1180"));
+  assert.ok(email.text.includes("Track your shipment: https://geomiq.com"));
+});
+
+test("picks the customer's language and falls back to the default", () => {
+  assert.equal(normalizeLanguage("de-DE"), "de");
+  assert.equal(normalizeLanguage("DE_at"), "de");
+  assert.equal(normalizeLanguage(""), null);
+
+  const german = renderer.render({ reason: "premisesClosed", language: "de-DE", vars: { ...vars, carrier: "unknown" } });
+  assert.equal(german.language, "de");
+  assert.equal(german.subject, "Zustellversuch – Geschäftsräume geschlossen (PO 10450)");
+  assert.ok(german.text.startsWith("Guten Tag Jane Doe,"));
+  assert.ok(german.text.includes("Der Versanddienstleister hat versucht"));
+
+  for (const language of ["fr", null, "xx-YY"]) {
+    assert.equal(renderer.render({ reason: "premisesClosed", language, vars }).language, "en", String(language));
+  }
+  assert.equal(createEmailRenderer({ templatesDir: TEMPLATES, defaultLanguage: "de" }).resolveLanguage("fr"), "de");
+});
+
+test("unknown or unsafe reasons use the default template", () => {
+  for (const reason of ["noSuchReason", "../layout", null]) {
+    const email = renderer.render({ reason, language: "en", vars });
+    assert.equal(email.template, "default", String(reason));
+    assert.equal(email.subject, "Delivery update required (PO 10450)");
+  }
+});
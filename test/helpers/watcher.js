@@ -0,0 +1,116 @@
+import { spawn } from "child_process";
+import crypto from "crypto";
+import http from "http";
+import net from "net";
+
+// Shared by the tests that run the real server (index.js) as a child process
+// against the Monday mock and a fake Slack Web API.
+
+const ROOT = new URL("../..", import.meta.url);
+export const SIGNING_SECRET = "test-signing-secret";
+
+export const freePort = () => new Promise((resolve) => {
+  const server = net.createServer().listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+export function mondayJwt(secret = SIGNING_SECRET) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({ iat: Math.floor(Date.now() / 1000) })}`;
+  return `${unsigned}.${crypto.createHmac("sha256", secret).update(unsigned).digest("base64url")}`;
+}
+
+export async function waitFor(check, timeoutMs = 15000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check().catch(() => null);
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error("timed out");
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+}
+
+// Fake Slack Web API. respond(method, params) returns the JSON answer; by
+// default every call succeeds. calls keeps { method, params } per request.
+export function startSlack(respond = (method, params) => ({ ok: true, channel: params.channel || "C1", ts: `1700000000.${String(Date.now()).slice(-6)}` })) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const method = req.url.split("/").pop();
+      const params = Object.fromEntries(new URLSearchParams(body));
+      calls.push({ method, params });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(respond(method, params)));
+    });
+  });
+  return new Promise((resolve) => server.listen(0, () => resolve({
+    server,
+    calls,
+    posts: () => calls.filter((call) => call.method === "chat.postMessage"),
+    url: `http://localhost:${server.address().port}/api/`,
+  })));
+}
+
+// Starts index.js with the environment every test needs plus env, and waits
+// until it answers HTTP. stop() ends it; output() is everything it logged.
+export async function startWatcher({ mondayPort, slackUrl, env = {} }) {
+  const port = await freePort();
+  let output = "";
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORE_DRIVER: "memory",
+      MONDAY_TOKEN: "token",
+      MONDAY_BOARD_ID: "162479257",
+      MONDAY_API_URL: `http://localhost:${mondayPort}/v2`,
+      MONDAY_SIGNING_SECRET: SIGNING_SECRET,
+      SLACK_BOT_TOKEN: "xoxb-test",
+      SLACK_CHANNEL_ID: "C1",
+      SLACK_API_URL: slackUrl,
+      WEBHOOK_POLL_SECONDS: "0.2",
+      CARRIER_POLL_ENABLED: "false",
+      SWEEPER_ENABLED: "false",
+      ...env,
+    },
+  });
+  child.stdout.on("data", (chunk) => { output += chunk; });
+  child.stderr.on("data", (chunk) => { output += chunk; });
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+
+  const base = `http://localhost:${port}`;
+  const watcher = {
+    base,
+    output: () => output,
+    async stop() {
+      child.kill();
+      await exited;
+    },
+    json: (path, options) => fetch(`${base}${path}`, options).then((res) => res.json()),
+    post: (path, body = {}, headers = {}) => fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+    }).then((res) => res.json()),
+    // Sends a signed Monday column change and waits until its job is done
+    async mondayEvent(event) {
+      const { jobId } = await watcher.post("/monday-webhook", { event: { boardId: 162479257, ...event } }, { Authorization: mondayJwt() });
+      return waitFor(async () => {
+        const job = await watcher.json(`/webhook-jobs/${jobId}`);
+        return ["completed", "failed"].includes(job.status) ? job : null;
+      });
+    },
+  };
+  try {
+    await waitFor(() => fetch(`${base}/webhook-jobs`).then((res) => res.ok));
+  } catch (error) {
+    await watcher.stop();
+    throw new Error(`watcher did not start:\n${output}`);
+  }
+  return watcher;
+}
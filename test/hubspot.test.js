@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHubSpotClient, scoreContact, normalizeCompany } from "../src/hubspot.js";
+
+const companies = [
+  { id: "501", properties: { name: "Acme Robotics Ltd" } },
+  { id: "502", properties: { name: "Acme Robotics Holdings" } },
+];
+const contacts = {
+  9001: { email: "jane.doe@acme.example", firstname: "Jane", lastname: "Doe", company: "Acme Robotics Ltd" },
+  9002: { email: "procurement@acme.example", firstname: "", lastname: "", company: "Acme Robotics Ltd" },
+  9004: { email: "jane.doe@holdings.example", firstname: "Jane", lastname: "Doe", company: "Acme Robotics Holdings" },
+};
+const associations = { 501: ["9001", "9002"], 502: ["9004"] };
+
+// Answers the four lookups findBestContact makes
+async function fakeFetch(url, { body }) {
+  const path = new URL(url).pathname;
+  const request = body ? JSON.parse(body) : null;
+  let data = { results: [] };
+  if (path.endsWith("/companies/search")) data = { results: companies.filter((c) => c.properties.name.includes(request.filterGroups[0].filters[0].value.split(" ")[0])) };
+  const association = path.match(/companies\/(\d+)\/associations/);
+  if (association) data = { results: (associations[association[1]] || []).map((id) => ({ toObjectId: Number(id) })) };
+  if (path.endsWith("/contacts/batch/read")) data = { results: request.inputs.map(({ id }) => ({ id, properties: contacts[id] })) };
+  return new Response(JSON.stringify(data), { status: 200 });
+}
+
+const client = createHubSpotClient({ apiKey: "key", baseUrl: "http://hubspot.test", fetch: fakeFetch });
+
+test("normalizeCompany ignores case, punctuation and the legal form", () => {
+  assert.equal(normalizeCompany("ACME Robotics, Ltd."), "acme robotics");
+  assert.equal(normalizeCompany("Acme Robotics Limited"), normalizeCompany("acme robotics"));
+});
+
+test("scoreContact needs an email and rewards name and company matches", () => {
+  assert.equal(scoreContact({ firstName: "Jane", lastName: "Doe" }, { name: "Jane Doe" }), -1);
+  assert.equal(scoreContact({ email: "x", firstName: "Jane", lastName: "Doe", company: "Acme Robotics Ltd" }, { name: "Jane Doe", company: "Acme Robotics" }), 120);
+  assert.equal(scoreContact({ email: "x", firstName: "", lastName: "", company: "" }, { name: "", company: "Acme", companyMatched: true }), 20);
+});
+
+test("findBestContact picks the named contact at the normalized company match", async () => {
+  const match = await client.findBestContact({ company: "Acme Robotics", name: "Jane Doe" });
+  assert.equal(match.contact.id, "9001");
+  assert.equal(match.company.id, "501");
+});
+
+test("findBestContact returns null without an exact company match", async () => {
+  assert.equal(await client.findBestContact({ company: "Acme", name: "Jane Doe" }), null);
+});
+
+test("findBestContact returns null when no contact scores high enough", async () => {
+  assert.equal(await client.findBestContact({ company: "Acme Robotics Ltd", name: "Someone Else" }), null);
+  assert.equal(await client.findBestContact({ company: "Acme Robotics Ltd", name: "" }), null);
+});
@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractPoNumber, formatReplyUpdate } from "../src/inboundEmail.js";
+
+test("extractPoNumber reads PO numbers from the subject, then the body", () => {
+  assert.equal(extractPoNumber("Re: Delivery attempted (PO 10452)"), "10452");
+  assert.equal(extractPoNumber("Re: your order", "Our PO number: GQ-1183 is still open"), "GQ-1183");
+  assert.equal(extractPoNumber("PO#4711"), "4711");
+  assert.equal(extractPoNumber("PO no. 88120"), "88120");
+});
+
+test("extractPoNumber ignores words that merely start with PO", () => {
+  assert.equal(extractPoNumber("Position of my parcel?", "See our Policy 2024 and the Portal"), null);
+  assert.equal(extractPoNumber("Deliver to PO Box 12"), null);
+  assert.equal(extractPoNumber("Position 123", "po 5566"), "5566");
+});
+
+test("formatReplyUpdate escapes the sender, subject and reply", () => {
+  const body = formatReplyUpdate({ from: { name: "Jane", address: "jane@acme.example" }, subject: "Re: <b>", reply: "Ok & thanks\nJane" });
+  assert.equal(body, "📧 <b>Customer reply from Jane &lt;jane@acme.example&gt;</b><br>Subject: Re: &lt;b&gt;<br><br>Ok &amp; thanks<br>Jane");
+});
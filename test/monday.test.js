@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMondayClient, withComplexity } from "../src/monday.js";
+
+const COMPLEXITY = "complexity { after reset_in_x_seconds }";
+
+// fetch stand-in: answers each request with the next queued reply and keeps
+// the parsed request bodies
+function fakeFetch(replies) {
+  const requests = [];
+  const fetch = async (url, { body, headers }) => {
+    requests.push({ url, headers, ...JSON.parse(body) });
+    const reply = replies.shift();
+    if (!reply) throw new Error("no reply queued");
+    const { status = 200, json, text, retryAfter } = typeof reply === "function" ? reply(requests.at(-1)) : reply;
+    return new Response(text ?? JSON.stringify(json), { status, headers: retryAfter ? { "Retry-After": String(retryAfter) } : {} });
+  };
+  return { fetch, requests };
+}
+
+const ok = (data, after = 9000000) => ({ json: { data: { ...data, complexity: { after, reset_in_x_seconds: 30 } } } });
+const item = (id, columns = {}) => ({ id: String(id), name: `PO-${id}`, board: { id: "1" }, column_values: Object.entries(columns).map(([columnId, text]) => ({ id: columnId, text })) });
+
+function client(replies, options = {}) {
+  const fake = fakeFetch(replies);
+  const sleeps = [];
+  const monday = createMondayClient({ token: "t", apiUrl: "http://monday.test/v2", fetch: fake.fetch, sleep: async (ms) => sleeps.push(ms), ...options });
+  return { monday, requests: fake.requests, sleeps };
+}
+
+test("withComplexity adds the field to the operation, not to a fragment", () => {
+  const query = "fragment ItemFields on Item { id name }\nquery($ids: [ID!]) { items(ids: $ids) { ...ItemFields } }";
+  assert.equal(withComplexity(query), `fragment ItemFields on Item { id name }\nquery($ids: [ID!]) { ${COMPLEXITY} items(ids: $ids) { ...ItemFields } }`);
+});
+
+test("withComplexity skips variable defaults, strings and comments with braces", () => {
+  const query = `# lists { items }
+query($params: ItemsQuery = { rules: [{ column_id: "name", compare_value: ["}{"] }] }) {
+  boards { items_page(query_params: $params) { cursor } }
+}`;
+  const injected = withComplexity(query);
+  assert.equal(injected.split(COMPLEXITY).length, 2);
+  assert.ok(injected.includes(`}] }) { ${COMPLEXITY}\n  boards`));
+  assert.equal(withComplexity("{ me { id } }"), `{ ${COMPLEXITY} me { id } }`);
+});
+
+test("requests carry the token, API version and the complexity field, and return data without it", async () => {
+  const { monday, requests } = client([ok({ me: { id: "7" } })]);
+  assert.deepEqual(await monday.me(), { id: "7" });
+  assert.equal(requests[0].headers.Authorization, "t");
+  assert.equal(requests[0].headers["API-Version"], "2024-10");
+  assert.ok(requests[0].query.startsWith(`query { ${COMPLEXITY} me`));
+  assert.equal(monday.stats().complexityRemaining, 9000000);
+});
+
+test("retries complexity and rate-limit errors after the wait Monday asks for", async () => {
+  const { monday, sleeps } = client([
+    { json: { errors: [{ message: "Complexity budget exhausted", extensions: { code: "COMPLEXITY_BUDGET_EXHAUSTED", retry_in_seconds: 3 } }] } },
+    { status: 429, retryAfter: 2, json: { error_message: "Rate Limit Exceeded" } },
+    { status: 503, json: {} },
+    ok({ me: { id: "7" } }),
+  ]);
+  assert.deepEqual(await monday.me(), { id: "7" });
+  assert.deepEqual(sleeps, [3000, 2000, 4000]);
+  assert.equal(monday.stats().retries, 3);
+});
+
+test("gives up after maxRetries and throws other errors with their code", async () => {
+  const exhausted = { json: { errors: [{ message: "busy", extensions: { code: "RATE_LIMIT_EXCEEDED", retry_in_seconds: 1 } }] } };
+  const { monday } = client([exhausted, exhausted, exhausted], { maxRetries: 2 });
+  await assert.rejects(monday.me(), { code: "RATE_LIMIT_EXCEEDED" });
+
+  const invalid = client([{ json: { errors: [{ message: "Item 9 not found", extensions: { code: "INVALID_ARGUMENT" } }] } }]);
+  await assert.rejects(invalid.monday.getItem(9), (error) => error.code === "INVALID_ARGUMENT" && /Item 9 not found/.test(error.message));
+});
+
+test("mutations are not retried after a server error, only after rate limits", async () => {
+  const failed = client([{ status: 502, json: {} }, ok({ create_update: { id: "u1" } })]);
+  await assert.rejects(failed.monday.createUpdate(5001, "Hello"), { status: 502 });
+  assert.equal(failed.requests.length, 1);
+
+  const columns = client([{ status: 504, text: "Gateway Timeout" }]);
+  await assert.rejects(columns.monday.changeColumnValues({ itemId: 5001, boardId: 1, columnValues: { text0: "x" } }), { status: 504 });
+  assert.equal(columns.requests.length, 1);
+
+  const limited = client([
+    { status: 429, retryAfter: 1, json: { error_message: "Rate Limit Exceeded" } },
+    { json: { errors: [{ message: "busy", extensions: { code: "COMPLEXITY_BUDGET_EXHAUSTED", retry_in_seconds: 2 } }] } },
+    ok({ create_update: { id: "u1" } }),
+  ]);
+  assert.deepEqual(await limited.monday.createUpdate(5001, "Hello"), { id: "u1" });
+  assert.deepEqual(limited.sleeps, [1000, 2000]);
+
+  const query = client([{ status: 502, json: {} }, ok({ items: [item(5001)] })]);
+  assert.equal((await query.monday.getItem(5001)).id, "5001");
+  assert.equal(query.requests.length, 2);
+});
+
+test("an empty or non-JSON answer throws a Monday error instead of a TypeError", async () => {
+  for (const text of ["", "<html>maintenance</html>", "null", "{}"]) {
+    const { monday } = client([{ text }]);
+    await assert.rejects(monday.me(), (error) => !(error instanceof TypeError) && error.status === 200 && /no data in the response/.test(error.message), JSON.stringify(text));
+  }
+});
+
+test("waits for the complexity budget to reset when it runs low", async () => {
+  const { monday, sleeps } = client([ok({ me: { id: "7" } }, 10), ok({ me: { id: "7" } })], { minComplexityBudget: 100 });
+  await monday.me();
+  await monday.me();
+  assert.equal(sleeps.length, 1);
+  assert.ok(sleeps[0] > 29000 && sleeps[0] <= 30000);
+  assert.equal(monday.stats().budgetWaits, 1);
+});
+
+test("getItems batches IDs and keeps the order asked for", async () => {
+  const ids = Array.from({ length: 150 }, (_, i) => i + 1);
+  const { monday, requests } = client([
+    (request) => ok({ items: request.variables.itemIds.reverse().map((id) => item(id, { text0: `GQ-${id}` })) }),
+    (request) => ok({ items: request.variables.itemIds.filter((id) => id !== "120").map((id) => item(id)) }),
+  ]);
+  const items = await monday.getItems([...ids, 1]);
+  assert.deepEqual(requests.map((request) => request.variables.limit), [100, 50]);
+  assert.equal(items.length, 149);
+  assert.deepEqual(items.slice(0, 2).map((entry) => entry.id), ["1", "2"]);
+  assert.deepEqual(items[0], { id: "1", name: "PO-1", boardId: "1", columnMap: { text0: "GQ-1" }, poNumber: "PO-1" });
+});
+
+test("paginateItems follows the cursor to the last page", async () => {
+  const { monday, requests } = client([
+    ok({ boards: [{ items_page: { cursor: "c1", items: [item(1)] } }] }),
+    ok({ next_items_page: { cursor: "c2", items: [item(2)] } }),
+    ok({ next_items_page: { cursor: null, items: [item(3)] } }),
+  ]);
+  const pages = [];
+  for await (const page of monday.paginateItems(1, { limit: 1 })) pages.push(page);
+  assert.deepEqual(pages.map((page) => [page.cursor, page.items[0].id]), [["c1", "1"], ["c2", "2"], [null, "3"]]);
+  assert.deepEqual(requests.slice(1).map((request) => request.variables.cursor), ["c1", "c2"]);
+
+  const missing = client([ok({ boards: [] })]);
+  await assert.rejects(missing.monday.getItemsPage(404), { code: "BOARD_NOT_FOUND" });
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createQueue } from "../src/queue.js";
+
+// Let the drain scheduled by enqueue/retry run to completion
+const settle = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+test("runs a job and stores its result", async () => {
+  const queue = createQueue({ name: "test", jobs: new Map(), handler: async (payload) => payload.value * 2 });
+  const { job } = queue.enqueue({ value: 21 });
+  await settle();
+  assert.equal(queue.get(job.id).status, "completed");
+  assert.equal(queue.get(job.id).result, 42);
+});
+
+test("dedupe keys make enqueue idempotent", async () => {
+  const queue = createQueue({ name: "test", jobs: new Map(), handler: async () => null });
+  const first = queue.enqueue({}, { dedupeKey: "a" });
+  const second = queue.enqueue({}, { dedupeKey: "a" });
+  assert.equal(second.duplicate, true);
+  assert.equal(second.job.id, first.job.id);
+  assert.equal(queue.list().length, 1);
+});
+
+test("retries with backoff, parks the job as failed and can retry it", async () => {
+  let calls = 0;
+  const queue = createQueue({
+    name: "test",
+    jobs: new Map(),
+    maxAttempts: 3,
+    backoffBaseMs: 0,
+    handler: async () => {
+      calls += 1;
+      throw new Error(`boom ${calls}`);
+    },
+  });
+  const { job } = queue.enqueue({});
+  await settle();
+  assert.equal(queue.get(job.id).status, "pending");
+  await queue.drain();
+  await queue.drain();
+  assert.equal(calls, 3);
+  assert.equal(queue.get(job.id).status, "failed");
+  assert.equal(queue.get(job.id).lastError, "boom 3");
+  assert.deepEqual(queue.stats(), { pending: 0, processing: 0, completed: 0, failed: 1 });
+
+  queue.retry(job.id);
+  await settle();
+  assert.equal(queue.get(job.id).attempts, 1);
+  assert.equal(queue.get(job.id).retries, 1);
+  assert.throws(() => queue.retry(job.id), /only failed jobs can be retried/);
+});
+
+test("backoff doubles per attempt up to the maximum", async () => {
+  const jobs = new Map();
+  const queue = createQueue({ name: "test", jobs, backoffBaseMs: 1000, maxBackoffMs: 3000, handler: async () => { throw new Error("no"); } });
+  const { job } = queue.enqueue({});
+  await settle();
+  const firstDelay = queue.get(job.id).nextAttemptAt - queue.get(job.id).updatedAt;
+  assert.equal(firstDelay, 1000);
+
+  jobs.set(job.id, { ...queue.get(job.id), attempts: 2, nextAttemptAt: 0 });
+  await queue.drain();
+  assert.equal(queue.get(job.id).nextAttemptAt - queue.get(job.id).updatedAt, 3000);
+});
+
+test("requeues jobs interrupted mid-run and prunes old completed jobs", async () => {
+  const jobs = new Map([
+    ["interrupted", { id: "interrupted", status: "processing", attempts: 1, payload: {}, createdAt: 1, nextAttemptAt: null }],
+    ["old", { id: "old", status: "completed", dedupeKey: "old", createdAt: 0, completedAt: 0 }],
+  ]);
+  const handled = [];
+  const queue = createQueue({ name: "test", jobs, retainCompletedMs: 1000, handler: async (payload, job) => handled.push(job.id) });
+  assert.equal(jobs.get("interrupted").status, "pending");
+  await queue.drain();
+  assert.deepEqual(handled, ["interrupted"]);
+  assert.equal(jobs.has("old"), false);
+  assert.equal(queue.enqueue({}, { dedupeKey: "old" }).duplicate, false);
+});
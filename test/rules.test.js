@@ -0,0 +1,102 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { loadRules, matchRule, explainRules, resolveStuckThreshold, createRuleEngine } from "../src/rules.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+let written = 0;
+
+const SHIPPED = new URL("../config/rules.json", import.meta.url);
+
+function writeRules(config) {
+  const file = path.join(TMP, `rules-${++written}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+const rule = (id, patterns, extra = {}) => ({ id, patterns, issueType: "none", ...extra });
+
+test("the first matching rule wins; patterns are substrings or /regex/", () => {
+  const { rules } = loadRules(writeRules({
+    rules: [
+      rule("attempt", ["delivery attempted"], { issueType: "delivery_failure", label: "failed", severity: "high" }),
+      rule("regex", ["/held (by|at) customs/"], { issueType: "customs_hold", label: "customs", severity: "high" }),
+      rule("anything", ["/./"]),
+    ],
+  }));
+  assert.equal(matchRule(rules, { text: "DELIVERY ATTEMPTED, customs" }).rule.id, "attempt");
+  const held = matchRule(rules, { text: "Package Held At Customs" });
+  assert.deepEqual([held.rule.id, held.pattern], ["regex", "/held (by|at) customs/"]);
+  assert.equal(matchRule(rules, { text: "" }), null);
+});
+
+test("carriers, boards and excludePatterns narrow a rule", () => {
+  const { rules } = loadRules(writeRules({
+    rules: [
+      rule("fedex-only", ["release"], { carriers: ["FedEx"] }),
+      rule("board-only", ["release"], { boards: [42] }),
+      rule("not-final", ["release"], { excludePatterns: ["final"] }),
+    ],
+  }));
+  assert.equal(matchRule(rules, { text: "release", carrier: "FEDEX" }).rule.id, "fedex-only");
+  assert.equal(matchRule(rules, { text: "release", carrier: "DHL", boardId: "42" }).rule.id, "board-only");
+  assert.equal(matchRule(rules, { text: "release", carrier: "DHL" }).rule.id, "not-final");
+  assert.equal(matchRule(rules, { text: "final release", carrier: "DHL" }), null);
+
+  const explained = explainRules(rules, { text: "release", carrier: "DHL", boardId: "7" });
+  assert.deepEqual(explained.evaluated.map((entry) => entry.result), ["skipped", "skipped", "matched"]);
+  assert.equal(explained.matched.matchers, undefined);
+});
+
+test("reports every problem in an invalid rules file", () => {
+  const file = writeRules({
+    rules: [
+      rule("a", []),
+      rule("a", ["/(/"], { issueType: "bogus", extra: true }),
+      rule("b", ["x"], { issueType: "delay", stuckHours: -1 }),
+    ],
+    stuckThresholds: [{ rule: "missing", route: "Nowhere" }],
+  });
+  assert.throws(() => loadRules(file), (error) => [
+    "rules[0] (a).patterns needs at least one pattern",
+    "rules[1] (a).extra is not a rule field",
+    "rules[1] (a).id \"a\" is used more than once",
+    "rules[1] (a).issueType must be one of",
+    "rules[2] (b).label is required",
+    "rules[2] (b).stuckHours must be a positive number of hours",
+    "stuckThresholds[0].rule \"missing\" is not a defined rule",
+    "stuckThresholds[0].route \"Nowhere\" is not a defined route",
+  ].every((message) => error.message.includes(message)));
+});
+
+test("stuck thresholds: the most specific override wins", () => {
+  const loaded = loadRules(SHIPPED);
+  const byId = (id) => loaded.rules.find((entry) => entry.id === id);
+
+  assert.deepEqual(resolveStuckThreshold(loaded, { rule: byId("on-hold"), carrier: "UPS", route: "India-UK" }), {
+    hours: 6, businessHours: false, countries: [], route: "India-UK", overrides: [],
+  });
+  assert.equal(resolveStuckThreshold(loaded, { rule: byId("on-hold"), carrier: "dhl", route: "China-UK" }).hours, 12);
+
+  const customs = resolveStuckThreshold(loaded, { rule: byId("customs-clearance"), carrier: "UPS", route: "India-UK" });
+  assert.deepEqual([customs.hours, customs.businessHours, customs.countries], [12, true, ["GB"]]);
+  assert.equal(resolveStuckThreshold(loaded, { rule: byId("delivered"), carrier: "DHL" }).hours, null);
+});
+
+test("the rule engine keeps the last good rules when a reload fails", () => {
+  const file = writeRules({ rules: [rule("first", ["x"])] });
+  const engine = createRuleEngine({ path: file });
+  assert.equal(engine.match({ text: "x" }).rule.id, "first");
+
+  fs.writeFileSync(file, "{ not json");
+  assert.throws(() => engine.reload(), /Cannot read rules/);
+  assert.equal(engine.match({ text: "x" }).rule.id, "first");
+  assert.match(engine.status().lastError.message, /Cannot read rules/);
+
+  fs.writeFileSync(file, JSON.stringify({ rules: [rule("second", ["x"])] }));
+  engine.reload();
+  assert.equal(engine.match({ text: "x" }).rule.id, "second");
+});
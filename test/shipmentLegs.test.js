@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { startMondayMock } from "../scripts/monday-mock.js";
+import { startSlack, startWatcher } from "./helpers/watcher.js";
+
+// Split shipments through the real server: each tracking number in the
+// Customer Tracking column is a leg, a delivery marks only the leg it names,
+// and the item's Slack thread is resolved once every leg is delivered.
+
+const DHL = "1234567891";
+const UPS = "1Z999AA10123456784";
+const update = (triggerUuid, columnId, value) => ({ triggerUuid, pulseId: 5004, pulseName: "10453", columnId, value: { value } });
+const locationUpdate = (triggerUuid, value) => update(triggerUuid, "text5__1", value);
+
+test("only the delivered leg is marked and the item resolves when every leg is delivered", { timeout: 30000 }, async () => {
+  const mondayMock = await startMondayMock({ port: 0 });
+  const slack = await startSlack();
+  const watcher = await startWatcher({ mondayPort: mondayMock.address().port, slackUrl: slack.url });
+  const shipmentStatus = async () => (await watcher.json("/shipments/5004/timeline")).shipment.status;
+  const resolutions = () => slack.posts().filter((call) => call.params.text.startsWith("✅ Resolved"));
+
+  try {
+    const extracted = await watcher.mondayEvent(update("tracking-1", "text_mkvcdqrw", `DHL ${DHL}, UPS ${UPS}`));
+    assert.deepEqual(extracted.result.trackingNumbers, [DHL, UPS]);
+
+    // An alert on the UPS leg opens the item's thread
+    const lost = await watcher.mondayEvent(locationUpdate("lost-1", `Shipment lost - ${UPS}`));
+    assert.equal(lost.result.trackingNumber, UPS);
+    assert.equal(lost.result.alertPosted, true);
+
+    for (const triggerUuid of ["dhl-delivered-1", "dhl-delivered-2"]) {
+      const delivered = await watcher.mondayEvent(locationUpdate(triggerUuid, `Delivered ${DHL} - signed for by SMITH`));
+      assert.equal(delivered.status, "completed");
+      assert.equal(delivered.result.trackingNumber, DHL);
+      assert.equal(await shipmentStatus(), "in_transit");
+    }
+    assert.equal(resolutions().length, 0);
+    assert.equal(slack.calls.filter((call) => call.method === "chat.update").length, 0);
+
+    const delivered = await watcher.mondayEvent(locationUpdate("ups-delivered", `Delivered ${UPS}`));
+    assert.equal(delivered.result.trackingNumber, UPS);
+    assert.equal(await shipmentStatus(), "delivered");
+    assert.equal(resolutions().length, 1);
+    assert.equal(slack.calls.filter((call) => call.method === "chat.update").length, 1);
+  } catch (error) {
+    error.message += `\n--- watcher output ---\n${watcher.output()}`;
+    throw error;
+  } finally {
+    await watcher.stop();
+    slack.server.close();
+    mondayMock.close();
+  }
+});
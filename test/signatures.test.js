@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { verifySlackSignature, verifyMondayJwt } from "../src/signatures.js";
+
+const NOW = 1_700_000_000_000;
+const nowSeconds = Math.floor(NOW / 1000);
+
+const slackSignature = (secret, timestamp, body) => "v0=" + crypto.createHmac("sha256", secret).update(`v0:${timestamp}:${body}`).digest("hex");
+
+function mondayJwt(secret, claims, header = { alg: "HS256", typ: "JWT" }) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac("sha256", secret).update(unsigned).digest("base64url")}`;
+}
+
+test("Slack signature accepts a correctly signed request", () => {
+  const rawBody = "payload=%7B%7D";
+  const signature = slackSignature("secret", nowSeconds, rawBody);
+  assert.deepEqual(verifySlackSignature({ signingSecret: "secret", timestamp: String(nowSeconds), signature, rawBody, now: NOW }), { valid: true });
+});
+
+test("Slack signature rejects a missing secret, stale timestamp and tampered body", () => {
+  const signature = slackSignature("secret", nowSeconds, "a=1");
+  assert.equal(verifySlackSignature({ signingSecret: "", timestamp: String(nowSeconds), signature, rawBody: "a=1", now: NOW }).reason, "SLACK_SIGNING_SECRET not configured");
+  assert.equal(verifySlackSignature({ signingSecret: "secret", timestamp: null, signature, rawBody: "a=1", now: NOW }).reason, "missing Slack signature headers");
+  assert.equal(verifySlackSignature({ signingSecret: "secret", timestamp: String(nowSeconds - 301), signature: slackSignature("secret", nowSeconds - 301, "a=1"), rawBody: "a=1", now: NOW }).reason, "Slack request timestamp outside the allowed window");
+  assert.equal(verifySlackSignature({ signingSecret: "secret", timestamp: String(nowSeconds), signature, rawBody: "a=2", now: NOW }).reason, "Slack signature mismatch");
+});
+
+test("Monday JWT accepts a fresh token with or without the Bearer prefix", () => {
+  const token = mondayJwt("secret", { iat: nowSeconds - 10, accountId: 1 });
+  assert.equal(verifyMondayJwt({ signingSecret: "secret", authorization: token, now: NOW }).valid, true);
+  const result = verifyMondayJwt({ signingSecret: "secret", authorization: `Bearer ${token}`, now: NOW });
+  assert.equal(result.valid, true);
+  assert.equal(result.claims.accountId, 1);
+});
+
+test("Monday JWT rejects bad signatures, other algorithms, expired and replayed tokens", () => {
+  const check = (authorization) => verifyMondayJwt({ signingSecret: "secret", authorization, now: NOW }).reason;
+  assert.equal(verifyMondayJwt({ signingSecret: undefined, authorization: "x", now: NOW }).reason, "MONDAY_SIGNING_SECRET not configured");
+  assert.equal(check(undefined), "missing Authorization header");
+  assert.equal(check("not-a-jwt"), "Authorization header is not a JWT");
+  assert.equal(check("a.b.c"), "malformed JWT");
+  assert.equal(check(mondayJwt("other", { iat: nowSeconds })), "JWT signature mismatch");
+  assert.equal(check(mondayJwt("secret", { iat: nowSeconds }, { alg: "none" })), "unsupported JWT algorithm none");
+  assert.equal(check(mondayJwt("secret", { iat: nowSeconds - 10, exp: nowSeconds - 1 })), "JWT expired");
+  assert.equal(check(mondayJwt("secret", { iat: nowSeconds - 600 })), "JWT issued 600s ago, outside the replay window");
+});
@@ -0,0 +1,63 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createStore } from "../src/store.js";
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "watcher-store-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+let written = 0;
+const tempFile = () => path.join(TMP, `state-${++written}.json`);
+const readState = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+
+test("collections behave like a Map", () => {
+  const store = createStore({ driver: "memory" });
+  const alerts = store.collection("alerts");
+  alerts.set(42, { count: 1 });
+  assert.deepEqual(alerts.get("42"), { count: 1 });
+  assert.equal(alerts.has(42), true);
+  assert.equal(alerts.size, 1);
+  assert.deepEqual([...alerts.keys()], ["42"]);
+  assert.equal(alerts.delete(42), true);
+  assert.equal(alerts.delete(42), false);
+  assert.equal(store.collection("alerts"), alerts);
+});
+
+test("file driver batches changes into one delayed write", async () => {
+  const file = tempFile();
+  const store = createStore({ driver: "file", path: file, flushDelayMs: 20 });
+  const items = store.collection("items");
+  items.set("a", 1);
+  items.set("b", 2);
+  items.delete("a");
+  assert.equal(fs.existsSync(file), false);
+
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(readState(file), { items: { b: 2 } });
+});
+
+test("close() writes pending changes and state is rehydrated", () => {
+  const file = tempFile();
+  const store = createStore({ driver: "file", path: file, flushDelayMs: 60000 });
+  store.collection("timers").set("1001", { firstSeenAt: 5 });
+  store.close();
+
+  const reopened = createStore({ driver: "file", path: file });
+  assert.deepEqual(reopened.collection("timers").get("1001"), { firstSeenAt: 5 });
+});
+
+test("rejects a corrupt state file instead of starting empty", () => {
+  const file = tempFile();
+  fs.writeFileSync(file, "{not json");
+  assert.throws(() => createStore({ driver: "file", path: file }), /not valid JSON/);
+});
+
+test("keeps an existing JSON state file when no driver is configured", () => {
+  const file = tempFile();
+  assert.equal(createStore({ path: file }).driver, "file");
+});
+
+test("rejects unknown drivers", () => {
+  assert.throws(() => createStore({ driver: "redis" }), /Unknown STORE_DRIVER/);
+});
@@ -0,0 +1,61 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMondayMock } from "../scripts/monday-mock.js";
+import { startSlack, startWatcher } from "./helpers/watcher.js";
+
+// The stuck-shipment sweeper through the real server with the memory store:
+// a customs clearance status that outlives its threshold raises one alert, and
+// the cooldown holds back the next escalation of the same item.
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), "sweeper-"));
+after(() => fs.rmSync(TMP, { recursive: true, force: true }));
+
+// The shipped rules with a customs clearance threshold of under two seconds
+function writeRules() {
+  const rules = JSON.parse(fs.readFileSync(new URL("../config/rules.json", import.meta.url), "utf8"));
+  rules.rules.find((rule) => rule.id === "customs-clearance").stuckHours = 0.0005;
+  rules.stuckThresholds = [];
+  const rulesPath = path.join(TMP, "rules.json");
+  fs.writeFileSync(rulesPath, JSON.stringify(rules));
+  return rulesPath;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const clearance = (triggerUuid) => ({ triggerUuid, pulseId: 5002, pulseName: "10451", columnId: "text5__1", value: { value: "Customs clearance processing - Leipzig, DE" } });
+
+test("a sweep escalates a stale status once and the cooldown holds back the repeat", { timeout: 30000 }, async () => {
+  const mondayMock = await startMondayMock({ port: 0 });
+  const slack = await startSlack();
+  const watcher = await startWatcher({ mondayPort: mondayMock.address().port, slackUrl: slack.url, env: { RULES_PATH: writeRules() } });
+
+  try {
+    assert.equal((await watcher.mondayEvent(clearance("clearance-1"))).status, "completed");
+    assert.equal((await watcher.json("/sweeper")).tracked.length, 1);
+    await wait(2500);
+
+    const first = await watcher.post("/sweeper/run");
+    assert.equal(first.result.escalated.length, 1);
+    assert.equal(first.result.escalated[0].posted, true);
+    assert.equal(slack.posts().length, 1);
+    assert.match(slack.posts()[0].params.text, /10451 is experiencing delayed customs processing/);
+    assert.equal((await watcher.json("/sweeper")).tracked.length, 0);
+
+    // The same status again starts a new timer that goes stale as well
+    await watcher.mondayEvent(clearance("clearance-2"));
+    await wait(2500);
+    const second = await watcher.post("/sweeper/run");
+    assert.equal(second.result.escalated.length, 1);
+    assert.equal(second.result.escalated[0].posted, false);
+    assert.equal(slack.posts().length, 1);
+  } catch (error) {
+    error.message += `\n--- watcher output ---\n${watcher.output()}`;
+    throw error;
+  } finally {
+    await watcher.stop();
+    slack.server.close();
+    mondayMock.close();
+  }
+});
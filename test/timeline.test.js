@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createShipmentTimeline, toPage } from "../src/timeline.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("record builds one summary per item from its events", () => {
+  const timeline = createShipmentTimeline({ records: new Map() });
+  timeline.record({ itemId: 1, boardId: 10, name: "PO-1", type: "update", text: "Held at customs", carrier: "DHL", trackingNumber: "1234567891", classification: { issueType: "customs", severity: "high" } }, 1000);
+  timeline.record({ itemId: "1", status: "issue", type: "alert", issueType: "customs", carrier: "unknown" }, 2000);
+
+  const entry = timeline.get(1);
+  assert.equal(entry.boardId, "10");
+  assert.equal(entry.status, "issue");
+  assert.deepEqual(entry.carriers, ["DHL"]);
+  assert.deepEqual(entry.trackingNumbers, ["1234567891"]);
+  assert.equal(entry.lastUpdateText, "Held at customs");
+  assert.deepEqual(entry.lastIssue, { type: "customs", severity: null, at: 2000 });
+  assert.equal(entry.firstSeenAt, 1000);
+  assert.equal(entry.lastEventAt, 2000);
+  assert.equal(entry.eventCount, 2);
+  assert.equal(timeline.get(2), null);
+});
+
+test("keeps only the newest maxEvents events", () => {
+  const timeline = createShipmentTimeline({ records: new Map(), maxEvents: 2 });
+  for (let at = 1; at <= 3; at += 1) timeline.record({ itemId: 1, type: "update", text: `u${at}` }, at);
+  assert.deepEqual(timeline.get(1).events.map((event) => event.text), ["u2", "u3"]);
+  assert.equal(timeline.get(1).eventCount, 3);
+});
+
+test("list filters by board, status and carrier, newest first, and pages", () => {
+  const timeline = createShipmentTimeline({ records: new Map() });
+  timeline.record({ itemId: 1, boardId: 10, type: "tracking", carrier: "DHL" }, 1000);
+  timeline.record({ itemId: 2, boardId: 10, status: "delivered", type: "tracking", carrier: "UPS" }, 3000);
+  timeline.record({ itemId: 3, boardId: 20, type: "tracking", carrier: "dhl" }, 2000);
+
+  assert.deepEqual(timeline.list().shipments.map((entry) => entry.itemId), ["2", "3", "1"]);
+  assert.deepEqual(timeline.list({ board: 10 }).shipments.map((entry) => entry.itemId), ["2", "1"]);
+  assert.deepEqual(timeline.list({ status: "delivered" }).shipments.map((entry) => entry.itemId), ["2"]);
+  assert.deepEqual(timeline.list({ carrier: "DHL" }).shipments.map((entry) => entry.itemId), ["3", "1"]);
+
+  const page = timeline.list({ offset: "1", limit: "1" });
+  assert.deepEqual({ total: page.total, offset: page.offset, limit: page.limit }, { total: 3, offset: 1, limit: 1 });
+  assert.deepEqual(page.shipments.map((entry) => entry.itemId), ["3"]);
+  assert.equal("events" in page.shipments[0], false);
+});
+
+test("events filters by type and pages oldest first", () => {
+  const timeline = createShipmentTimeline({ records: new Map() });
+  timeline.record({ itemId: 1, type: "update", text: "a" }, 1);
+  timeline.record({ itemId: 1, type: "alert" }, 2);
+  timeline.record({ itemId: 1, type: "update", text: "b" }, 3);
+
+  assert.deepEqual(timeline.events(1, { types: ["update"] }).events.map((event) => event.text), ["a", "b"]);
+  const page = timeline.events(1, { offset: 1, limit: 1 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.events.map((event) => event.type), ["alert"]);
+  assert.equal(timeline.events(2), null);
+});
+
+test("toPage clamps offset and limit", () => {
+  assert.deepEqual(toPage(), { offset: 0, limit: 50 });
+  assert.deepEqual(toPage({ offset: "-5", limit: "1000" }), { offset: 0, limit: 200 });
+  assert.deepEqual(toPage({ offset: "x", limit: "0" }), { offset: 0, limit: 50 });
+});
+
+test("prune drops quiet delivered and resolved items, then anything past the max age", () => {
+  const records = new Map();
+  const timeline = createShipmentTimeline({ records, closedRetentionMs: 30 * DAY, maxAgeMs: 180 * DAY });
+  const now = 200 * DAY;
+  timeline.record({ itemId: "delivered-old", status: "delivered", type: "tracking" }, now - 31 * DAY);
+  timeline.record({ itemId: "resolved-old", status: "resolved", type: "action" }, now - 40 * DAY);
+  timeline.record({ itemId: "delivered-recent", status: "delivered", type: "tracking" }, now - 5 * DAY);
+  timeline.record({ itemId: "transit-quiet", type: "update" }, now - 90 * DAY);
+  timeline.record({ itemId: "transit-abandoned", status: "issue", type: "alert" }, now - 181 * DAY);
+
+  assert.equal(timeline.prune(now), 3);
+  assert.deepEqual([...records.keys()].sort(), ["delivered-recent", "transit-quiet"]);
+  assert.equal(timeline.prune(now), 0);
+});
+
+test("prune keeps everything without retention settings", () => {
+  const timeline = createShipmentTimeline({ records: new Map() });
+  timeline.record({ itemId: 1, status: "delivered", type: "tracking" }, 0);
+  assert.equal(timeline.prune(1000 * DAY), 0);
+  assert.notEqual(timeline.get(1), null);
+});
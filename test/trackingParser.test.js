@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { identifyTrackingNumber, parseTrackingNumbers, parseTrackingNumber, buildTrackingUrl } from "../src/trackingParser.js";
+
+test("identifies carrier formats and validates their check digits", () => {
+  assert.equal(identifyTrackingNumber("1Z999AA10123456784").carrier, "UPS");
+  assert.equal(identifyTrackingNumber("1Z999AA10123456785"), null);
+  assert.equal(identifyTrackingNumber("123456789012").format, "FedEx Express");
+  assert.equal(identifyTrackingNumber("123456789013"), null);
+  assert.equal(identifyTrackingNumber("1234567891").format, "DHL Express");
+  assert.equal(identifyTrackingNumber("RR123456785GB").format, "UPU S10");
+  assert.equal(identifyTrackingNumber("RR123456784GB"), null);
+
+  const ecommerce = identifyTrackingNumber("JJD0123456789012");
+  assert.equal(ecommerce.carrier, "DHL");
+  assert.equal(ecommerce.checksumValid, false);
+  assert.equal(identifyTrackingNumber(""), null);
+});
+
+test("normalises spacing, dashes and case", () => {
+  assert.equal(identifyTrackingNumber("1z 999 aa1 01 2345 678 4").trackingNumber, "1Z999AA10123456784");
+  assert.equal(identifyTrackingNumber("1234-5678-9012").trackingNumber, "123456789012");
+});
+
+test("a matching carrier hint raises the confidence", () => {
+  assert.equal(identifyTrackingNumber("1234567891").confidence, 0.75);
+  assert.equal(identifyTrackingNumber("1234567891", { carrierHint: "DHL" }).confidence, 0.98);
+});
+
+test("finds every number in free text and tracking URLs, de-duplicated", () => {
+  const results = parseTrackingNumbers(
+    "Shipped UPS 1Z999AA10123456784 and https://www.dhl.com/gb-en/home/tracking/tracking-express.html?tracking-id=1234567891, again 1Z999AA10123456784",
+  );
+  assert.deepEqual(results.map((result) => [result.carrier, result.trackingNumber]), [["DHL", "1234567891"], ["UPS", "1Z999AA10123456784"]]);
+  assert.equal(results[0].confidence, 0.98);
+});
+
+test("trusts a carrier tracking URL even without a known check digit", () => {
+  const [result] = parseTrackingNumbers("https://www.fedex.com/fedextrack/?trknbr=ABC123");
+  assert.deepEqual(result, { carrier: "FedEx", trackingNumber: "ABC123", confidence: 0.6, format: "FedEx tracking URL", checksumValid: false });
+});
+
+test("parseTrackingNumber picks the most confident match", () => {
+  assert.equal(parseTrackingNumber("1234567891 or 1Z999AA10123456784").trackingNumber, "1Z999AA10123456784");
+  assert.equal(parseTrackingNumber("no tracking yet"), null);
+  assert.deepEqual(parseTrackingNumbers(null), []);
+});
+
+test("builds public tracking URLs for known carriers only", () => {
+  assert.equal(buildTrackingUrl("UPS", "1Z999AA10123456784"), "https://www.ups.com/track?loc=en_GB&tracknum=1Z999AA10123456784");
+  assert.equal(buildTrackingUrl("Postal", "RR123456785GB"), null);
+});
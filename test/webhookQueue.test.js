@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMondayMock } from "../scripts/monday-mock.js";
+import { startSlack, startWatcher } from "./helpers/watcher.js";
+
+// End to end through the real server: a Monday "Delivered" update whose Slack
+// thread cannot be resolved must fail the webhook job, be retried and end up
+// in the failed (dead-letter) list instead of completing silently.
+
+test("a Slack failure while resolving a delivered shipment is retried, then dead-lettered", { timeout: 30000 }, async () => {
+  const mondayMock = await startMondayMock({ port: 0 });
+  // Answers every Web API call the way Slack reports a broken channel
+  const slack = await startSlack(() => ({ ok: false, error: "channel_not_found" }));
+  const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "watcher-"));
+  const storePath = path.join(storeDir, "state.json");
+  fs.writeFileSync(storePath, JSON.stringify({
+    slackThreads: { "162479257:5002": { channel: "C1", ts: "1700000000.000100", text: "Issue on 10451", blocks: [] } },
+  }));
+
+  const watcher = await startWatcher({
+    mondayPort: mondayMock.address().port,
+    slackUrl: slack.url,
+    env: { STORE_DRIVER: "file", STORE_PATH: storePath, WEBHOOK_MAX_ATTEMPTS: "2", WEBHOOK_RETRY_BASE_SECONDS: "0" },
+  });
+
+  try {
+    const job = await watcher.mondayEvent({ triggerUuid: "delivered-1", pulseId: 5002, pulseName: "10451", columnId: "text5__1", value: { value: "Delivered - signed for by SMITH" } });
+    assert.equal(job.status, "failed");
+    assert.equal(job.attempts, 2);
+    assert.match(job.lastError, /channel_not_found/);
+    assert.ok(slack.posts().length >= 2);
+  } catch (error) {
+    error.message += `\n--- watcher output ---\n${watcher.output()}`;
+    throw error;
+  } finally {
+    await watcher.stop();
+    slack.server.close();
+    mondayMock.close();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+});